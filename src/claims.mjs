@@ -0,0 +1,111 @@
+/**
+ * Claims for held payouts.
+ *
+ * A recipient with no resolvable payment address proves ownership of
+ * their Nostr pubkey by signing a NIP-98 style HTTP auth event (kind
+ * 27235) for POST /api/claims. It carries a one-time challenge from
+ * GET /api/claims/:pubkey and the STX address to pay:
+ *
+ *   tags: [["u", "<relay>/api/claims"], ["method", "POST"],
+ *          ["challenge", "<challenge>"], ["address", "SP..."]]
+ *
+ * Claimed payouts go back on the payout queue addressed to that STX
+ * address, and the recipient gets a NIP-04 DM receipt.
+ */
+
+import { randomBytes } from 'node:crypto';
+import txPkg from '@stacks/transactions';
+import { validateEvent, signEvent } from './validate.mjs';
+import { encrypt } from './nip04.mjs';
+import { now } from './time.mjs';
+
+const { validateStacksAddress } = txPkg;
+
+export const CLAIM_KIND = 27235;
+const CHALLENGE_TTL = 600; // seconds
+const MAX_CHALLENGES = 10000;          // outstanding, across all pubkeys
+const MAX_CHALLENGES_PER_PUBKEY = 5;
+
+// challenge → { pubkey, expiresAt }, oldest first
+const challenges = new Map();
+
+function reject(reason, message) {
+  return { valid: false, reason, message: `invalid: ${message}` };
+}
+
+/**
+ * Issue a one-time claim challenge for a pubkey. Past the caps the oldest
+ * outstanding challenges (the pubkey's own first) are dropped, so
+ * unauthenticated requests can't grow the map without bound.
+ * @returns {{ challenge: string, expires_at: number }}
+ */
+export function issueChallenge(pubkey) {
+  const at = now();
+  const own = [];
+  for (const [challenge, entry] of challenges) {
+    if (entry.expiresAt <= at) challenges.delete(challenge);
+    else if (entry.pubkey === pubkey) own.push(challenge);
+  }
+  while (own.length >= MAX_CHALLENGES_PER_PUBKEY) challenges.delete(own.shift());
+  while (challenges.size >= MAX_CHALLENGES) challenges.delete(challenges.keys().next().value);
+  const challenge = randomBytes(16).toString('hex');
+  challenges.set(challenge, { pubkey, expiresAt: at + CHALLENGE_TTL });
+  return { challenge, expires_at: at + CHALLENGE_TTL };
+}
+
+/**
+ * Mainnet STX address (single-sig `SP` or multisig `SM` prefix).
+ */
+export function isStxAddress(address) {
+  return typeof address === 'string' && /^S[PM]/.test(address) && validateStacksAddress(address);
+}
+
+/**
+ * Verify a signed claim event and consume its challenge.
+ * @returns {Promise<{ valid: true, pubkey: string, address: string } | { valid: false, reason: string, message: string }>}
+ */
+export async function verifyClaim(event) {
+  const validation = await validateEvent(event);
+  if (!validation.valid) return validation;
+
+  if (event.kind !== CLAIM_KIND) {
+    return reject('invalid-kind', `claim event must be kind ${CLAIM_KIND}`);
+  }
+  if (Math.abs(event.created_at - now()) > CHALLENGE_TTL) {
+    return reject('stale', 'claim event created_at is too far from now');
+  }
+  const tag = (name) => event.tags.find(t => t[0] === name)?.[1];
+  if (tag('method') !== 'POST' || !tag('u')?.endsWith('/api/claims')) {
+    return reject('invalid-request', 'claim event must sign POST /api/claims');
+  }
+  const entry = challenges.get(tag('challenge'));
+  if (!entry || entry.pubkey !== event.pubkey || entry.expiresAt <= now()) {
+    return reject('challenge-mismatch', 'unknown or expired challenge');
+  }
+  const address = tag('address');
+  if (!isStxAddress(address)) {
+    return reject('invalid-address', 'address tag must be a mainnet STX address');
+  }
+
+  challenges.delete(tag('challenge'));
+  return { valid: true, pubkey: event.pubkey, address };
+}
+
+/**
+ * Build the NIP-04 DM receipt sent to a claimant.
+ * @returns {Promise<Object>} signed kind 4 event
+ */
+export async function buildClaimReceipt(privkey, { pubkey, address, payouts }) {
+  const amount = payouts.reduce((sum, p) => sum + p.amount, 0);
+  const text = [
+    `Claim accepted: ${amount} sats from ${payouts.length} payout${payouts.length === 1 ? '' : 's'}`,
+    `will be forwarded to ${address}.`,
+    `Payout ids: ${payouts.map(p => p.id).join(', ')}`,
+  ].join('\n');
+  return signEvent({
+    kind: 4,
+    created_at: now(),
+    tags: [['p', pubkey]],
+    content: encrypt(privkey, pubkey, text),
+  }, privkey);
+}
@@ -0,0 +1,212 @@
+/**
+ * x402 facilitator for pre-signed sBTC transfers.
+ *
+ * Instead of broadcasting its own transfer and sending the txid, a client
+ * may put a signed but unbroadcast sbtc-token `transfer` in the X-PAYMENT
+ * payload ({ "transaction": "<hex>" }). verify() decodes it and checks it
+ * against the x402 payment requirements; settle() broadcasts it.
+ *
+ * FACILITATOR_ACCEPT decides when the payment counts:
+ * - `mempool` (default): once a node accepts the tx into its mempool
+ * - `optimistic`: right away; the broadcast happens in the background
+ *
+ * Either way the tx is tracked until it confirms. Until then the credit
+ * can be spent, but recipient payouts it funds wait. If the tx is
+ * rejected, aborts or is dropped, the credit it bought is reversed.
+ */
+
+import txPkg from '@stacks/transactions';
+import netPkg from '@stacks/network';
+import { broadcastTx, getTxStatus } from './wallet.mjs';
+import { now } from './time.mjs';
+
+const {
+  deserializeTransaction, deserializeCV, addressFromVersionHash, addressToString,
+  AddressVersion, AddressHashMode, AuthType, PayloadType,
+} = txPkg;
+const { ChainId } = netPkg;
+
+export const ACCEPT_MODE = process.env.FACILITATOR_ACCEPT === 'optimistic' ? 'optimistic' : 'mempool';
+const TRACK_INTERVAL = parseInt(process.env.SETTLEMENT_POLL_INTERVAL || '30'); // seconds
+const NOT_FOUND_GRACE = 600; // seconds before an unseen tx counts as dropped
+
+const DEFAULT_WALLET = { broadcastTx, getTxStatus };
+
+function principalOf(cv) {
+  return cv?.type === 'address' || cv?.type === 'contract' ? cv.value : null;
+}
+
+/**
+ * Text of a transfer memo, an `(optional (buff 34))` Clarity value given
+ * decoded or as hex. Trailing NUL padding is dropped; null when absent.
+ */
+export function memoText(memo) {
+  let cv = memo;
+  if (typeof memo === 'string') {
+    try { cv = deserializeCV(memo.replace(/^0x/, '')); } catch { return null; }
+  }
+  if (cv?.type !== 'some' || cv.value?.type !== 'buffer') return null;
+  return Buffer.from(cv.value.value, 'hex').toString('utf8').replace(/\0+$/, '') || null;
+}
+
+/**
+ * Decode a serialized sbtc-token `transfer` call and check its signature.
+ * @param {string} hex - serialized signed transaction
+ * @returns {{ txId: string, transaction: Object, payer: string, sender: string, recipient: string, asset: string, amount: bigint, memo: string|null }}
+ * @throws {Error} if the tx is malformed, unsigned or not a token transfer call
+ */
+export function decodeTransfer(hex) {
+  const transaction = deserializeTransaction(hex.replace(/^0x/, ''));
+  if (transaction.chainId !== ChainId.Mainnet) throw new Error('not a mainnet transaction');
+  if (transaction.auth.authType !== AuthType.Standard) throw new Error('sponsored transactions are not accepted');
+
+  const { payload } = transaction;
+  if (payload.payloadType !== PayloadType.ContractCall || payload.functionName.content !== 'transfer') {
+    throw new Error('not a token transfer call');
+  }
+  const [amount, sender, recipient, memo] = payload.functionArgs;
+  if (amount?.type !== 'uint' || !principalOf(sender) || !principalOf(recipient)) {
+    throw new Error('transfer arguments must be (uint, principal, principal, memo)');
+  }
+
+  transaction.verifyOrigin(); // throws on a bad signature
+  const { hashMode, signer } = transaction.auth.spendingCondition;
+  const version = hashMode === AddressHashMode.P2PKH || hashMode === AddressHashMode.P2WPKH
+    ? AddressVersion.MainnetSingleSig : AddressVersion.MainnetMultiSig;
+
+  return {
+    txId: `0x${transaction.txid()}`,
+    transaction,
+    payer: addressToString(addressFromVersionHash(version, signer)),
+    sender: principalOf(sender),
+    recipient: principalOf(recipient),
+    asset: `${addressToString(payload.contractAddress)}.${payload.contractName.content}`,
+    amount: BigInt(amount.value),
+    memo: memoText(memo),
+  };
+}
+
+/**
+ * x402 /verify: check a pre-signed payment against requirements without
+ * broadcasting it. With a store, already used txs are refused too.
+ * @param {{ network: string, payload: { transaction: string } }} paymentPayload - decoded X-PAYMENT
+ * @param {{ network: string, payTo: string, asset: string, maxAmountRequired: string }} paymentRequirements
+ * @returns {{ isValid: true, payer: string, txId: string, amount: number, memo: string|null } | { isValid: false, invalidReason: string, payer?: string }}
+ */
+export function verify(paymentPayload, paymentRequirements, { store } = {}) {
+  if (paymentPayload?.network !== paymentRequirements.network) {
+    return { isValid: false, invalidReason: 'network_mismatch' };
+  }
+  let transfer;
+  try {
+    transfer = decodeTransfer(String(paymentPayload.payload?.transaction ?? ''));
+  } catch (err) {
+    return { isValid: false, invalidReason: `invalid_transaction: ${err.message}` };
+  }
+
+  const { payer } = transfer;
+  if (transfer.asset !== paymentRequirements.asset) return { isValid: false, invalidReason: 'asset_mismatch', payer };
+  if (transfer.recipient !== paymentRequirements.payTo) return { isValid: false, invalidReason: 'recipient_mismatch', payer };
+  if (transfer.sender !== payer) return { isValid: false, invalidReason: 'sender_mismatch', payer };
+  if (transfer.amount < BigInt(paymentRequirements.maxAmountRequired)) {
+    return { isValid: false, invalidReason: 'insufficient_amount', payer };
+  }
+  if (store && (store.isUsedTx(transfer.txId) || store.getSettlement(transfer.txId))) {
+    return { isValid: false, invalidReason: 'transaction_already_used', payer };
+  }
+  return { isValid: true, payer, txId: transfer.txId, amount: Number(transfer.amount), memo: transfer.memo };
+}
+
+/**
+ * x402 /settle: verify, then broadcast and start tracking the tx. The
+ * settlement row doubles as a lock, so a tx settles only once.
+ * @param {Object} paymentPayload - as for verify
+ * @param {Object} paymentRequirements - as for verify
+ * @param {Object} opts
+ * @param {import('./store.mjs').EventStore} opts.store
+ * @param {string} [opts.account] - credit account the payment is for (default: payer)
+ * @param {'mempool'|'optimistic'} [opts.mode]
+ * @param {Object} [opts.wallet] - { broadcastTx, getTxStatus }
+ * @returns {Promise<{ success: boolean, errorReason?: string, transaction: string, network: string, payer: string, status?: string }>}
+ */
+export async function settle(paymentPayload, paymentRequirements, {
+  store, account, mode = ACCEPT_MODE, wallet = DEFAULT_WALLET,
+}) {
+  const { network } = paymentRequirements;
+  const check = verify(paymentPayload, paymentRequirements);
+  if (!check.isValid) {
+    return { success: false, errorReason: check.invalidReason, transaction: '', network, payer: check.payer ?? '' };
+  }
+  const { txId, payer, amount } = check;
+  if (!store.recordSettlement({ tx_id: txId, network, payer, account: account || payer, amount, mode })) {
+    return { success: false, errorReason: 'transaction_already_used', transaction: txId, network, payer };
+  }
+
+  const { transaction } = decodeTransfer(paymentPayload.payload.transaction);
+  const broadcast = broadcastSettlement(store, transaction, txId, wallet);
+  if (mode === 'optimistic') {
+    broadcast.catch(err => failSettlement(store, txId, err.message));
+    return { success: true, transaction: txId, network, payer, status: 'pending' };
+  }
+
+  const result = await broadcast.catch(err => ({ success: false, error: err.message }));
+  if (!result.success) {
+    return { success: false, errorReason: `broadcast_rejected: ${result.error}`, transaction: txId, network, payer };
+  }
+  return { success: true, transaction: txId, network, payer, status: 'broadcast' };
+}
+
+async function broadcastSettlement(store, transaction, txId, wallet) {
+  const result = await wallet.broadcastTx(transaction);
+  if (!result.success) {
+    const reason = result.reason ? ` (${result.reason})` : '';
+    failSettlement(store, txId, `Broadcast rejected: ${result.error}${reason}`);
+    return result;
+  }
+  store.updateSettlement(txId, { status: 'broadcast', broadcast_at: now() });
+  return result;
+}
+
+/**
+ * Mark a settlement failed and take back any credit its payment bought.
+ * If that credit was already spent, the recipient payouts it funded are
+ * still held (see getDuePayouts) and are cancelled to cover the deficit.
+ */
+function failSettlement(store, txId, error) {
+  store.updateSettlement(txId, { status: 'failed', last_error: error });
+  const balance = store.reverseDeposit(txId);
+  if (balance == null) return;
+  console.log(`⚠️ Payment ${txId} failed to settle (${error}); credit reversed`);
+  if (balance < 0) {
+    const { account } = store.getSettlement(txId);
+    const cancelled = store.cancelPayouts(account, -balance, `Payment ${txId} failed to settle`);
+    if (cancelled.length) console.log(`⚠️ Cancelled ${cancelled.length} payout(s) funded by ${account}`);
+  }
+}
+
+/**
+ * One pass over broadcast settlements: confirm or fail each tx.
+ */
+export async function checkSettlements(store, wallet = DEFAULT_WALLET) {
+  for (const settlement of store.getOpenSettlements()) {
+    const status = await wallet.getTxStatus(settlement.tx_id).catch(() => 'pending');
+    if (status === 'success') {
+      store.updateSettlement(settlement.tx_id, { status: 'confirmed', confirmed_at: now() });
+    } else if (status === 'not_found' && now() - settlement.broadcast_at < NOT_FOUND_GRACE) {
+      continue;
+    } else if (status !== 'pending') {
+      failSettlement(store, settlement.tx_id, `Transaction ${status}`);
+    }
+  }
+}
+
+/**
+ * Poll settlements in the background. Returns a stop function.
+ */
+export function startSettlementTracker(store, { wallet = DEFAULT_WALLET, intervalSeconds = TRACK_INTERVAL } = {}) {
+  const timer = setInterval(() => {
+    checkSettlements(store, wallet).catch(err => console.log(`⚠️ Settlement check failed: ${err.message}`));
+  }, intervalSeconds * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+}
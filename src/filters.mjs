@@ -2,8 +2,56 @@
  * NIP-01 filter matching logic.
  * A filter matches an event if ALL specified fields match.
  * Within a field (e.g. ids), any match suffices (OR).
+ * NIP-50 `search` matches when every search term appears in the content.
  */
 
+/**
+ * Split text into lowercase, diacritic-free word tokens, approximating
+ * SQLite's FTS5 unicode61 tokenizer so both store backends agree.
+ */
+export function tokenize(text) {
+  if (typeof text !== 'string') return [];
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Search terms of a NIP-50 query, dropping `key:value` extensions.
+ */
+export function searchTerms(search) {
+  if (typeof search !== 'string') return [];
+  return tokenize(search.split(/\s+/).filter(w => !/^[a-z_]+:\S+$/i.test(w)).join(' '));
+}
+
+/**
+ * Relevance of an event for a search: occurrences of the search terms in
+ * its content, or 0 unless every term is present.
+ */
+export function searchScore(event, terms) {
+  const tokens = tokenize(event.content);
+  let score = 0;
+  for (const term of terms) {
+    const hits = tokens.filter(t => t === term).length;
+    if (!hits) return 0;
+    score += hits;
+  }
+  return score;
+}
+
+/**
+ * Why a client-supplied filter is malformed, or null if it is usable.
+ * Stores and matchFilter() assume this shape.
+ * @returns {string|null} NIP-01 `invalid:` message
+ */
+export function filterError(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) return 'invalid: filter must be an object';
+  for (const key of Object.keys(filter)) {
+    const list = key === 'ids' || key === 'authors' || key === 'kinds' || (key.startsWith('#') && key.length === 2);
+    if (list && !Array.isArray(filter[key])) return `invalid: filter ${key} must be an array`;
+  }
+  return null;
+}
+
 /**
  * Check if an event matches a single filter.
  * @param {Object} event - Nostr event
@@ -37,7 +85,7 @@ export function matchFilter(event, filter) {
     if (key.startsWith('#') && key.length === 2) {
       const tagName = key[1];
       const values = filter[key];
-      if (values && values.length > 0) {
+      if (Array.isArray(values) && values.length > 0) {
         const eventTagValues = (event.tags || [])
           .filter(t => t[0] === tagName)
           .map(t => t[1]);
@@ -46,6 +94,10 @@ export function matchFilter(event, filter) {
     }
   }
 
+  // NIP-50 full-text search
+  const terms = searchTerms(filter.search);
+  if (terms.length && !searchScore(event, terms)) return false;
+
   return true;
 }
 
@@ -2,81 +2,336 @@
  * x402 Nostr Relay v0.6.0 — Entry point.
  * 
  * - SQLite persistent storage (survives restarts)
- * - Auto-forwards sBTC to recipients via p-tag
- * - Publishes events to public relays as backup
- * - WebSocket: NIP-01 free reads
+ * - Auto-forwards sBTC to recipients via p-tag (background payout queue)
+ * - Mirrors events to public relays through a durable outbox
+ * - WebSocket: NIP-01 free reads, NIP-42 AUTH + prepaid credit writes
  * - HTTP POST /api/events: x402 gated writes
  */
 
 import http from 'node:http';
+import { createHash } from 'node:crypto';
 import { Relay } from './relay.mjs';
-import { EventStore } from './store.mjs';
+import { EventStore, DELETION_KIND } from './store.mjs';
 import {
-  build402Response, extractPayment, verifyPayment,
-  getPrice, getRecipient, RELAY_FEE, RECIPIENT_AMOUNT,
+  build402Response, buildSubscription402, withAccepts, extractPayment, depositPayment, settlementHeader,
+  openPaymentIntent, X402_VERSION,
+  getPrice, getRecipients, checkTipAmount, PAY_TO,
 } from './x402.mjs';
-import { resolvePaymentAddress, recordPendingPayout, getPendingPayouts } from './messages.mjs';
-import { getRelayAddress, getRelayBalance, forwardSbtc, isWalletConfigured } from './wallet.mjs';
-
+import { getPolicy, getPolicyInfo, watchPolicyFile } from './pricing.mjs';
+import { validateEvent } from './validate.mjs';
+import { loadRetentionPolicy, startSweeper } from './retention.mjs';
+import { buildRelayInfo, buildPublicationFees, SUPPORTED_NIPS } from './nip11.mjs';
+import { recordPendingPayout, getPendingPayouts, createAddressResolver } from './messages.mjs';
+import { getRelayAddress, getRelayBalance, isWalletConfigured, normalizeTxId } from './wallet.mjs';
+import { PayoutWorker } from './payouts.mjs';
+import { issueChallenge, verifyClaim, buildClaimReceipt } from './claims.mjs';
+import { verifyHttpAuth } from './nip98.mjs';
+import { getRails, buildAccepts } from './rails/index.mjs';
+import { startSettlementTracker, ACCEPT_MODE } from './facilitator.mjs';
+import { openReceipt, startReceiptPoller, RECEIPT_TIMEOUT } from './receipts.mjs';
+import { Limiter, clientIp } from './limits.mjs';
+import { Mirror } from './mirrors.mjs';
+import { Importer } from './sync.mjs';
+
+const VERSION = '0.6.0';
 const PORT = parseInt(process.env.PORT || '8080');
-const store = new EventStore();
-const relay = new Relay({ store });
+// Public URLs; when unset they are derived from the request Host header
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/$/, '') || null;
+const RELAY_URL = process.env.RELAY_URL ||
+  (PUBLIC_URL ? PUBLIC_URL.replace(/^http/, 'ws') : null);
+// Pricing policy file (JSON or YAML), hot-reloaded; built-in prices without it
+const PRICING_POLICY = process.env.PRICING_POLICY || '';
+// Nostr key the relay signs DM receipts with (hex); receipts are skipped without it
+const RELAY_NOSTR_PRIVKEY = process.env.RELAY_NOSTR_PRIVKEY || '';
 
-// Public relays to mirror events to
-const BACKUP_RELAYS = [
-  'wss://relay.damus.io',
-  'wss://nos.lol',
-];
+const store = new EventStore();
+const limiter = new Limiter();
+const relay = new Relay({ store, relayUrl: RELAY_URL, publish: publishEvent, limiter });
+// Recipient payment addresses: local profiles first, cached in the store
+const addressResolver = createAddressResolver({ store });
+// Payouts stay queued until a wallet is configured
+const payoutWorker = isWalletConfigured() && store.db
+  ? new PayoutWorker({ store, resolveAddress: addressResolver.resolve })
+  : null;
+// Outbox of deliveries to public relays (MIRROR_RELAYS)
+const mirror = new Mirror({ store });
+// NIP-77 import of selected events from upstream relays (SYNC_RELAYS)
+const importer = new Importer({ store, relay });
 
 function json(res, status, data, extraHeaders = {}) {
   res.writeHead(status, { 'Content-Type': 'application/json', ...extraHeaders });
   res.end(JSON.stringify(data));
 }
 
-async function readBody(req) {
-  let body = '';
-  for await (const chunk of req) body += chunk;
-  return body;
+/**
+ * Public http(s) and ws(s) base URLs for this relay.
+ */
+function publicUrls(req) {
+  const proto = req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
+  const http = PUBLIC_URL || `${proto}://${req.headers.host || `localhost:${PORT}`}`;
+  return { http, ws: RELAY_URL || http.replace(/^http/, 'ws') };
 }
 
 /**
- * Mirror an event to public backup relays.
- * Best-effort, non-blocking.
+ * Payment networks a client asked the 402 to offer (X-PAYMENT-NETWORK,
+ * comma-separated), for rails that are only built on demand.
  */
-async function mirrorToPublicRelays(event) {
-  const { WebSocket } = await import('ws');
+function requestedNetworks(req) {
+  return String(req.headers['x-payment-network'] || '').split(',').map(n => n.trim()).filter(Boolean);
+}
 
-  for (const relayUrl of BACKUP_RELAYS) {
-    try {
-      const ws = new WebSocket(relayUrl);
-      const timeout = setTimeout(() => { try { ws.close(); } catch {} }, 10000);
+/**
+ * Build a NIP-01 filter from GET /api/events query parameters.
+ */
+function parseEventFilter(url) {
+  const params = url.searchParams;
+  const filter = {};
+  if (params.get('authors')) filter.authors = params.get('authors').split(',');
+  if (params.get('kinds')) filter.kinds = params.get('kinds').split(',').map(Number);
+  if (params.get('ids')) filter.ids = params.get('ids').split(',');
+  if (params.get('since')) filter.since = parseInt(params.get('since'));
+  if (params.get('until')) filter.until = parseInt(params.get('until'));
+  if (params.get('limit')) filter.limit = parseInt(params.get('limit'));
+  if (params.get('#p')) filter['#p'] = params.get('#p').split(',');
+  if (params.get('search')) filter.search = params.get('search');
+  return filter;
+}
 
-      ws.on('open', () => {
-        ws.send(JSON.stringify(['EVENT', event]));
-        setTimeout(() => { clearTimeout(timeout); ws.close(); }, 2000);
-      });
+/**
+ * 402 for an X-PAYMENT header that is malformed or fails verification.
+ */
+function paymentFailed(res, detail) {
+  json(res, 402, { x402Version: X402_VERSION, error: 'Payment verification failed', detail });
+}
+
+/**
+ * 429 with a Retry-After header.
+ */
+function tooManyRequests(res, retryAfter, error = 'Too many requests') {
+  json(res, 429, { error, retry_after: retryAfter }, { 'Retry-After': String(retryAfter) });
+}
+
+function bodyTooLarge(res) {
+  json(res, 413, { error: `Request body exceeds ${limiter.limits.maxBodySize} bytes` }, { Connection: 'close' });
+}
+
+/**
+ * Read a request body, up to MAX_BODY_SIZE bytes. Past that it stops
+ * reading, answers 413 and drops the connection once the answer is out,
+ * so an endless upload can't hold the socket.
+ * @returns {Promise<string|null>} the body, or null if it was too large
+ */
+function readBody(req, res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size <= limiter.limits.maxBodySize) { chunks.push(chunk); return; }
+      req.off('data', onData);
+      req.pause();
+      res.once('finish', () => req.destroy());
+      bodyTooLarge(res);
+      resolve(null);
+    };
+    req.on('data', onData);
+    req.once('end', () => resolve(Buffer.concat(chunks).toString()));
+    req.once('error', reject);
+  });
+}
+
+/**
+ * Rate-limit key for a payment proof: its txid, else a hash of the payload.
+ */
+function paymentKey(payment) {
+  const { txId, ...rest } = payment.payload ?? {};
+  if (typeof txId === 'string') return normalizeTxId(txId);
+  return createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+}
+
+/**
+ * depositPayment behind the per-txid bucket and the cap on verifications
+ * in flight. Answers 429 itself and returns null when either is exhausted.
+ */
+async function limitedDeposit(res, payment, account, opts) {
+  const wait = limiter.hit('txid', paymentKey(payment));
+  if (wait) { tooManyRequests(res, wait, 'Too many attempts with this payment'); return null; }
+  const deposit = await limiter.verify(() => depositPayment(payment, account, store, opts));
+  if (!deposit) tooManyRequests(res, 1, 'Too many payment verifications in progress');
+  return deposit;
+}
+
+/**
+ * Queue one payout per paid recipient of an event. The payout worker
+ * resolves addresses and forwards the sBTC in the background, once the
+ * author has no payment still settling.
+ * @returns {Object|null} forwarding status, or null if no recipient
+ */
+function enqueuePayouts(event, { amount: tip } = {}) {
+  const recipients = getRecipients(event, { amount: tip });
+  if (!recipients.length) return null;
+  const amount = recipients.reduce((sum, r) => sum + r.amount, 0);
+
+  if (!store.db) {
+    for (const r of recipients) recordPendingPayout(r.pubkey, null, r.amount, event.id);
+    return { status: 'untracked', reason: 'Payout queue requires SQLite storage', amount, recipients };
+  }
+  const payouts = recipients.map(r => ({
+    payoutId: store.recordPayout(r.pubkey, r.amount, event.id, null, 'queued', event.pubkey),
+    recipientPubkey: r.pubkey,
+    amount: r.amount,
+  }));
+  payoutWorker?.wake();
+  return { status: 'queued', amount, payouts };
+}
+
+/**
+ * Public view of a subscription row.
+ */
+function subscriptionSummary(sub) {
+  return {
+    plan: sub.plan,
+    starts_at: sub.starts_at,
+    expires_at: sub.expires_at,
+    quota: sub.quota,
+    used: sub.used,
+    remaining: sub.quota == null ? null : Math.max(0, sub.quota - sub.used),
+  };
+}
+
+function receiptSummary(receipt) {
+  return {
+    id: receipt.id,
+    status: receipt.status,
+    reason: receipt.reason,
+    tx_id: receipt.tx_id,
+    network: receipt.network,
+    account: receipt.account,
+    event_id: receipt.event ? JSON.parse(receipt.event).id : null,
+    plan: receipt.plan ?? null,
+    created_at: receipt.created_at,
+    checked_at: receipt.checked_at,
+    resolved_at: receipt.resolved_at,
+    expires_at: receipt.created_at + RECEIPT_TIMEOUT,
+  };
+}
+
+/**
+ * 202 for a payment whose tx is not final yet: open a receipt the poller
+ * settles later. A tx already pending for another request is refused.
+ */
+function paymentPending(req, res, deposit, opts) {
+  const receipt = openReceipt(store, { ...opts, txId: deposit.txId, reason: deposit.error });
+  if (!receipt) { paymentFailed(res, 'Transaction is already pending for another request'); return; }
+  json(res, 202, {
+    ok: true,
+    pending: true,
+    receipt: receiptSummary(receipt),
+    status_url: `${publicUrls(req).http}/api/receipts/${receipt.id}`,
+    message: `Payment not final yet (${deposit.error}); it will be applied once it is`,
+  });
+}
 
-      ws.on('error', () => { clearTimeout(timeout); });
-    } catch {}
+/**
+ * Buy a subscription plan from a pubkey's prepaid credit. Shared by
+ * POST /api/subscriptions and pending payment receipts.
+ * @returns {{ ok: boolean, price?: number, balance?: number, subscription?: Object, error?: string }}
+ */
+function buySubscription(pubkey, name) {
+  const plans = getPolicy().subscriptions;
+  if (!Object.hasOwn(plans, name)) return { ok: false, error: `Unknown plan: ${name}` };
+  const plan = plans[name];
+  const purchase = store.purchaseSubscription(pubkey, {
+    plan: name, price: plan.price, quota: plan.quota, period: plan.days * 86400,
+  });
+  return { ...purchase, price: plan.price };
+}
+
+/**
+ * DM a claim receipt to the claimant from the relay's Nostr key.
+ * @returns {Promise<string|null>} receipt event id
+ */
+async function sendClaimReceipt(claim) {
+  if (!RELAY_NOSTR_PRIVKEY) return null;
+  const receipt = await buildClaimReceipt(RELAY_NOSTR_PRIVKEY, claim);
+  relay.injectEvent(receipt);
+  mirror.enqueue(receipt);
+  return receipt.id;
+}
+
+/**
+ * Charge a validated event to its pubkey's prepaid balance, then store,
+ * broadcast, mirror and forward it. Shared by HTTP POST /api/events and
+ * NIP-42 authenticated WebSocket EVENTs.
+ * @param {Object} event
+ * @param {Object} [opts] - { amount } checked tip (defaults to the event's amount tag)
+ */
+async function publishEvent(event, { amount } = {}) {
+  // An active subscription waives the relay fee; recipient tips are still charged
+  const subscription = store.useSubscription(event.pubkey);
+  const subscribed = !!subscription;
+  const release = () => subscription && store.releaseSubscription(subscription.id);
+
+  const price = getPrice(event, { amount, subscribed });
+  const charge = price > 0
+    ? store.chargeCredit(event.pubkey, price, event.id)
+    : { ok: true, balance: store.getCreditBalance(event.pubkey) };
+  if (!charge.ok) {
+    release();
+    return { ok: false, price, balance: charge.balance, subscribed };
+  }
+
+  // Store and broadcast locally
+  const added = relay.injectEvent(event);
+  if (!added) {
+    release();
+    const balance = price > 0 ? store.refundCredit(event.pubkey, price, event.id) : charge.balance;
+    return { ok: true, added, price, balance, subscribed };
   }
+
+  // NIP-09: report which referenced targets were actually removed
+  const deletion = event.kind === DELETION_KIND ? {
+    removed: store.getDeletionTargets(event.id).filter(t => t.removed > 0).map(t => t.target),
+  } : undefined;
+
+  // Queue for the public relays; the mirror delivers in the background
+  mirror.enqueue(event);
+
+  const forwarding = enqueuePayouts(event, { amount });
+  return { ok: true, added, price, balance: charge.balance, forwarding, deletion, subscription };
 }
 
 const httpServer = http.createServer(async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Payment, X-Payment-Response');
-  res.setHeader('Access-Control-Expose-Headers', 'X-Payment');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-PAYMENT, X-PAYMENT-NETWORK');
+  res.setHeader('Access-Control-Expose-Headers', 'X-PAYMENT-RESPONSE');
 
   if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
 
+  const wait = limiter.hit('ip', clientIp(req));
+  if (wait) { tooManyRequests(res, wait); return; }
+  if (Number(req.headers['content-length']) > limiter.limits.maxBodySize) { bodyTooLarge(res); return; }
+
+  // GET / — NIP-11 relay information document (Accept: application/nostr+json)
+  if (req.method === 'GET' && req.url === '/' &&
+      (req.headers.accept || '').includes('application/nostr+json')) {
+    const info = buildRelayInfo({ httpUrl: publicUrls(req).http, limits: relay.limits, version: VERSION });
+    res.writeHead(200, { 'Content-Type': 'application/nostr+json' });
+    res.end(JSON.stringify(info));
+    return;
+  }
+
   // GET / — relay info
   if (req.method === 'GET' && req.url === '/') {
+    const urls = publicUrls(req);
+    const { recipient } = getPolicy();
     const balance = await getRelayBalance().catch(() => 0);
     json(res, 200, {
       name: 'x402-nostr-relay',
-      version: '0.6.0',
+      version: VERSION,
       description: 'Nostr relay with x402 sBTC payment gate. Tag someone → they get paid.',
-      supported_nips: [1],
+      supported_nips: SUPPORTED_NIPS,
       events_stored: store.size,
       wallet: {
         configured: isWalletConfigured(),
@@ -84,119 +339,421 @@ const httpServer = http.createServer(async (req, res) => {
         sbtcBalance: balance,
       },
       endpoints: {
-        ws: 'wss://x402-nostr-relay.fly.dev',
-        events: 'https://x402-nostr-relay.fly.dev/api/events',
-        payouts: 'https://x402-nostr-relay.fly.dev/api/payouts',
+        ws: urls.ws,
+        events: `${urls.http}/api/events`,
+        payouts: `${urls.http}/api/payouts`,
+        subscriptions: `${urls.http}/api/subscriptions`,
+        claims: `${urls.http}/api/claims/:pubkey`,
+        mirrors: `${urls.http}/api/events/:id/mirrors`,
       },
       pricing: {
-        description: 'Base relay fee by kind. Events with p-tag add 100 sats forwarded to recipient.',
-        recipientForward: RECIPIENT_AMOUNT,
-        examples: {
-          'kind 1 (text note)': '10 sats',
-          'kind 1 with p tag': '110 sats (10 relay + 100 to recipient)',
-          'kind 4 (DM)': '105 sats (5 relay + 100 to recipient)',
-        },
+        description: `Base relay fee by kind. Each p-tagged pubkey (up to ${recipient.maxRecipients}) adds ${recipient.amount} sats forwarded to it; zap tags split ${recipient.amount} sats by weight.`,
+        recipientForward: recipient.amount,
+        maxPaidRecipients: recipient.maxRecipients,
+        policy: `${urls.http}/api/pricing`,
+        publication: buildPublicationFees(),
       },
-      storage: 'persistent (SQLite)',
-      backupRelays: BACKUP_RELAYS,
+      storage: store.db ? 'persistent (SQLite)' : 'in-memory',
+      backupRelays: mirror.relays,
+    });
+    return;
+  }
+
+  // GET /api/resolve/:pubkey[?refresh=1] — how a recipient's payment address resolves
+  if (req.method === 'GET' && req.url.startsWith('/api/resolve/')) {
+    const url = new URL(req.url, 'http://localhost');
+    const pubkey = url.pathname.slice('/api/resolve/'.length);
+    if (!/^[0-9a-f]{64}$/.test(pubkey)) {
+      json(res, 400, { error: 'pubkey must be 32-byte lowercase hex' }); return;
+    }
+    json(res, 200, await addressResolver.lookup(pubkey, { refresh: url.searchParams.get('refresh') === '1' }));
+    return;
+  }
+
+  // GET /api/sync — inbound sync filter and the last import from each upstream relay
+  if (req.method === 'GET' && req.url === '/api/sync') {
+    json(res, 200, {
+      enabled: importer.enabled,
+      filter: importer.filter,
+      relays: importer.relays.map(url => {
+        const state = store.getSyncState(url);
+        return {
+          url,
+          method: state?.method ?? null,
+          synced_at: state?.synced_at ?? null,
+          imported: state?.imported ?? 0,
+          last_error: state?.last_error ?? null,
+        };
+      }),
     });
     return;
   }
 
+  // GET /api/pricing — active pricing policy
+  if (req.method === 'GET' && req.url === '/api/pricing') {
+    json(res, 200, getPolicyInfo());
+    return;
+  }
+
+  // GET /api/subscriptions — available plans
+  if (req.method === 'GET' && req.url === '/api/subscriptions') {
+    json(res, 200, { plans: getPolicy().subscriptions });
+    return;
+  }
+
+  // GET /api/subscriptions/:pubkey — subscription status
+  if (req.method === 'GET' && /^\/api\/subscriptions\/[0-9a-f]{64}$/.test(req.url)) {
+    const pubkey = req.url.slice('/api/subscriptions/'.length);
+    const active = store.getActiveSubscription(pubkey);
+    json(res, 200, {
+      pubkey,
+      active: active ? subscriptionSummary(active) : null,
+      subscriptions: store.getSubscriptions(pubkey).map(subscriptionSummary),
+    });
+    return;
+  }
+
+  // POST /api/subscriptions — buy a plan: { pubkey, plan }
+  // Paid from prepaid credit; a payment proof header tops it up first.
+  if (req.method === 'POST' && req.url === '/api/subscriptions') {
+    const body = await readBody(req, res);
+    if (body == null) return;
+    let payload;
+    try { payload = JSON.parse(body); } catch {
+      json(res, 400, { error: 'Invalid JSON' }); return;
+    }
+    if (typeof payload?.pubkey !== 'string' || !/^[0-9a-f]{64}$/.test(payload.pubkey)) {
+      json(res, 400, { error: 'pubkey must be 32-byte lowercase hex' }); return;
+    }
+    const plans = getPolicy().subscriptions;
+    if (!Object.hasOwn(plans, payload.plan)) {
+      json(res, 400, { error: 'Unknown plan', plans: Object.keys(plans) }); return;
+    }
+
+    const payment = extractPayment(req.headers);
+    let deposit = null;
+    if (payment) {
+      if (!payment.valid) { paymentFailed(res, payment.error); return; }
+      const minimum = Math.max(0, plans[payload.plan].price - store.getCreditBalance(payload.pubkey));
+      deposit = await limitedDeposit(res, payment.payment, payload.pubkey, { minimum });
+      if (!deposit) return;
+      if (deposit.pending) {
+        paymentPending(req, res, deposit, {
+          payment: payment.payment, account: payload.pubkey, plan: payload.plan, minimum,
+        });
+        return;
+      }
+      if (!deposit.valid) { paymentFailed(res, deposit.error); return; }
+    }
+
+    const purchase = buySubscription(payload.pubkey, payload.plan);
+    if (!purchase.ok) {
+      const resource = `${publicUrls(req).http}/api/subscriptions`;
+      const resp = await withAccepts(buildSubscription402(payload.plan, {
+        balance: purchase.balance, resource,
+        intent: openPaymentIntent(store, { pubkey: payload.pubkey }, { amount: purchase.price, resource }),
+      }), { networks: requestedNetworks(req) });
+      res.writeHead(402, resp.headers);
+      res.end(JSON.stringify(resp.body));
+      return;
+    }
+    json(res, 200, {
+      ok: true,
+      subscription: subscriptionSummary(purchase.subscription),
+      credit: { charged: purchase.price, balance: purchase.balance },
+    }, deposit ? settlementHeader(deposit) : {});
+    return;
+  }
+
   // GET /api/payouts
   if (req.method === 'GET' && req.url === '/api/payouts') {
-    json(res, 200, { payouts: store.getAllPayouts?.() || getPendingPayouts() });
+    if (!store.db) { json(res, 200, { payouts: getPendingPayouts() }); return; }
+    json(res, 200, { payouts: store.getAllPayouts(), batches: store.getPayoutBatches() });
     return;
   }
 
-  // GET /api/events?authors=...&kinds=...&limit=... — query stored events
-  if (req.method === 'GET' && req.url.startsWith('/api/events')) {
-    const url = new URL(req.url, 'http://localhost');
-    const filter = {};
-    if (url.searchParams.get('authors')) filter.authors = url.searchParams.get('authors').split(',');
-    if (url.searchParams.get('kinds')) filter.kinds = url.searchParams.get('kinds').split(',').map(Number);
-    if (url.searchParams.get('ids')) filter.ids = url.searchParams.get('ids').split(',');
-    if (url.searchParams.get('limit')) filter.limit = parseInt(url.searchParams.get('limit'));
-    if (url.searchParams.get('#p')) filter['#p'] = url.searchParams.get('#p').split(',');
+  // GET /api/payouts/:id — payout queue status
+  if (req.method === 'GET' && /^\/api\/payouts\/\d+$/.test(req.url)) {
+    const payout = store.getPayout(parseInt(req.url.slice('/api/payouts/'.length)));
+    if (!payout) { json(res, 404, { error: 'Payout not found' }); return; }
+    const batch = payout.batch_id != null ? store.getPayoutBatch(payout.batch_id) : null;
+    json(res, 200, { payout, batch });
+    return;
+  }
 
-    const events = store.query(filter);
-    json(res, 200, { events, count: events.length });
+  // GET /api/claims/:pubkey — claimable balance plus a one-time claim challenge
+  if (req.method === 'GET' && /^\/api\/claims\/[0-9a-f]{64}$/.test(req.url)) {
+    const pubkey = req.url.slice('/api/claims/'.length);
+    const payouts = store.getClaimablePayouts(pubkey);
+    json(res, 200, {
+      pubkey,
+      claimable: payouts.reduce((sum, p) => sum + p.amount, 0),
+      payouts,
+      ...issueChallenge(pubkey),
+      claim_url: `${publicUrls(req).http}/api/claims`,
+    });
     return;
   }
 
-  // POST /api/events — x402 gated event publishing
-  if (req.method === 'POST' && req.url === '/api/events') {
-    const body = await readBody(req);
+  // POST /api/claims — claim held payouts with a signed kind 27235 event
+  if (req.method === 'POST' && req.url === '/api/claims') {
+    if (!store.db) { json(res, 503, { error: 'Claims require SQLite storage' }); return; }
+    const body = await readBody(req, res);
+    if (body == null) return;
     let event;
     try { event = JSON.parse(body); } catch {
       json(res, 400, { error: 'Invalid JSON' }); return;
     }
-
-    if (!event.id || !event.pubkey || event.kind == null || !event.sig) {
-      json(res, 400, { error: 'Invalid event: missing required fields' }); return;
+    const claim = await verifyClaim(event);
+    if (!claim.valid) {
+      json(res, 400, { error: 'Invalid claim', reason: claim.reason, detail: claim.message });
+      return;
     }
+    const payouts = store.claimPayouts(claim.pubkey, claim.address, event.id);
+    if (!payouts.length) { json(res, 404, { error: 'Nothing to claim' }); return; }
+    payoutWorker?.wake();
+
+    const receipt = await sendClaimReceipt({ pubkey: claim.pubkey, address: claim.address, payouts })
+      .catch(err => { console.log(`⚠️ Claim receipt failed: ${err.message}`); return null; });
+    json(res, 200, {
+      ok: true,
+      address: claim.address,
+      amount: payouts.reduce((sum, p) => sum + p.amount, 0),
+      payoutIds: payouts.map(p => p.id),
+      status: 'queued',
+      receipt,
+    });
+    return;
+  }
+
+  // GET /api/settlements/:txId — status of a pre-signed payment the relay broadcast
+  if (req.method === 'GET' && req.url.startsWith('/api/settlements/')) {
+    const settlement = store.getSettlement(normalizeTxId(decodeURIComponent(req.url.slice('/api/settlements/'.length))));
+    if (!settlement) { json(res, 404, { error: 'Settlement not found' }); return; }
+    json(res, 200, { settlement });
+    return;
+  }
 
-    const txId = extractPayment(req.headers);
+  // GET /api/intents/:id — a payment intent and the tx that paid it
+  if (req.method === 'GET' && /^\/api\/intents\/[0-9a-f]{32}$/.test(req.url)) {
+    const intent = store.getPaymentIntent(req.url.slice('/api/intents/'.length));
+    if (!intent) { json(res, 404, { error: 'Payment intent not found' }); return; }
+    const expired = intent.status === 'open' && intent.expires_at <= Math.floor(Date.now() / 1000);
+    json(res, 200, { intent: { ...intent, status: expired ? 'expired' : intent.status } });
+    return;
+  }
 
-    if (!txId) {
-      const resp = build402Response(event);
-      res.writeHead(402, resp.headers);
-      res.end(JSON.stringify(resp.body));
+  // GET /api/receipts/:id — status of a payment accepted before its tx was final
+  if (req.method === 'GET' && /^\/api\/receipts\/[0-9a-f]{32}$/.test(req.url)) {
+    const receipt = store.getReceipt(req.url.slice('/api/receipts/'.length));
+    if (!receipt) { json(res, 404, { error: 'Receipt not found' }); return; }
+    json(res, 200, { receipt: receiptSummary(receipt) });
+    return;
+  }
+
+  // GET /api/payments/:txId — which event or intent a used payment paid for
+  if (req.method === 'GET' && req.url.startsWith('/api/payments/')) {
+    const txId = decodeURIComponent(req.url.slice('/api/payments/'.length)).toLowerCase();
+    const payment = store.getUsedTx(/^(0x)?[0-9a-f]{64}$/.test(txId) ? normalizeTxId(txId) : txId);
+    if (!payment) { json(res, 404, { error: 'Payment not found' }); return; }
+    json(res, 200, { payment });
+    return;
+  }
+
+  // GET /api/credits/:account[/transactions] — prepaid balance and history
+  if (req.method === 'GET' && req.url.startsWith('/api/credits/')) {
+    const url = new URL(req.url, 'http://localhost');
+    const [account, sub] = url.pathname.slice('/api/credits/'.length).split('/');
+    if (!account || (sub && sub !== 'transactions')) {
+      json(res, 404, { error: 'Not found' }); return;
+    }
+    if (sub === 'transactions') {
+      const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 500);
+      json(res, 200, { account, transactions: store.getCreditTransactions(account, limit) });
       return;
     }
+    json(res, 200, { account, balance: store.getCreditBalance(account) });
+    return;
+  }
 
-    // Verify payment and persist the tx as used atomically (SQLite-backed)
-    const totalPrice = getPrice(event);
-    const verification = await verifyPayment(txId, totalPrice, store);
+  // POST /api/credits — top up a prepaid balance without publishing
+  // Body: { pubkey?, amount? } — `amount` (sats) asks the 402 for payment
+  // options, e.g. an invoice, and with `pubkey` a payment intent for it. A
+  // payment naming the intent (or Lightning) credits the pubkey; any other
+  // sBTC payment credits the tx sender's STX address.
+  if (req.method === 'POST' && req.url === '/api/credits') {
+    const body = await readBody(req, res);
+    if (body == null) return;
+    let payload = {};
+    if (body) {
+      try { payload = JSON.parse(body); } catch {
+        json(res, 400, { error: 'Invalid JSON' }); return;
+      }
+    }
+    if (payload.pubkey != null && !/^[0-9a-f]{64}$/.test(payload.pubkey)) {
+      json(res, 400, { error: 'pubkey must be 32-byte lowercase hex' }); return;
+    }
+    const payment = extractPayment(req.headers);
+    if (!payment) {
+      const resource = `${publicUrls(req).http}/api/credits`;
+      const amount = Number.isInteger(payload.amount) && payload.amount > 0 ? payload.amount : null;
+      const intent = amount && payload.pubkey ? openPaymentIntent(store, { pubkey: payload.pubkey }, { amount, resource }) : null;
+      const accepts = amount
+        ? await buildAccepts(
+          { amount, description: 'Top up x402 Nostr relay credit', resource, intent: intent?.id },
+          { networks: requestedNetworks(req) },
+        )
+        : [];
+      json(res, 402, {
+        x402Version: X402_VERSION, error: 'Payment Required', accepts, asset: 'sBTC', payTo: PAY_TO,
+        ...(intent ? { intent: { id: intent.id, amount: intent.amount, expires_at: intent.expires_at } } : {}),
+      });
+      return;
+    }
+    if (!payment.valid) { paymentFailed(res, payment.error); return; }
+    const deposit = await limitedDeposit(res, payment.payment, payload.pubkey);
+    if (!deposit) return;
+    if (deposit.pending) {
+      paymentPending(req, res, deposit, { payment: payment.payment, account: payload.pubkey ?? null });
+      return;
+    }
+    if (!deposit.valid) { paymentFailed(res, deposit.error); return; }
+    json(res, 200, {
+      ok: true, account: deposit.account, deposited: deposit.amount, balance: deposit.balance,
+    }, settlementHeader(deposit));
+    return;
+  }
 
-    if (!verification.valid) {
-      json(res, 402, { error: 'Payment verification failed', detail: verification.error });
+  // GET /api/events/count — NIP-45 style count, same query parameters as /api/events
+  if (req.method === 'GET' && new URL(req.url, 'http://localhost').pathname === '/api/events/count') {
+    const filter = parseEventFilter(new URL(req.url, 'http://localhost'));
+    json(res, 200, { count: store.count(filter) });
+    return;
+  }
+
+  // GET /api/events/:id/mirrors — delivery of an event to each public relay
+  const mirrorsPath = new URL(req.url, 'http://localhost').pathname.match(/^\/api\/events\/([0-9a-f]{64})\/mirrors$/);
+  if (req.method === 'GET' && mirrorsPath) {
+    const mirrors = store.getMirrors(mirrorsPath[1]);
+    if (!mirrors.length) { json(res, 404, { error: 'Event was not mirrored' }); return; }
+    json(res, 200, {
+      event_id: mirrorsPath[1],
+      accepted: mirrors.filter(m => m.status === 'accepted').length,
+      mirrors: mirrors.map(({ event, event_id, ...delivery }) => delivery),
+    });
+    return;
+  }
+
+  // GET /api/events?authors=...&kinds=...&limit=... — query stored events
+  if (req.method === 'GET' && req.url.startsWith('/api/events')) {
+    const filter = parseEventFilter(new URL(req.url, 'http://localhost'));
+    const events = store.query(filter);
+    json(res, 200, { events, count: events.length });
+    return;
+  }
+
+  // POST /api/events[?amount=<sats>] — x402 gated event publishing
+  if (req.method === 'POST' && new URL(req.url, 'http://localhost').pathname === '/api/events') {
+    const body = await readBody(req, res);
+    if (body == null) return;
+    let event;
+    try { event = JSON.parse(body); } catch {
+      json(res, 400, { error: 'Invalid JSON' }); return;
+    }
+
+    // Reject forged or malformed events before anyone is asked to pay
+    const validation = await validateEvent(event);
+    if (!validation.valid) {
+      json(res, 400, { error: 'Invalid event', reason: validation.reason, detail: validation.message });
       return;
     }
 
-    // Store and broadcast locally
-    const added = relay.injectEvent(event);
-
-    // Mirror to public relays (async, best-effort)
-    mirrorToPublicRelays(event).catch(() => {});
-
-    // Handle recipient forwarding
-    const recipientHex = getRecipient(event);
-    let forwarding = null;
-
-    if (recipientHex) {
-      let paymentAddress = null;
-      try {
-        paymentAddress = await resolvePaymentAddress(recipientHex);
-      } catch {}
-
-      // Record payout in SQLite
-      store.recordPayout?.(recipientHex, RECIPIENT_AMOUNT, event.id, paymentAddress);
-
-      // Auto-forward if STX address found and wallet configured
-      if (paymentAddress?.type === 'stx' && isWalletConfigured()) {
-        const fwd = await forwardSbtc(paymentAddress.address, RECIPIENT_AMOUNT);
-        if (fwd.success) {
-          store.updatePayoutTx?.(event.id, fwd.txId, 'sent');
-          forwarding = { status: 'sent', txId: fwd.txId, address: paymentAddress.address, amount: RECIPIENT_AMOUNT };
-        } else {
-          store.updatePayoutTx?.(event.id, null, 'failed');
-          forwarding = { status: 'failed', error: fwd.error, address: paymentAddress.address, amount: RECIPIENT_AMOUNT };
-        }
-      } else if (paymentAddress) {
-        forwarding = { status: 'pending', address: paymentAddress.address, type: paymentAddress.type, amount: RECIPIENT_AMOUNT };
-      } else {
-        forwarding = { status: 'held', reason: 'No payment address found', claimable: true };
+    // Sender-chosen tip for p-tagged recipients
+    const tip = checkTipAmount(event, new URL(req.url, 'http://localhost').searchParams.get('amount') ?? undefined);
+    if (!tip.valid) {
+      json(res, 400, { error: 'Invalid amount', reason: tip.reason, detail: tip.message });
+      return;
+    }
+
+    const pubkeyWait = limiter.hit('pubkey', event.pubkey);
+    if (pubkeyWait) { tooManyRequests(res, pubkeyWait, 'Too many events from this pubkey'); return; }
+
+    // NIP-98: only a request signed with the event's key may spend the
+    // pubkey's prepaid credit or subscription. Without it (e.g. a note
+    // replayed from another relay) the payment sent along must cover the
+    // full price.
+    let authed = false;
+    if (req.headers.authorization) {
+      const auth = await verifyHttpAuth(req.headers.authorization, {
+        url: `${publicUrls(req).http}${req.url}`, method: 'POST', body,
+      });
+      if (!auth.valid) {
+        json(res, 401, { error: 'Invalid Authorization', reason: auth.reason, detail: auth.message });
+        return;
       }
+      if (auth.pubkey !== event.pubkey) {
+        json(res, 401, { error: 'Invalid Authorization', reason: 'pubkey-mismatch', detail: 'invalid: auth event must be signed by the event pubkey' });
+        return;
+      }
+      authed = true;
+    }
+    const fullPrice = getPrice(event, { amount: tip.amount });
+
+    const payment = extractPayment(req.headers);
+
+    // A payment proof tops up the author's prepaid balance (full amount, so
+    // overpayment is kept as credit); the event is then charged from it.
+    // A pre-signed tx must cover what the balance is short of the price
+    // (the full price, unauthenticated). An sBTC payment must name the
+    // 402's payment intent to be credited to the author; without one it
+    // goes to the tx sender's STX address.
+    let deposit = null;
+    if (payment) {
+      if (!payment.valid) { paymentFailed(res, payment.error); return; }
+      const price = getPrice(event, { amount: tip.amount, subscribed: !!store.getActiveSubscription(event.pubkey) });
+      const minimum = authed ? Math.max(0, price - store.getCreditBalance(event.pubkey)) : fullPrice;
+      deposit = await limitedDeposit(res, payment.payment, event.pubkey, { minimum, eventId: event.id });
+      if (!deposit) return;
+      if (deposit.pending) {
+        paymentPending(req, res, deposit, {
+          payment: payment.payment, account: event.pubkey, event, amount: tip.amount, minimum, useCredit: authed,
+        });
+        return;
+      }
+      if (!deposit.valid) { paymentFailed(res, deposit.error); return; }
+    }
+
+    const paid = authed || (deposit?.account === event.pubkey && deposit.amount >= fullPrice);
+    const result = paid ? await publishEvent(event, { amount: tip.amount }) : null;
+    if (!result?.ok) {
+      const resource = `${publicUrls(req).http}/api/events`;
+      const resp = await withAccepts(
+        build402Response(event, {
+          balance: result?.balance, amount: tip.amount, subscribed: result?.subscribed, resource,
+          intent: openPaymentIntent(store, event, { amount: result?.price ?? fullPrice, resource }),
+        }),
+        { networks: requestedNetworks(req) },
+      );
+      const body402 = authed ? resp.body : {
+        ...resp.body,
+        auth: 'Sign the request with NIP-98 (Authorization: Nostr <event>) as the event pubkey to spend its prepaid credit or subscription',
+      };
+      res.writeHead(402, resp.headers);
+      res.end(JSON.stringify(body402));
+      return;
     }
 
     json(res, 200, {
       ok: true,
       event_id: event.id,
-      added,
-      message: added ? 'Event published, broadcast, and mirrored to public relays' : 'Duplicate event',
-      ...(forwarding ? { forwarding } : {}),
-    });
+      added: result.added,
+      credit: { charged: result.added ? result.price : 0, balance: result.balance },
+      message: result.added ? 'Event published and broadcast; queued for mirroring to public relays' : 'Duplicate event',
+      ...(result.subscription ? { subscription: subscriptionSummary(result.subscription) } : {}),
+      ...(result.forwarding ? { forwarding: result.forwarding } : {}),
+      ...(result.deletion ? { deletion: result.deletion } : {}),
+      ...(deposit?.intent ? { intent: deposit.intent } : {}),
+    }, deposit ? settlementHeader(deposit) : {});
     return;
   }
 
@@ -205,11 +762,30 @@ const httpServer = http.createServer(async (req, res) => {
 
 relay.attach(httpServer);
 
+// Reload the pricing policy when its file changes
+if (PRICING_POLICY) watchPolicyFile(PRICING_POLICY);
+
+// NIP-40 expiration + retention policy sweeper
+const retentionPolicy = loadRetentionPolicy();
+startSweeper(store, retentionPolicy);
+startSettlementTracker(store);
+startReceiptPoller(store, { publish: publishEvent, subscribe: buySubscription });
+
+payoutWorker?.start();
+mirror.start();
+importer.start();
+
 httpServer.listen(PORT, () => {
-  console.log(`⚡ x402 Nostr Relay v0.6.0 on port ${PORT}`);
+  console.log(`⚡ x402 Nostr Relay v${VERSION} on port ${PORT}`);
   console.log(`   Wallet:  ${getRelayAddress() || 'NOT CONFIGURED'}`);
+  console.log(`   Payouts: ${!payoutWorker ? 'queued only (no wallet or SQLite)'
+    : payoutWorker.batching ? `batched every ${payoutWorker.batch.window}s` : 'worker running'}`);
   console.log(`   Storage: ${store.db ? 'SQLite (persistent)' : 'In-memory'}`);
-  console.log(`   Backup:  ${BACKUP_RELAYS.join(', ')}`);
+  console.log(`   Mirrors: ${mirror.relays.join(', ') || 'none'}`);
+  console.log(`   Sync:    ${importer.enabled ? `${JSON.stringify(importer.filter)} from ${importer.relays.join(', ')}` : 'off'}`);
+  console.log(`   Retention: ${JSON.stringify(retentionPolicy)}`);
+  console.log(`   Pricing: ${PRICING_POLICY || 'built-in defaults'}`);
+  console.log(`   Rails:   ${getRails().map(r => r.name).join(', ')} (pre-signed sBTC: ${ACCEPT_MODE})`);
 });
 
 export { relay, httpServer, store };
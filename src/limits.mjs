@@ -0,0 +1,126 @@
+/**
+ * Relay limits and abuse protection, shared by HTTP and WebSocket.
+ *
+ * - Size caps: HTTP request bodies, WebSocket messages, subscriptions per
+ *   connection, filters per REQ, subscription id length and the events a
+ *   NIP-77 sync may cover.
+ * - Token buckets (requests per minute, with a burst of the same size)
+ *   per client IP, per event pubkey and per payment txid, so one client
+ *   can't flood the relay and an invalid proof can't be retried into a
+ *   stream of Stacks API lookups. 0 disables a bucket.
+ * - A cap on payment verifications in flight at once.
+ *
+ * All values come from env; the NIP-11 `limitation` block reports them.
+ */
+
+import { MAX_QUERY_LIMIT } from './store.mjs';
+
+const env = (name, fallback) => parseInt(process.env[name] || String(fallback));
+
+const RATE_WINDOW = 60; // seconds a bucket takes to refill
+const MAX_BUCKETS = 10000; // tracked keys before full buckets are pruned
+
+// Advertised in the NIP-11 `limitation` block
+export const DEFAULT_LIMITS = {
+  maxMessageLength: env('MAX_MESSAGE_LENGTH', 65536),
+  maxSubscriptions: env('MAX_SUBSCRIPTIONS', 20),
+  maxFilters: env('MAX_FILTERS', 10),
+  maxLimit: MAX_QUERY_LIMIT,
+  maxSubidLength: 64,
+  maxSyncRecords: env('MAX_SYNC_RECORDS', 100000), // events one NEG-OPEN may reconcile
+  maxBodySize: env('MAX_BODY_SIZE', 65536),
+  maxConcurrentVerifications: env('MAX_CONCURRENT_VERIFICATIONS', 8),
+  ipRate: env('RATE_LIMIT_IP', 120),
+  pubkeyRate: env('RATE_LIMIT_PUBKEY', 30),
+  txidRate: env('RATE_LIMIT_TXID', 5),
+};
+
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+/**
+ * Client address of a request, else the socket peer. Behind a trusted
+ * proxy (TRUST_PROXY=true) it is `Fly-Client-IP`, or the last
+ * X-Forwarded-For entry: the hop the proxy appended. Earlier entries come
+ * from the client and can be anything.
+ */
+export function clientIp(req, { trustProxy = TRUST_PROXY } = {}) {
+  if (trustProxy) {
+    const forwarded = String(req.headers['fly-client-ip'] || '').trim()
+      || String(req.headers['x-forwarded-for'] || '').split(',').at(-1).trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Token buckets keyed by string: `perMinute` tokens, refilled evenly.
+ */
+export class TokenBuckets {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.buckets = new Map(); // key → { tokens, at }
+  }
+
+  /**
+   * Take a token for `key`.
+   * @returns {number} 0 if allowed, else seconds until a token is free
+   */
+  take(key, at = Date.now()) {
+    if (!this.capacity) return 0;
+    const refill = this.capacity / (RATE_WINDOW * 1000); // tokens per ms
+    const bucket = this.buckets.get(key) ?? { tokens: this.capacity, at };
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (at - bucket.at) * refill);
+    bucket.at = at;
+    this.buckets.set(key, bucket);
+    if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) / refill / 1000);
+    bucket.tokens -= 1;
+    if (this.buckets.size > MAX_BUCKETS) this._prune(at, refill);
+    return 0;
+  }
+
+  _prune(at, refill) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (at - bucket.at) * refill >= this.capacity) this.buckets.delete(key);
+    }
+  }
+}
+
+export class Limiter {
+  /**
+   * @param {Object} [limits] - overrides for DEFAULT_LIMITS
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.buckets = {
+      ip: new TokenBuckets(this.limits.ipRate),
+      pubkey: new TokenBuckets(this.limits.pubkeyRate),
+      txid: new TokenBuckets(this.limits.txidRate),
+    };
+    this.verifying = 0;
+  }
+
+  /**
+   * Count one request against a bucket.
+   * @param {'ip'|'pubkey'|'txid'} kind
+   * @returns {number} 0 if allowed, else seconds to wait
+   */
+  hit(kind, key) {
+    return this.buckets[kind].take(String(key));
+  }
+
+  /**
+   * Run a payment verification if a slot is free.
+   * @returns {Promise<*>} fn's result, or null when too many are in flight
+   */
+  async verify(fn) {
+    if (this.limits.maxConcurrentVerifications && this.verifying >= this.limits.maxConcurrentVerifications) {
+      return null;
+    }
+    this.verifying++;
+    try {
+      return await fn();
+    } finally {
+      this.verifying--;
+    }
+  }
+}
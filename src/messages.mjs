@@ -1,125 +1,213 @@
 /**
  * Recipient payment resolution and payout tracking.
- * 
+ *
  * Resolution order:
- * 1. Look up recipient's Nostr profile (kind 0) for stx_address / btc_address
- * 2. If not found, check aibtc.com agent registry by hex pubkey
- * 3. If still not found, hold funds as claimable
+ * 1. The address cache (SQLite, with a TTL; misses are cached too, for
+ *    less time). Storing a new kind 0 for a pubkey drops its entry.
+ * 2. The recipient's newest Nostr profile (kind 0) for stx_address /
+ *    btc_address / lud16: our own store first; if that has no address,
+ *    the newest profile across PROFILE_RELAYS, queried in parallel
+ * 3. The aibtc.com agent registry by hex pubkey
+ * 4. Otherwise funds are held as claimable
  */
 
+import { validateEvent } from './validate.mjs';
+import { now } from './time.mjs';
+
 // Known Nostr relays to query for profiles
-const PROFILE_RELAYS = [
-  'wss://relay.damus.io',
-  'wss://nos.lol',
-  'wss://relay.nostr.band',
-  'wss://purplepag.es',
-];
+const PROFILE_RELAYS = (process.env.PROFILE_RELAYS ?? 'wss://relay.damus.io,wss://nos.lol,wss://relay.nostr.band,wss://purplepag.es')
+  .split(',').map(url => url.trim()).filter(Boolean);
+const PROFILE_TIMEOUT = 5000; // ms per relay
 
 const AIBTC_API = 'https://aibtc.com/api/agents';
 
+const RESOLVE_TTL = parseInt(process.env.RESOLVE_TTL || '3600');                  // seconds an address is cached
+const RESOLVE_NEGATIVE_TTL = parseInt(process.env.RESOLVE_NEGATIVE_TTL || '600'); // seconds a miss is cached
+
 // Pending payouts: recipientHex → { amount, messages[], paymentAddress }
 const pendingPayouts = new Map();
 
 /**
- * Resolve a recipient's payment address.
- * Tries Nostr profile first, then aibtc registry fallback.
+ * Payment address in a kind 0 profile event, or null.
  */
-export async function resolvePaymentAddress(recipientHexPubkey) {
-  // Step 1: Nostr profile lookup
-  const profileAddress = await lookupNostrProfile(recipientHexPubkey);
-  if (profileAddress) return profileAddress;
-
-  // Step 2: aibtc registry fallback
-  const registryAddress = await lookupAibtcRegistry(recipientHexPubkey);
-  if (registryAddress) return registryAddress;
-
+export function profileAddress(event) {
+  let profile;
+  try { profile = JSON.parse(event.content); } catch { return null; }
+  if (typeof profile?.stx_address === 'string' && profile.stx_address) {
+    return { address: profile.stx_address, type: 'stx' };
+  }
+  if (typeof profile?.btc_address === 'string' && profile.btc_address) {
+    return { address: profile.btc_address, type: 'btc' };
+  }
+  if (typeof profile?.lud16 === 'string' && profile.lud16) {
+    return { address: profile.lud16, type: 'lightning' };
+  }
   return null;
 }
 
 /**
- * Look up Nostr profile (kind 0) for payment address.
+ * Build a payment address resolver.
+ * @param {Object} [opts]
+ * @param {import('./store.mjs').EventStore} [opts.store] - local profiles and the address cache; none: no cache
+ * @param {string[]} [opts.relays] - relays to query for profiles
+ * @param {(relayUrl: string, pubkey: string) => Promise<Object|null>} [opts.fetchProfile] - newest kind 0 on one relay
+ * @param {() => Promise<Object[]>} [opts.fetchAgents] - aibtc agent list
+ * @param {number} [opts.ttl] - seconds a found address is cached
+ * @param {number} [opts.negativeTtl] - seconds a miss is cached
+ * @returns {{ resolve: (pubkey: string) => Promise<Object|null>, lookup: (pubkey: string, opts?: { refresh?: boolean }) => Promise<Object> }}
  */
-async function lookupNostrProfile(recipientHexPubkey) {
-  for (const relayUrl of PROFILE_RELAYS) {
-    try {
-      const profile = await fetchProfileFromRelay(relayUrl, recipientHexPubkey);
-      if (profile) {
-        if (profile.stx_address) {
-          return { address: profile.stx_address, type: 'stx', source: 'nostr-profile' };
-        }
-        if (profile.btc_address) {
-          return { address: profile.btc_address, type: 'btc', source: 'nostr-profile' };
-        }
-        if (profile.lud16) {
-          return { address: profile.lud16, type: 'lightning', source: 'nostr-profile' };
-        }
-      }
-    } catch {
-      continue;
+export function createAddressResolver({
+  store = null, relays = PROFILE_RELAYS, fetchProfile = fetchProfileFromRelay, fetchAgents = fetchAibtcAgents,
+  ttl = RESOLVE_TTL, negativeTtl = RESOLVE_NEGATIVE_TTL,
+} = {}) {
+  const inFlight = new Map(); // pubkey → lookup promise
+  let agents = null; // { at, list }: the registry is downloaded at most once per negativeTtl
+
+  async function registryAddress(pubkey) {
+    if (!agents || now() - agents.at >= negativeTtl) {
+      agents = { at: now(), list: await fetchAgents().catch(() => null) };
     }
+    return agents.list ? findAgent(agents.list, pubkey) : null;
   }
-  return null;
+
+  async function newestProfile(pubkey) {
+    const profiles = await Promise.all(relays.map(url => fetchProfile(url, pubkey).catch(() => null)));
+    let newest = null;
+    for (const event of profiles) {
+      if (event?.kind !== 0 || event.pubkey !== pubkey) continue;
+      if (newest && event.created_at <= newest.created_at) continue;
+      if ((await validateEvent(event)).valid) newest = event;
+    }
+    return { newest, answered: profiles.filter(Boolean).length };
+  }
+
+  async function lookupUncached(pubkey) {
+    const trace = [];
+    let result = null;
+
+    const [local] = store ? store.query({ kinds: [0], authors: [pubkey], limit: 1 }) : [];
+    const localAddress = local ? profileAddress(local) : null;
+    trace.push({ step: 'local', profile_created_at: local?.created_at ?? null, found: !!localAddress });
+    if (localAddress) result = { ...localAddress, source: 'local-profile' };
+
+    if (!result && relays.length) {
+      const { newest, answered } = await newestProfile(pubkey);
+      const newer = newest && (!local || newest.created_at > local.created_at) ? newest : null;
+      const address = newer ? profileAddress(newer) : null;
+      trace.push({
+        step: 'relays', queried: relays.length, answered, profile_created_at: newest?.created_at ?? null, found: !!address,
+      });
+      if (address) result = { ...address, source: 'nostr-profile' };
+    }
+
+    if (!result) {
+      result = await registryAddress(pubkey);
+      trace.push({ step: 'registry', found: !!result });
+    }
+    return { result, trace };
+  }
+
+  /**
+   * Resolve with details, for debugging.
+   * @returns {Promise<{ pubkey: string, result: Object|null, cached: boolean, resolved_at: number|null, expires_at: number|null, trace: Object[] }>}
+   */
+  async function lookup(pubkey, { refresh = false } = {}) {
+    const cached = refresh ? null : store?.getCachedAddress(pubkey);
+    if (cached && cached.expires_at > now()) {
+      const result = cached.address ? {
+        address: cached.address, type: cached.type, source: cached.source,
+        ...(cached.agent_name ? { agentName: cached.agent_name } : {}),
+      } : null;
+      return {
+        pubkey, result, cached: true, resolved_at: cached.resolved_at, expires_at: cached.expires_at,
+        trace: [{ step: 'cache', found: !!result }],
+      };
+    }
+
+    if (!inFlight.has(pubkey)) {
+      inFlight.set(pubkey, lookupUncached(pubkey).finally(() => inFlight.delete(pubkey)));
+    }
+    const { result, trace } = await inFlight.get(pubkey);
+    const resolvedAt = now();
+    const expiresAt = resolvedAt + (result ? ttl : negativeTtl);
+    store?.cacheAddress(pubkey, result, { resolvedAt, expiresAt });
+    return { pubkey, result, cached: false, resolved_at: resolvedAt, expires_at: expiresAt, trace };
+  }
+
+  return {
+    lookup,
+    resolve: async (pubkey) => (await lookup(pubkey)).result,
+  };
 }
 
+const defaultResolver = createAddressResolver();
+
 /**
- * Look up agent in aibtc.com registry by hex pubkey.
+ * Resolve a recipient's payment address, without a store or cache.
+ * Tries Nostr profiles first, then the aibtc registry fallback.
+ */
+export function resolvePaymentAddress(recipientHexPubkey) {
+  return defaultResolver.resolve(recipientHexPubkey);
+}
+
+async function fetchAibtcAgents() {
+  const resp = await fetch(AIBTC_API);
+  if (!resp.ok) throw new Error(`aibtc registry: HTTP ${resp.status}`);
+  const data = await resp.json();
+  const agents = data.agents || data || [];
+  return Array.isArray(agents) ? agents : [];
+}
+
+/**
+ * Find an agent in the aibtc.com registry list by hex pubkey.
  * Matches against stxPublicKey or btcPublicKey fields.
  * Returns the agent's STX address if found.
  */
-async function lookupAibtcRegistry(recipientHexPubkey) {
-  try {
-    const resp = await fetch(AIBTC_API);
-    if (!resp.ok) return null;
-    const data = await resp.json();
-    const agents = data.agents || data || [];
-
-    if (!Array.isArray(agents)) return null;
-
-    for (const agent of agents) {
-      // Match by public key (stx or btc, with or without 02/03 prefix)
-      const stxPk = agent.stxPublicKey || '';
-      const btcPk = agent.btcPublicKey || '';
-
-      // Nostr hex pubkey is 32 bytes (64 chars) x-only
-      // Stacks/BTC pubkeys are 33 bytes (66 chars) compressed (02/03 prefix)
-      // Match if the x-only part matches (last 64 chars of compressed key)
-      const matchesStx = stxPk.length === 66 && stxPk.slice(2) === recipientHexPubkey;
-      const matchesBtc = btcPk.length === 66 && btcPk.slice(2) === recipientHexPubkey;
-      const exactMatch = stxPk === recipientHexPubkey || btcPk === recipientHexPubkey;
-
-      if (matchesStx || matchesBtc || exactMatch) {
-        return {
-          address: agent.stxAddress,
-          type: 'stx',
-          source: 'aibtc-registry',
-          agentName: agent.displayName || agent.name || null,
-        };
-      }
+function findAgent(agents, recipientHexPubkey) {
+  for (const agent of agents) {
+    // Match by public key (stx or btc, with or without 02/03 prefix)
+    const stxPk = agent.stxPublicKey || '';
+    const btcPk = agent.btcPublicKey || '';
+
+    // Nostr hex pubkey is 32 bytes (64 chars) x-only
+    // Stacks/BTC pubkeys are 33 bytes (66 chars) compressed (02/03 prefix)
+    // Match if the x-only part matches (last 64 chars of compressed key)
+    const matchesStx = stxPk.length === 66 && stxPk.slice(2) === recipientHexPubkey;
+    const matchesBtc = btcPk.length === 66 && btcPk.slice(2) === recipientHexPubkey;
+    const exactMatch = stxPk === recipientHexPubkey || btcPk === recipientHexPubkey;
+
+    if (matchesStx || matchesBtc || exactMatch) {
+      return {
+        address: agent.stxAddress,
+        type: 'stx',
+        source: 'aibtc-registry',
+        agentName: agent.displayName || agent.name || null,
+      };
     }
-    return null;
-  } catch {
-    return null;
   }
+  return null;
 }
 
 /**
- * Fetch kind 0 profile from a single relay via WebSocket.
+ * Fetch the newest kind 0 profile event of a pubkey from one relay.
  */
 async function fetchProfileFromRelay(relayUrl, hexPubkey) {
   const { WebSocket } = await import('ws');
 
   return new Promise((resolve) => {
-    const timeout = setTimeout(() => {
-      try { ws.close(); } catch {}
-      resolve(null);
-    }, 5000);
-
+    let newest = null;
     let ws;
+    const finish = () => {
+      clearTimeout(timeout);
+      try { ws?.close(); } catch {}
+      resolve(newest);
+    };
+    const timeout = setTimeout(finish, PROFILE_TIMEOUT);
+
     try {
       ws = new WebSocket(relayUrl);
     } catch {
-      clearTimeout(timeout);
-      resolve(null);
+      finish();
       return;
     }
 
@@ -132,21 +220,14 @@ async function fetchProfileFromRelay(relayUrl, hexPubkey) {
       try {
         const msg = JSON.parse(data.toString());
         if (msg[0] === 'EVENT' && msg[2]?.kind === 0) {
-          clearTimeout(timeout);
-          ws.close();
-          try { resolve(JSON.parse(msg[2].content)); } catch { resolve(null); }
+          if (!newest || msg[2].created_at > newest.created_at) newest = msg[2];
         } else if (msg[0] === 'EOSE') {
-          clearTimeout(timeout);
-          ws.close();
-          resolve(null);
+          finish();
         }
       } catch {}
     });
 
-    ws.on('error', () => {
-      clearTimeout(timeout);
-      resolve(null);
-    });
+    ws.on('error', finish);
   });
 }
 
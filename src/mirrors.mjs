@@ -0,0 +1,157 @@
+/**
+ * Durable mirroring of events to public relays.
+ *
+ * Publishing queues one `mirrors` row per event × relay; nothing is sent
+ * inline. The mirror keeps one WebSocket open per relay, reconnecting with
+ * backoff, and sends due rows whenever a socket is open. Each relay's `OK`
+ * settles its row:
+ *
+ * - `true`, or `false` with a `duplicate:` prefix: `accepted`
+ * - `false` with a prefix the relay won't change its mind on (`blocked:`,
+ *   `invalid:`, `pow:`, `restricted:`, `mute:`, `payment-required:`): `rejected`
+ * - any other `false`, or no `OK` within MIRROR_OK_TIMEOUT: retried with
+ *   exponential backoff until MIRROR_MAX_ATTEMPTS, then `dead`
+ *
+ * The reason a relay gave is kept on the row (GET /api/events/:id/mirrors).
+ */
+
+import { WebSocket } from 'ws';
+import { backoffForAttempt } from './payouts.mjs';
+import { now } from './time.mjs';
+
+export const MIRROR_RELAYS = (process.env.MIRROR_RELAYS ?? 'wss://relay.damus.io,wss://nos.lol')
+  .split(',').map(url => url.trim()).filter(Boolean);
+const POLL_INTERVAL = parseInt(process.env.MIRROR_POLL_INTERVAL || '10'); // seconds
+const MAX_ATTEMPTS = parseInt(process.env.MIRROR_MAX_ATTEMPTS || '8');
+const OK_TIMEOUT = parseInt(process.env.MIRROR_OK_TIMEOUT || '30'); // seconds to wait for OK
+const RECONNECT_BASE = 5;   // seconds — doubled per failed connection
+const RECONNECT_MAX = 300;  // seconds
+const PERMANENT = new Set(['blocked', 'invalid', 'pow', 'restricted', 'mute', 'payment-required']);
+
+export class Mirror {
+  /**
+   * @param {Object} opts
+   * @param {import('./store.mjs').EventStore} opts.store
+   * @param {string[]} [opts.relays] - relay URLs to mirror to
+   * @param {typeof WebSocket} [opts.WebSocket] - socket class (tests pass a fake)
+   */
+  constructor({ store, relays = MIRROR_RELAYS, WebSocket: Socket = WebSocket }) {
+    this.store = store;
+    this.relays = relays;
+    this.Socket = Socket;
+    /** @type {Map<string, { ws: WebSocket|null, failures: number, timer: NodeJS.Timeout|null }>} */
+    this.connections = new Map();
+    this.timer = null;
+  }
+
+  start(intervalSeconds = POLL_INTERVAL) {
+    for (const url of this.relays) this._connect(url);
+    this.timer = setInterval(() => this.tick(), intervalSeconds * 1000);
+    this.timer.unref();
+    return this;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    for (const conn of this.connections.values()) {
+      if (conn.timer) clearTimeout(conn.timer);
+      conn.timer = null;
+      conn.ws?.removeAllListeners('close');
+      try { conn.ws?.close(); } catch {}
+    }
+    this.connections.clear();
+  }
+
+  /**
+   * Queue an event for every relay and send it where a socket is open.
+   */
+  enqueue(event) {
+    if (!this.relays.length) return;
+    this.store.queueMirrors(event, this.relays);
+    this.tick();
+  }
+
+  /**
+   * Send due deliveries over every open socket.
+   */
+  tick() {
+    for (const url of this.relays) {
+      const ws = this.connections.get(url)?.ws;
+      if (ws?.readyState === WebSocket.OPEN) this._flush(url, ws);
+    }
+  }
+
+  _connect(url) {
+    const conn = this.connections.get(url) ?? { ws: null, failures: 0, timer: null };
+    this.connections.set(url, conn);
+    conn.timer = null;
+
+    let ws;
+    try {
+      ws = new this.Socket(url);
+    } catch {
+      this._reconnect(url, conn);
+      return;
+    }
+    conn.ws = ws;
+    ws.on('open', () => {
+      conn.failures = 0;
+      this._flush(url, ws);
+    });
+    ws.on('message', (data) => this._onMessage(url, data));
+    ws.on('error', () => {}); // 'close' follows
+    ws.on('close', () => {
+      conn.ws = null;
+      this._reconnect(url, conn);
+    });
+  }
+
+  _reconnect(url, conn) {
+    if (conn.timer || !this.timer) return; // stopped, or already scheduled
+    const delay = Math.min(RECONNECT_BASE * 2 ** conn.failures, RECONNECT_MAX);
+    conn.failures++;
+    conn.timer = setTimeout(() => this._connect(url), delay * 1000);
+    conn.timer.unref();
+  }
+
+  _flush(url, ws) {
+    for (const row of this.store.getDueMirrors(url, now())) {
+      if (row.status === 'sent') {
+        this._retry(row, 'No OK response');
+        continue;
+      }
+      ws.send(JSON.stringify(['EVENT', JSON.parse(row.event)]));
+      this.store.updateMirror(row.event_id, url, {
+        status: 'sent', attempts: row.attempts + 1, sent_at: now(), next_attempt_at: now() + OK_TIMEOUT,
+      });
+    }
+  }
+
+  _onMessage(url, data) {
+    let msg;
+    try { msg = JSON.parse(data); } catch { return; }
+    if (!Array.isArray(msg) || msg[0] !== 'OK' || typeof msg[1] !== 'string') return;
+    const [, eventId, accepted, message = ''] = msg;
+
+    const row = this.store.getMirrors(eventId).find(m => m.relay === url);
+    if (row?.status !== 'sent') return;
+
+    const prefix = String(message).split(':')[0];
+    if (accepted === true || prefix === 'duplicate') {
+      this.store.updateMirror(eventId, url, { status: 'accepted', reason: message || null, accepted_at: now() });
+    } else if (PERMANENT.has(prefix)) {
+      this.store.updateMirror(eventId, url, { status: 'rejected', reason: message });
+    } else {
+      this._retry(row, message || 'Rejected without a reason');
+    }
+  }
+
+  _retry(row, reason) {
+    this.store.updateMirror(row.event_id, row.relay, {
+      status: row.attempts >= MAX_ATTEMPTS ? 'dead' : 'failed',
+      reason,
+      next_attempt_at: now() + backoffForAttempt(row.attempts),
+    });
+  }
+}
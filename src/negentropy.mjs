@@ -0,0 +1,269 @@
+/**
+ * Negentropy set reconciliation, protocol v1 (NIP-77).
+ *
+ * Both sides hold a set of (created_at, id) items, sorted by timestamp
+ * then id. The initiator sends fingerprints of ranges of its set; the
+ * other side answers each range that differs by splitting it into
+ * smaller fingerprinted ranges, or by listing its ids once a range is
+ * small. After a few round trips the initiator knows which ids only it
+ * has (`have`) and which only the other side has (`need`).
+ *
+ * Messages are byte strings, hex-encoded on the wire:
+ *   <version 0x61> (<bound> <mode> <payload>)*
+ * - bound: <timestamp> <prefix length> <id prefix>, where the timestamp is
+ *   a delta from the previous bound in the message (+1; 0 = infinity)
+ * - mode 0 skip, 1 fingerprint (16 bytes), 2 id list (<count> <id>*)
+ * - fingerprint: sha256 of (sum of ids as 256-bit little-endian integers,
+ *   mod 2^256) followed by the item count, first 16 bytes
+ * Numbers are big-endian base-128 varints.
+ */
+
+import { createHash } from 'node:crypto';
+
+export const PROTOCOL_VERSION = 0x61;
+const ID_SIZE = 32;
+const FINGERPRINT_SIZE = 16;
+const BUCKETS = 16;
+const MODE = { SKIP: 0, FINGERPRINT: 1, ID_LIST: 2 };
+
+const MIN_BOUND = { timestamp: 0, id: '' };
+const MAX_BOUND = { timestamp: Infinity, id: '' };
+
+function encodeVarint(n) {
+  const out = [n % 128];
+  for (n = Math.floor(n / 128); n > 0; n = Math.floor(n / 128)) out.unshift((n % 128) | 0x80);
+  return out;
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+    this.lastTimestamp = 0;
+  }
+
+  get done() {
+    return this.pos >= this.bytes.length;
+  }
+
+  take(n) {
+    if (this.pos + n > this.bytes.length) throw new Error('message ends prematurely');
+    const out = this.bytes.subarray(this.pos, this.pos + n);
+    this.pos += n;
+    return out;
+  }
+
+  varint() {
+    let n = 0;
+    for (;;) {
+      const byte = this.take(1)[0];
+      n = n * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) return n;
+    }
+  }
+
+  bound() {
+    const delta = this.varint();
+    const timestamp = delta === 0 || this.lastTimestamp === Infinity ? Infinity : this.lastTimestamp + delta - 1;
+    this.lastTimestamp = timestamp;
+    const length = this.varint();
+    if (length > ID_SIZE) throw new Error('bound id prefix too long');
+    return { timestamp, id: Buffer.from(this.take(length)).toString('hex') };
+  }
+}
+
+class Writer {
+  constructor() {
+    this.bytes = [PROTOCOL_VERSION];
+    this.lastTimestamp = 0;
+  }
+
+  varint(n) {
+    this.bytes.push(...encodeVarint(n));
+  }
+
+  raw(bytes) {
+    for (const byte of bytes) this.bytes.push(byte);
+  }
+
+  bound({ timestamp, id }) {
+    if (timestamp === Infinity) {
+      this.varint(0);
+    } else {
+      this.varint(timestamp - this.lastTimestamp + 1);
+    }
+    this.lastTimestamp = timestamp;
+    this.varint(id.length / 2);
+    this.raw(Buffer.from(id, 'hex'));
+  }
+
+  hex() {
+    return Buffer.from(this.bytes).toString('hex');
+  }
+}
+
+/**
+ * Smallest bound that sorts after `prev` and at or before `curr`.
+ */
+function minimalBound(prev, curr) {
+  if (curr.created_at !== prev.created_at) return { timestamp: curr.created_at, id: '' };
+  let shared = 0;
+  while (shared < ID_SIZE && prev.bytes[shared] === curr.bytes[shared]) shared++;
+  return { timestamp: curr.created_at, id: curr.id.slice(0, (shared + 1) * 2) };
+}
+
+export class Negentropy {
+  /**
+   * @param {{ id: string, created_at: number }[]} items - this side's set
+   */
+  constructor(items) {
+    this.items = items
+      .map(({ id, created_at }) => ({ id, created_at, bytes: Buffer.from(id, 'hex') }))
+      .sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    this.initiator = false;
+  }
+
+  /**
+   * First message of a sync, from the initiator.
+   * @returns {string} hex
+   */
+  initiate() {
+    this.initiator = true;
+    const out = new Writer();
+    this._splitRange(out, 0, this.items.length, MAX_BOUND);
+    return out.hex();
+  }
+
+  /**
+   * Process a message from the other side.
+   * @param {string} message - hex
+   * @returns {{ output: string|null, have: string[], need: string[] }} the reply (null once an
+   *   initiator is done), and for an initiator the ids only it has / only the other side has
+   * @throws {Error} on a malformed message
+   */
+  reconcile(message) {
+    if (typeof message !== 'string' || !/^([0-9a-f]{2})+$/i.test(message)) throw new Error('message must be hex');
+    const input = new Reader(Buffer.from(message, 'hex'));
+    const out = new Writer();
+    const have = [];
+    const need = [];
+
+    const version = input.take(1)[0];
+    if (version < 0x60 || version > 0x6f) throw new Error('invalid protocol version byte');
+    if (version !== PROTOCOL_VERSION) {
+      if (this.initiator) throw new Error(`unsupported protocol version ${version - 0x60}`);
+      return { output: out.hex(), have, need }; // our version; the initiator may retry with it
+    }
+
+    let prevBound = MIN_BOUND;
+    let prevIndex = 0;
+    let skip = false;
+    const flushSkip = () => {
+      if (!skip) return;
+      skip = false;
+      out.bound(prevBound);
+      out.varint(MODE.SKIP);
+    };
+
+    while (!input.done) {
+      const bound = input.bound();
+      const mode = input.varint();
+      const lower = prevIndex;
+      const upper = this._lowerBound(prevIndex, bound);
+
+      if (mode === MODE.SKIP) {
+        skip = true;
+      } else if (mode === MODE.FINGERPRINT) {
+        const theirs = input.take(FINGERPRINT_SIZE);
+        if (Buffer.compare(theirs, this._fingerprint(lower, upper)) === 0) {
+          skip = true;
+        } else {
+          flushSkip();
+          this._splitRange(out, lower, upper, bound);
+        }
+      } else if (mode === MODE.ID_LIST) {
+        const theirs = new Set();
+        for (let n = input.varint(); n > 0; n--) theirs.add(Buffer.from(input.take(ID_SIZE)).toString('hex'));
+        for (let i = lower; i < upper; i++) {
+          if (!theirs.delete(this.items[i].id) && this.initiator) have.push(this.items[i].id);
+        }
+        if (this.initiator) {
+          need.push(...theirs);
+          skip = true;
+        } else {
+          flushSkip();
+          this._idList(out, lower, upper, bound);
+        }
+      } else {
+        throw new Error(`unexpected mode ${mode}`);
+      }
+
+      prevIndex = upper;
+      prevBound = bound;
+    }
+
+    const done = this.initiator && out.bytes.length === 1;
+    return { output: done ? null : out.hex(), have, need };
+  }
+
+  /**
+   * Index of the first item at or after `bound`.
+   */
+  _lowerBound(from, bound) {
+    const id = bound.id.padEnd(ID_SIZE * 2, '0');
+    let lo = from;
+    let hi = this.items.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const item = this.items[mid];
+      if (item.created_at < bound.timestamp || (item.created_at === bound.timestamp && item.id < id)) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  _fingerprint(lower, upper) {
+    const sum = new Uint8Array(ID_SIZE);
+    for (let i = lower; i < upper; i++) {
+      const { bytes } = this.items[i];
+      let carry = 0;
+      for (let j = 0; j < ID_SIZE; j++) {
+        const total = sum[j] + bytes[j] + carry;
+        sum[j] = total & 0xff;
+        carry = total >> 8;
+      }
+    }
+    return createHash('sha256').update(sum).update(Buffer.from(encodeVarint(upper - lower)))
+      .digest().subarray(0, FINGERPRINT_SIZE);
+  }
+
+  _idList(out, lower, upper, bound) {
+    out.bound(bound);
+    out.varint(MODE.ID_LIST);
+    out.varint(upper - lower);
+    for (let i = lower; i < upper; i++) out.raw(this.items[i].bytes);
+  }
+
+  /**
+   * Describe items [lower, upper) up to `upperBound`: as an id list when
+   * small, else as BUCKETS fingerprinted sub-ranges.
+   */
+  _splitRange(out, lower, upper, upperBound) {
+    const count = upper - lower;
+    if (count < BUCKETS * 2) {
+      this._idList(out, lower, upper, upperBound);
+      return;
+    }
+    const perBucket = Math.floor(count / BUCKETS);
+    const withExtra = count % BUCKETS;
+    let curr = lower;
+    for (let i = 0; i < BUCKETS; i++) {
+      const size = perBucket + (i < withExtra ? 1 : 0);
+      const fingerprint = this._fingerprint(curr, curr + size);
+      curr += size;
+      out.bound(curr === upper ? upperBound : minimalBound(this.items[curr - 1], this.items[curr]));
+      out.varint(MODE.FINGERPRINT);
+      out.raw(fingerprint);
+    }
+  }
+}
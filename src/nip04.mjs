@@ -0,0 +1,25 @@
+/**
+ * NIP-04 encrypted direct messages.
+ * AES-256-CBC keyed with the x coordinate of the ECDH shared point;
+ * content is `<base64 ciphertext>?iv=<base64 iv>`.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto';
+import { getSharedSecret } from '@noble/secp256k1';
+
+function sharedKey(privkey, pubkey) {
+  return Buffer.from(getSharedSecret(privkey, '02' + pubkey, true).slice(1, 33));
+}
+
+export function encrypt(privkey, pubkey, text) {
+  const iv = randomBytes(16);
+  const cipher = createCipheriv('aes-256-cbc', sharedKey(privkey, pubkey), iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return `${ciphertext.toString('base64')}?iv=${iv.toString('base64')}`;
+}
+
+export function decrypt(privkey, pubkey, content) {
+  const [ciphertext, iv] = content.split('?iv=');
+  const decipher = createDecipheriv('aes-256-cbc', sharedKey(privkey, pubkey), Buffer.from(iv, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,71 @@
+/**
+ * NIP-11 relay information document.
+ * Served on the relay URL when a client sends `Accept: application/nostr+json`.
+ */
+
+import { getPolicy } from './pricing.mjs';
+
+export const SUPPORTED_NIPS = [1, 9, 11, 40, 42, 45, 50, 77, 98];
+export const SOFTWARE = 'https://github.com/cocoa007/x402-nostr-relay';
+
+/**
+ * NIP-11 publication fees from the active pricing policy, one entry per
+ * priced kind plus a kind-less default entry. `amount` is the kind fee;
+ * each paid p-tag adds the recipient amount on top, which the entry's
+ * `description` spells out so clients don't quote only the kind fee.
+ */
+export function buildPublicationFees(policy = getPolicy()) {
+  const { recipient } = policy;
+  const description = `Plus ${recipient.amount} sats per p-tagged pubkey (up to ${recipient.maxRecipients}), ` +
+    'forwarded to it; zap tags split that amount by weight. Senders may choose it ' +
+    `(${recipient.min}-${recipient.max} sats) with an ["amount", "<sats>"] tag.`;
+  const fees = [];
+  for (const [kind, amount] of Object.entries(policy.kinds)) {
+    if (kind === 'default') continue;
+    fees.push({ kinds: [Number(kind)], amount, unit: 'sats', description });
+  }
+  fees.push({ amount: policy.kinds.default, unit: 'sats', description });
+  return fees;
+}
+
+/**
+ * Build the relay information document.
+ * @param {Object} opts
+ * @param {string} opts.httpUrl - public https base URL of the relay
+ * @param {Object} opts.limits - relay limits (see DEFAULT_LIMITS in limits.mjs)
+ * @param {string} opts.version
+ */
+export function buildRelayInfo({ httpUrl, limits, version }) {
+  return {
+    name: process.env.RELAY_NAME || 'x402-nostr-relay',
+    description: process.env.RELAY_DESCRIPTION ||
+      'Nostr relay with x402 sBTC payment gate. Tag someone → they get paid.',
+    ...(process.env.RELAY_PUBKEY ? { pubkey: process.env.RELAY_PUBKEY } : {}),
+    ...(process.env.RELAY_CONTACT ? { contact: process.env.RELAY_CONTACT } : {}),
+    supported_nips: SUPPORTED_NIPS,
+    software: SOFTWARE,
+    version,
+    limitation: {
+      max_message_length: limits.maxMessageLength,
+      max_subscriptions: limits.maxSubscriptions,
+      max_filters: limits.maxFilters,
+      max_limit: limits.maxLimit,
+      max_subid_length: limits.maxSubidLength,
+      auth_required: false,
+      payment_required: true,
+      restricted_writes: true,
+      // Relay-specific: HTTP body cap and per-minute token buckets (0 = off)
+      max_body_size: limits.maxBodySize,
+      max_concurrent_verifications: limits.maxConcurrentVerifications,
+      rate_limits: {
+        ip_per_minute: limits.ipRate,
+        pubkey_per_minute: limits.pubkeyRate,
+        txid_per_minute: limits.txidRate,
+      },
+    },
+    fees: {
+      publication: buildPublicationFees(),
+    },
+    payments_url: `${httpUrl}/api/pricing`,
+  };
+}
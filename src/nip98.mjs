@@ -0,0 +1,56 @@
+/**
+ * NIP-98 HTTP auth.
+ *
+ *   Authorization: Nostr <base64 of a signed kind 27235 event>
+ *
+ * The event signs one request: its `u` tag is the absolute URL, `method`
+ * the HTTP method and `payload` the sha256 of the body, and it must be
+ * created within HTTP_AUTH_WINDOW seconds of now. POST /api/events needs
+ * it to spend a pubkey's prepaid credit or subscription.
+ */
+
+import { createHash } from 'node:crypto';
+import { validateEvent } from './validate.mjs';
+import { now } from './time.mjs';
+
+export const HTTP_AUTH_KIND = 27235;
+const HTTP_AUTH_WINDOW = 60; // seconds
+
+function reject(reason, message) {
+  return { valid: false, reason, message: `invalid: ${message}` };
+}
+
+/**
+ * Verify an Authorization header for one request.
+ * @param {string} header
+ * @param {{ url: string, method: string, body?: string }} request - `url` is absolute
+ * @returns {Promise<{ valid: true, pubkey: string } | { valid: false, reason: string, message: string }>}
+ */
+export async function verifyHttpAuth(header, { url, method, body = '' }) {
+  const match = /^Nostr\s+([A-Za-z0-9+/=]+)$/.exec(String(header || '').trim());
+  if (!match) return reject('invalid-header', 'Authorization must be "Nostr <base64 event>"');
+
+  let event;
+  try {
+    event = JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+  } catch {
+    return reject('invalid-header', 'Authorization event must be base64-encoded JSON');
+  }
+  const validation = await validateEvent(event);
+  if (!validation.valid) return validation;
+
+  if (event.kind !== HTTP_AUTH_KIND) {
+    return reject('invalid-kind', `auth event must be kind ${HTTP_AUTH_KIND}`);
+  }
+  if (Math.abs(event.created_at - now()) > HTTP_AUTH_WINDOW) {
+    return reject('stale', 'auth event created_at is too far from now');
+  }
+  const tag = (name) => event.tags.find(t => t[0] === name)?.[1];
+  if (tag('u') !== url || tag('method') !== method) {
+    return reject('invalid-request', `auth event must sign ${method} ${url}`);
+  }
+  if (tag('payload') !== createHash('sha256').update(body).digest('hex')) {
+    return reject('invalid-payload', 'auth event payload tag must be the sha256 of the request body');
+  }
+  return { valid: true, pubkey: event.pubkey };
+}
@@ -0,0 +1,355 @@
+/**
+ * Durable background payout worker.
+ *
+ * Publishing only queues a row in the `payouts` table; this worker forwards
+ * the sBTC. It resolves the recipient's address, assigns wallet nonces
+ * locally and sequentially, records each signed tx before broadcasting it
+ * (its txid is deterministic), then polls until the tx confirms.
+ *
+ * Failures (broadcasts the node rejected, aborted txs) are retried with
+ * exponential backoff and an escalating fee until PAYOUT_MAX_ATTEMPTS,
+ * after which the row is `dead`. Any failure resyncs the nonce from chain.
+ *
+ * A tx that may be out there is never replaced by one with a fresh nonce,
+ * or the payout could be paid twice. When a broadcast's outcome is
+ * unknown (timeout, network error) the row stays `broadcast`. When a tx is
+ * dropped or still unseen after NOT_FOUND_GRACE, it is re-signed with the
+ * same nonce and a higher fee, so at most one of them can be mined; only
+ * once a block has used that nonce for some other tx is the payout
+ * requeued.
+ *
+ * Batching (PAYOUT_BATCH_WINDOW > 0): due payouts accumulate until the
+ * oldest has waited the window, or their total reaches
+ * PAYOUT_BATCH_THRESHOLD sats. They are then settled in one sbtc-token
+ * `transfer-many` tx, with amounts summed per recipient address, so a
+ * whole batch pays a single fee.
+ */
+
+import {
+  getNextNonce, getExecutedNonce, buildSbtcTransfer, buildSbtcTransferMany, broadcastTx, getTxStatus, MAX_TRANSFER_MANY,
+} from './wallet.mjs';
+import { resolvePaymentAddress } from './messages.mjs';
+import { now } from './time.mjs';
+
+const POLL_INTERVAL = parseInt(process.env.PAYOUT_POLL_INTERVAL || '15'); // seconds
+const MAX_ATTEMPTS = parseInt(process.env.PAYOUT_MAX_ATTEMPTS || '8');
+const BATCH_WINDOW = parseInt(process.env.PAYOUT_BATCH_WINDOW || '0');       // seconds; 0 = no batching
+const BATCH_THRESHOLD = parseInt(process.env.PAYOUT_BATCH_THRESHOLD || '0'); // sats; 0 = window only
+const BATCH_SCAN = 1000;      // due rows considered per batch
+const BASE_FEE = 300;         // microSTX — first attempt
+const MAX_FEE = 20000;        // microSTX — escalation cap
+const BASE_BACKOFF = 30;      // seconds — doubled per attempt
+const MAX_BACKOFF = 3600;     // seconds
+const NOT_FOUND_GRACE = 600;  // seconds before an unseen tx counts as dropped
+
+const DEFAULT_WALLET = {
+  getNextNonce, getExecutedNonce, buildSbtcTransfer, buildSbtcTransferMany, broadcastTx, getTxStatus,
+};
+
+export function feeForAttempt(attempts) {
+  return Math.min(BASE_FEE * 2 ** attempts, MAX_FEE);
+}
+
+export function backoffForAttempt(attempts) {
+  return Math.min(BASE_BACKOFF * 2 ** attempts, MAX_BACKOFF);
+}
+
+export class PayoutWorker {
+  /**
+   * @param {Object} opts
+   * @param {import('./store.mjs').EventStore} opts.store
+   * @param {Object} [opts.wallet] - { getNextNonce, getExecutedNonce, buildSbtcTransfer, buildSbtcTransferMany,
+   *   broadcastTx, getTxStatus }
+   * @param {(pubkey: string) => Promise<Object|null>} [opts.resolveAddress]
+   * @param {{ window: number, threshold: number }} [opts.batch] - seconds / sats; window 0 disables batching
+   */
+  constructor({
+    store, wallet = DEFAULT_WALLET, resolveAddress = resolvePaymentAddress,
+    batch = { window: BATCH_WINDOW, threshold: BATCH_THRESHOLD },
+  }) {
+    this.store = store;
+    this.wallet = wallet;
+    this.resolveAddress = resolveAddress;
+    this.batch = batch;
+    this.nonce = null; // next local nonce; null = resync from chain
+    this.running = false;
+    this.rerun = false;
+    this.timer = null;
+  }
+
+  start(intervalSeconds = POLL_INTERVAL) {
+    this.timer = setInterval(() => this.tick(), intervalSeconds * 1000);
+    this.timer.unref();
+    this.tick();
+    return this;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Process newly queued payouts soon, without waiting for the next poll.
+   */
+  wake() {
+    setImmediate(() => this.tick());
+  }
+
+  get batching() {
+    return this.batch.window > 0;
+  }
+
+  /**
+   * One pass: confirm broadcast txs, then send due payouts, one tx each
+   * or as a batch.
+   */
+  async tick() {
+    if (this.running) { this.rerun = true; return; }
+    this.running = true;
+    this.rerun = false;
+    try {
+      for (const payouts of groupByTx(this.store.getBroadcastPayouts())) {
+        await this._checkBroadcast(payouts).catch(err => console.log(`⚠️ Forwarding tx ${payouts[0].forward_tx}: ${err.message}`));
+      }
+      if (this.batching) {
+        await this._sendBatch();
+      } else {
+        for (const payout of this.store.getDuePayouts(now())) {
+          await this._send(payout).catch(err => this._retry(payout, err.message));
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+    if (this.rerun) await this.tick();
+  }
+
+  async _takeNonce() {
+    if (this.nonce == null) this.nonce = await this.wallet.getNextNonce();
+    return this.nonce++;
+  }
+
+  /**
+   * Resolve the payout's STX address, holding the row if there is none.
+   * @returns {Promise<string|null>}
+   */
+  async _addressFor(payout) {
+    let { payment_address: address, payment_type: type } = payout;
+
+    if (!address) {
+      const resolved = await this.resolveAddress(payout.recipient_pubkey).catch(() => null);
+      if (resolved) {
+        ({ address, type } = resolved);
+        this.store.updatePayout(payout.id, {
+          payment_address: resolved.address,
+          payment_type: resolved.type,
+          payment_source: resolved.source || null,
+        });
+      }
+    }
+    if (!address) {
+      this.store.updatePayout(payout.id, { status: 'held', last_error: 'No payment address found' });
+      return null;
+    }
+    if (type !== 'stx') {
+      this.store.updatePayout(payout.id, { status: 'held', last_error: `Cannot forward sBTC to ${type} address` });
+      return null;
+    }
+    return address;
+  }
+
+  async _send(payout) {
+    const address = await this._addressFor(payout);
+    if (!address) return;
+
+    const nonce = await this._takeNonce();
+    await this._broadcast(payout, address, nonce, feeForAttempt(payout.attempts));
+  }
+
+  /**
+   * Sign, record write-ahead, then broadcast. If the node rejects it the
+   * row goes back to the queue; if the outcome is unknown it stays
+   * `broadcast` for _checkBroadcast.
+   */
+  async _broadcast(payout, address, nonce, fee) {
+    const { txId, transaction } = await this.wallet.buildSbtcTransfer(address, payout.amount, { nonce, fee });
+    this.store.updatePayout(payout.id, {
+      status: 'broadcast', forward_tx: txId, nonce, fee, broadcast_at: now(), last_error: null,
+    });
+
+    const result = await this.wallet.broadcastTx(transaction);
+    if (result.rejected) {
+      this._retry(payout, broadcastError(result));
+    } else if (!result.success) {
+      this.store.updatePayout(payout.id, { last_error: broadcastError(result) });
+    } else if (result.txId && result.txId !== txId) {
+      this.store.updatePayout(payout.id, { forward_tx: result.txId });
+    }
+  }
+
+  /**
+   * Settle due payouts in one transfer-many tx once the batch window has
+   * passed or the threshold is reached.
+   */
+  async _sendBatch() {
+    const due = this.store.getDuePayouts(now(), BATCH_SCAN);
+    const ready = [];
+    const addresses = new Set();
+    for (const payout of due) {
+      const address = await this._addressFor(payout).catch(() => null);
+      if (!address) continue;
+      if (!addresses.has(address) && addresses.size >= MAX_TRANSFER_MANY) continue;
+      addresses.add(address);
+      ready.push({ ...payout, payment_address: address });
+    }
+    if (!ready.length) return;
+
+    const oldest = Math.min(...ready.map(p => p.created_at));
+    const total = ready.reduce((sum, p) => sum + p.amount, 0);
+    const windowPassed = now() - oldest >= this.batch.window;
+    const thresholdReached = this.batch.threshold > 0 && total >= this.batch.threshold;
+    if (!windowPassed && !thresholdReached) return;
+
+    const transfers = transfersFor(ready);
+    const fee = feeForAttempt(Math.max(...ready.map(p => p.attempts)));
+    let nonce, txId, transaction;
+    try {
+      nonce = await this._takeNonce();
+      ({ txId, transaction } = await this.wallet.buildSbtcTransferMany(transfers, { nonce, fee }));
+    } catch (err) {
+      for (const payout of ready) this._retry(payout, err.message);
+      return;
+    }
+    const batchId = this.store.recordPayoutBatch(ready, { forward_tx: txId, nonce, fee, recipients: transfers.length });
+    const batch = ready.map(payout => ({ ...payout, batch_id: batchId }));
+
+    // Recorded write-ahead: from here only the node's rejection requeues
+    const result = await this.wallet.broadcastTx(transaction)
+      .catch(err => ({ success: false, error: err.message }));
+    if (result.rejected) {
+      this._fail(batch, broadcastError(result));
+    } else if (!result.success) {
+      this.store.updatePayoutBatch(batchId, { last_error: broadcastError(result) });
+      for (const payout of ready) this.store.updatePayout(payout.id, { last_error: broadcastError(result) });
+    } else if (result.txId && result.txId !== txId) {
+      this.store.updatePayoutBatch(batchId, { forward_tx: result.txId });
+      for (const payout of ready) this.store.updatePayout(payout.id, { forward_tx: result.txId });
+    }
+  }
+
+  /**
+   * Poll one forwarding tx and settle every payout it carries.
+   * @param {Object[]} payouts - rows sharing a forward_tx
+   */
+  async _checkBroadcast(payouts) {
+    const [first] = payouts;
+    const status = await this.wallet.getTxStatus(first.forward_tx);
+    const age = now() - (first.broadcast_at || first.created_at);
+
+    if (status === 'pending') return;
+    if (status === 'not_found' && age < NOT_FOUND_GRACE) return;
+    if (status === 'success') return this._confirm(payouts, first.forward_tx);
+    if (status.startsWith('abort')) return this._fail(payouts, `Forwarding tx ${status}`);
+
+    // Dropped or never seen. Until a block uses the nonce, this tx or an
+    // earlier one signed with it may still land.
+    const executed = await this.wallet.getExecutedNonce();
+    if (first.nonce != null && (executed == null || executed < first.nonce)) {
+      await this._resend(payouts, status);
+      return;
+    }
+    // Statuses are final now; did one of ours take the nonce?
+    for (const txId of [first.forward_tx, ...replacedTxs(first)]) {
+      const final = await this.wallet.getTxStatus(txId);
+      if (final === 'success') return this._confirm(payouts, txId);
+      if (final.startsWith('abort')) return this._fail(payouts, `Forwarding tx ${final}`);
+    }
+    this._fail(payouts, `Forwarding tx ${status}; nonce ${first.nonce} used by another tx`);
+  }
+
+  /**
+   * Re-sign an unseen forwarding tx with the same nonce and the next fee,
+   * replacing it in the mempool. Its txid is kept in `replaced_txs`.
+   * @param {Object[]} payouts - rows sharing a forward_tx
+   */
+  async _resend(payouts, status) {
+    const [first] = payouts;
+    const attempts = Math.max(...payouts.map(p => p.attempts)) + 1;
+    const opts = { nonce: first.nonce, fee: feeForAttempt(attempts) };
+    const { txId, transaction } = first.batch_id != null
+      ? await this.wallet.buildSbtcTransferMany(transfersFor(payouts), opts)
+      : await this.wallet.buildSbtcTransfer(first.payment_address, first.amount, opts);
+
+    const replaced = [...replacedTxs(first), first.forward_tx].filter(id => id !== txId);
+    const error = `Forwarding tx ${status}; re-signed with nonce ${first.nonce}`;
+    for (const payout of payouts) {
+      this.store.updatePayout(payout.id, {
+        forward_tx: txId, replaced_txs: JSON.stringify(replaced), fee: opts.fee, attempts, broadcast_at: now(), last_error: error,
+      });
+    }
+    if (first.batch_id != null) this.store.updatePayoutBatch(first.batch_id, { forward_tx: txId, fee: opts.fee });
+
+    // Rejected or not, one of these txids may still land: keep polling
+    const result = await this.wallet.broadcastTx(transaction);
+    if (!result.success) {
+      for (const payout of payouts) this.store.updatePayout(payout.id, { last_error: broadcastError(result) });
+    }
+  }
+
+  _confirm(payouts, txId) {
+    for (const payout of payouts) {
+      this.store.updatePayout(payout.id, { status: 'confirmed', forward_tx: txId, confirmed_at: now() });
+    }
+    const [first] = payouts;
+    if (first.batch_id != null) {
+      this.store.updatePayoutBatch(first.batch_id, { status: 'confirmed', forward_tx: txId, confirmed_at: now() });
+    }
+  }
+
+  _fail(payouts, error) {
+    for (const payout of payouts) this._retry(payout, error);
+    const [first] = payouts;
+    if (first.batch_id != null) this.store.updatePayoutBatch(first.batch_id, { status: 'failed', last_error: error });
+  }
+
+  _retry(payout, error) {
+    const attempts = payout.attempts + 1;
+    this.nonce = null; // the failed tx's nonce may be free again
+    this.store.updatePayout(payout.id, {
+      status: attempts >= MAX_ATTEMPTS ? 'dead' : 'queued',
+      attempts,
+      last_error: error,
+      next_attempt_at: now() + backoffForAttempt(attempts),
+    });
+  }
+}
+
+function broadcastError(result) {
+  const reason = result.reason ? ` (${result.reason})` : '';
+  return `Broadcast ${result.rejected ? 'rejected' : 'failed'}: ${result.error}${reason}`;
+}
+
+function replacedTxs(payout) {
+  return payout.replaced_txs ? JSON.parse(payout.replaced_txs) : [];
+}
+
+/**
+ * transfer-many entries for a batch's payouts, summed per address.
+ */
+function transfersFor(payouts) {
+  const amounts = new Map();
+  for (const { payment_address: address, amount } of payouts) {
+    amounts.set(address, (amounts.get(address) || 0) + amount);
+  }
+  return [...amounts].map(([address, amount]) => ({ address, amount }));
+}
+
+function groupByTx(payouts) {
+  const groups = new Map();
+  for (const payout of payouts) {
+    if (!groups.has(payout.forward_tx)) groups.set(payout.forward_tx, []);
+    groups.get(payout.forward_tx).push(payout);
+  }
+  return groups.values();
+}
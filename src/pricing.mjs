@@ -0,0 +1,280 @@
+/**
+ * Pricing policy.
+ *
+ * Relay fees come from a JSON or YAML policy file (PRICING_POLICY path),
+ * hot-reloaded when it changes. Without a file the built-in defaults
+ * below apply. Example (JSON):
+ *
+ *   {
+ *     "kinds": { "0": 50, "1": 10, "default": 10 },
+ *     "perByte": { "rate": 0.01, "free": 280 },      // sats per content byte over `free`
+ *     "perTag": { "rate": 1, "free": 10 },           // sats per tag over `free`
+ *     "freePubkeys": ["<hex>"],                      // relay fee waived
+ *     "tiers": [{ "name": "supporter", "pubkeys": ["<hex>"], "discount": 0.5 }],
+ *     "surge": [{ "days": [1, 2, 3, 4, 5], "from": "18:00", "to": "22:00", "multiplier": 2, "kinds": [1] }],
+ *     "recipient": { "amount": 100, "min": 1, "max": 100000, "maxRecipients": 5 },
+ *     "subscriptions": { "monthly": { "price": 3000, "days": 30, "quota": null } },
+ *     "finality": { "confirmations": 1, "burnDepth": 0, "tiers": [{ "minAmount": 1000, "confirmations": 6, "burnDepth": 1 }] }
+ *   }
+ *
+ * Surge windows are UTC; `days` (0 = Sunday) and `kinds` are optional.
+ * Discounts, surges and the free list apply to the relay fee only, never
+ * to tips forwarded to recipients. Subscription plans waive the relay fee
+ * for `days`, up to `quota` events (null = unlimited); a `subscriptions`
+ * section replaces the built-in plans.
+ *
+ * `finality` sets how settled an on-chain payment must be before it counts:
+ * Stacks confirmations and Bitcoin (burn) block depth. A tier applies to
+ * payments of at least `minAmount` sats, so large payments can wait longer;
+ * missing fields fall back to the top-level values. Built in: no waiting.
+ */
+
+import { readFileSync, watchFile, unwatchFile } from 'node:fs';
+import { extname } from 'node:path';
+import YAML from 'yaml';
+
+export const RECIPIENT_AMOUNT = 100;  // sats — default tip forwarded to each recipient
+export const MIN_TIP = parseInt(process.env.MIN_TIP || '1');        // sats
+export const MAX_TIP = parseInt(process.env.MAX_TIP || '100000');   // sats
+export const MAX_PAID_RECIPIENTS = parseInt(process.env.MAX_PAID_RECIPIENTS || '5');
+const DELETION_PRICE = parseInt(process.env.DELETION_PRICE || '0'); // sats — NIP-09 kind 5
+const RELOAD_INTERVAL = 2000; // ms between policy file checks
+
+// Built-in base pricing by event kind (in sats) — relay fee only
+export const BASE_PRICING = {
+  0: 50,     // profile metadata
+  1: 10,     // text note
+  4: 5,      // encrypted DM
+  5: DELETION_PRICE, // deletion request (free unless DELETION_PRICE is set)
+  30023: 25, // long-form
+  default: 10,
+};
+
+// Built-in subscription plans
+export const DEFAULT_PLANS = {
+  monthly: { price: 3000, days: 30, quota: null },
+  starter: { price: 1000, days: 30, quota: 200 },
+};
+
+const isSats = (n) => Number.isInteger(n) && n >= 0;
+const isRate = (n) => Number.isFinite(n) && n >= 0;
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function fail(message) {
+  throw new Error(`Invalid pricing policy: ${message}`);
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+export const DEFAULT_POLICY = normalizePolicy({});
+
+let active = { policy: DEFAULT_POLICY, source: null, loadedAt: null };
+
+/**
+ * Validate a raw policy object and fill in defaults.
+ * @throws {Error} on invalid fields
+ */
+export function normalizePolicy(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('must be an object');
+
+  const kinds = { ...BASE_PRICING };
+  if (raw.kinds != null) {
+    if (typeof raw.kinds !== 'object') fail('kinds must be an object');
+    for (const [kind, price] of Object.entries(raw.kinds)) {
+      if (kind !== 'default' && !/^\d+$/.test(kind)) fail(`unknown kind "${kind}"`);
+      if (!isSats(price)) fail(`price for kind ${kind} must be a whole number of sats`);
+      kinds[kind] = price;
+    }
+  }
+
+  const surcharge = (name) => {
+    const value = raw[name];
+    if (value == null) return null;
+    if (!isRate(value.rate) || (value.free != null && !isSats(value.free))) {
+      fail(`${name} needs a non-negative rate and free count`);
+    }
+    return { rate: value.rate, free: value.free ?? 0 };
+  };
+
+  const pubkeys = (list, name) => {
+    if (list == null) return [];
+    if (!Array.isArray(list) || !list.every(p => typeof p === 'string' && /^[0-9a-f]{64}$/.test(p))) {
+      fail(`${name} must be a list of hex pubkeys`);
+    }
+    return list;
+  };
+
+  const tiers = (raw.tiers ?? []).map((tier, i) => {
+    if (!(tier?.discount >= 0 && tier.discount <= 1)) fail(`tiers[${i}].discount must be between 0 and 1`);
+    return { name: tier.name ?? `tier-${i}`, discount: tier.discount, pubkeys: pubkeys(tier.pubkeys, `tiers[${i}].pubkeys`) };
+  });
+
+  const surge = (raw.surge ?? []).map((rule, i) => {
+    if (!HHMM.test(rule?.from) || !HHMM.test(rule?.to)) fail(`surge[${i}] needs from/to as HH:MM`);
+    if (!(rule.multiplier > 0)) fail(`surge[${i}].multiplier must be positive`);
+    if (rule.days != null && !(Array.isArray(rule.days) && rule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+      fail(`surge[${i}].days must be weekdays 0-6`);
+    }
+    if (rule.kinds != null && !(Array.isArray(rule.kinds) && rule.kinds.every(Number.isInteger))) {
+      fail(`surge[${i}].kinds must be a list of kinds`);
+    }
+    return {
+      from: rule.from, to: rule.to, multiplier: rule.multiplier,
+      ...(rule.days ? { days: rule.days } : {}),
+      ...(rule.kinds ? { kinds: rule.kinds } : {}),
+    };
+  });
+
+  const recipient = {
+    amount: RECIPIENT_AMOUNT, min: MIN_TIP, max: MAX_TIP, maxRecipients: MAX_PAID_RECIPIENTS,
+    ...(raw.recipient || {}),
+  };
+  for (const key of ['amount', 'min', 'max', 'maxRecipients']) {
+    if (!isSats(recipient[key])) fail(`recipient.${key} must be a non-negative integer`);
+  }
+  if (recipient.min > recipient.max) fail('recipient.min exceeds recipient.max');
+
+  const subscriptions = {};
+  const plans = raw.subscriptions ?? DEFAULT_PLANS;
+  if (typeof plans !== 'object' || Array.isArray(plans)) fail('subscriptions must be an object');
+  for (const [name, plan] of Object.entries(plans)) {
+    if (!/^[a-z0-9_-]+$/i.test(name)) fail(`invalid plan name "${name}"`);
+    if (!isSats(plan?.price) || !(Number.isInteger(plan.days) && plan.days > 0) ||
+        (plan.quota != null && !(Number.isInteger(plan.quota) && plan.quota > 0))) {
+      fail(`plan ${name} needs a price, whole days and an optional positive quota`);
+    }
+    subscriptions[name] = { price: plan.price, days: plan.days, quota: plan.quota ?? null };
+  }
+
+  const depth = (value, name, fallback = 0) => {
+    if (value == null) return fallback;
+    if (!isSats(value)) fail(`${name} must be a non-negative integer`);
+    return value;
+  };
+  const rawFinality = raw.finality ?? {};
+  if (typeof rawFinality !== 'object' || Array.isArray(rawFinality)) fail('finality must be an object');
+  const confirmations = depth(rawFinality.confirmations, 'finality.confirmations');
+  const burnDepth = depth(rawFinality.burnDepth, 'finality.burnDepth');
+  const finalityTiers = (rawFinality.tiers ?? []).map((tier, i) => {
+    if (!isSats(tier?.minAmount)) fail(`finality.tiers[${i}].minAmount must be a whole number of sats`);
+    return {
+      minAmount: tier.minAmount,
+      confirmations: depth(tier.confirmations, `finality.tiers[${i}].confirmations`, confirmations),
+      burnDepth: depth(tier.burnDepth, `finality.tiers[${i}].burnDepth`, burnDepth),
+    };
+  }).sort((a, b) => a.minAmount - b.minAmount);
+
+  return {
+    kinds,
+    perByte: surcharge('perByte'),
+    perTag: surcharge('perTag'),
+    freePubkeys: pubkeys(raw.freePubkeys, 'freePubkeys'),
+    tiers,
+    surge,
+    recipient,
+    subscriptions,
+    finality: { confirmations, burnDepth, tiers: finalityTiers },
+  };
+}
+
+/**
+ * Parse a policy file's text; `.yaml`/`.yml` files are YAML, others JSON.
+ */
+export function parsePolicy(text, path = '') {
+  const ext = extname(path).toLowerCase();
+  return normalizePolicy(ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text));
+}
+
+export function getPolicy() {
+  return active.policy;
+}
+
+/**
+ * Active policy with where and when it was loaded (for GET /api/pricing).
+ */
+export function getPolicyInfo() {
+  return { source: active.source, loaded_at: active.loadedAt, policy: active.policy };
+}
+
+/**
+ * Replace the active policy. `raw` is normalized first.
+ */
+export function setPolicy(raw, source = null) {
+  active = { policy: normalizePolicy(raw), source, loadedAt: Math.floor(Date.now() / 1000) };
+  return active.policy;
+}
+
+export function loadPolicyFile(path) {
+  active = { policy: parsePolicy(readFileSync(path, 'utf8'), path), source: path, loadedAt: Math.floor(Date.now() / 1000) };
+  return active.policy;
+}
+
+/**
+ * Load a policy file and reload it whenever it changes. A broken edit is
+ * logged and the previous policy stays active. Returns a stop function.
+ */
+export function watchPolicyFile(path) {
+  loadPolicyFile(path);
+  const onChange = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      loadPolicyFile(path);
+      console.log(`💲 Reloaded pricing policy from ${path}`);
+    } catch (err) {
+      console.log(`⚠️ ${err.message}; keeping previous pricing policy`);
+    }
+  };
+  watchFile(path, { interval: RELOAD_INTERVAL, persistent: false }, onChange);
+  return () => unwatchFile(path, onChange);
+}
+
+/**
+ * Relay fee for an event under a policy, itemized. Recipient tips are
+ * priced separately (see getRecipients in x402.mjs).
+ * @returns {{ total: number, base: number, bytes: number, tags: number, multiplier: number, discount: number }}
+ */
+export function getRelayFee(event, policy = getPolicy(), at = new Date()) {
+  const base = policy.kinds[event.kind] ?? policy.kinds.default;
+  const byteCount = Buffer.byteLength(event.content || '', 'utf8');
+  const bytes = policy.perByte ? Math.max(0, byteCount - policy.perByte.free) * policy.perByte.rate : 0;
+  const tags = policy.perTag ? Math.max(0, (event.tags || []).length - policy.perTag.free) * policy.perTag.rate : 0;
+  const multiplier = surgeMultiplier(policy, event.kind, at);
+  const discount = policy.freePubkeys.includes(event.pubkey) ? 1
+    : Math.max(0, ...policy.tiers.filter(t => t.pubkeys.includes(event.pubkey)).map(t => t.discount));
+
+  const total = Math.ceil((base + bytes + tags) * multiplier * (1 - discount));
+  return { total, base, bytes: Math.ceil(bytes), tags: Math.ceil(tags), multiplier, discount };
+}
+
+/**
+ * Finality a payment of `amount` sats needs: the highest finality tier it
+ * reaches, or the policy's top-level values.
+ * @returns {{ confirmations: number, burnDepth: number }}
+ */
+export function getFinalityRule(amount, policy = getPolicy()) {
+  const { confirmations, burnDepth, tiers } = policy.finality;
+  const tier = tiers.filter(t => amount >= t.minAmount).at(-1);
+  return tier ? { confirmations: tier.confirmations, burnDepth: tier.burnDepth } : { confirmations, burnDepth };
+}
+
+/**
+ * Highest multiplier among surge rules active at `at` for a kind (1 if none).
+ */
+export function surgeMultiplier(policy, kind, at = new Date()) {
+  const minute = at.getUTCHours() * 60 + at.getUTCMinutes();
+  const day = at.getUTCDay();
+  let multiplier = 1;
+  for (const rule of policy.surge) {
+    if (rule.kinds && !rule.kinds.includes(kind)) continue;
+    if (rule.days && !rule.days.includes(day)) continue;
+    const from = minutesOf(rule.from);
+    const to = minutesOf(rule.to);
+    // Windows may wrap past midnight (e.g. 22:00-02:00)
+    const inWindow = from <= to ? minute >= from && minute < to : minute >= from || minute < to;
+    if (inWindow) multiplier = Math.max(multiplier, rule.multiplier);
+  }
+  return multiplier;
+}
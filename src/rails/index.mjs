@@ -0,0 +1,70 @@
+/**
+ * Payment rails.
+ *
+ * A rail is one way to pay the relay. Each implements:
+ *
+ *   name                                          'sbtc', 'lightning', ...
+ *   network                                       x402 network id ('stacks', 'lightning')
+ *   requirement({ amount, description, resource, intent }) → x402 PaymentRequirements (may be async)
+ *   checkPayload(payload)                         → schema error message, or null
+ *   verify(payment, requiredSats, store)          → { valid, txId, amount, sender, memo } | { valid: false, error }
+ *   onDemand                                      optional; offered only when the client asks for its network
+ *
+ * and, for payments the relay itself must still carry out (e.g. a
+ * pre-signed tx it broadcasts):
+ *
+ *   unsettled(payment)                            → whether `payment` needs settle()
+ *   settle(payment, { store, account, requiredSats }) → { success, error?, status? }
+ *
+ * `intent` is a payment intent id the payment should carry (see x402.mjs);
+ * `memo` is whatever reference the payment did carry, or null. A payment
+ * that may still become valid (e.g. a tx awaiting confirmations) fails
+ * with `pending: true` and its `txId`.
+ *
+ * `payment` is the decoded X-PAYMENT header. `verify` must not burn it;
+ * callers mark `txId` used once they have acted on it. sBTC is always
+ * enabled; Lightning when configured.
+ */
+
+import { sbtcRail } from './sbtc.mjs';
+import { lightningRailFromEnv } from './lightning.mjs';
+
+let rails = [sbtcRail, lightningRailFromEnv()].filter(Boolean);
+
+export function getRails() {
+  return rails;
+}
+
+/**
+ * Replace the enabled rails (tests, or a custom deployment).
+ */
+export function setRails(list) {
+  rails = list;
+}
+
+/**
+ * Enabled rail for an x402 network id.
+ */
+export function getRailForNetwork(network) {
+  return rails.find(r => r.network === network) ?? null;
+}
+
+/**
+ * x402 `accepts` list: one payment option per enabled rail. An on-demand
+ * rail is left out unless `networks` names it, and so is a rail that fails
+ * (e.g. its Lightning node is down).
+ * @param {Object} requirement - as for rail.requirement()
+ * @param {{ networks?: string[] }} [opts] - networks the client asked for
+ */
+export async function buildAccepts({ amount, description, resource, intent }, { networks = [] } = {}) {
+  const offered = rails.filter(rail => !rail.onDemand || networks.includes(rail.network));
+  const options = await Promise.all(offered.map(async (rail) => {
+    try {
+      return await rail.requirement({ amount, description, resource, intent });
+    } catch (err) {
+      console.log(`⚠️ ${rail.name} payment option unavailable: ${err.message}`);
+      return null;
+    }
+  }));
+  return options.filter(Boolean);
+}
@@ -0,0 +1,200 @@
+/**
+ * Lightning payment rail: 402 responses carry a BOLT11 invoice for the
+ * price, and clients prove payment with the invoice's preimage.
+ *
+ * Invoices come from the relay's own node over its REST API:
+ *
+ *   LIGHTNING_BACKEND=lnd  LIGHTNING_URL=https://node:8080  LIGHTNING_MACAROON=<hex>
+ *   LIGHTNING_BACKEND=cln  LIGHTNING_URL=https://node:3010  LIGHTNING_RUNE=<rune>
+ *
+ * X-PAYMENT payload: { "preimage": "<64 hex>" }
+ *
+ * A preimage is accepted once the node reports its invoice settled for at
+ * least the required amount; `ln:<payment hash>` is then burned like an
+ * sBTC txid so the same preimage cannot pay twice. An invoice issued for
+ * a payment intent names it in its description, which binds the preimage
+ * to that intent.
+ *
+ * Every invoice is a row on the node, so the rail is offered only to
+ * clients that ask for it (X-PAYMENT-NETWORK: lightning), and repeated
+ * 402s for one intent get the same invoice until half its lifetime has
+ * passed.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+
+const LIGHTNING_BACKEND = (process.env.LIGHTNING_BACKEND || '').toLowerCase();
+const LIGHTNING_URL = (process.env.LIGHTNING_URL || '').replace(/\/$/, '');
+const LIGHTNING_MACAROON = process.env.LIGHTNING_MACAROON || '';
+const LIGHTNING_RUNE = process.env.LIGHTNING_RUNE || '';
+const INVOICE_EXPIRY = parseInt(process.env.LIGHTNING_INVOICE_EXPIRY || '600'); // seconds
+const INTENT_MARKER = /\(intent ([0-9a-f]{32})\)$/;
+
+async function request(url, { method = 'GET', headers = {}, body } = {}) {
+  const resp = await fetch(url, {
+    method,
+    headers: { ...headers, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  if (!resp.ok) throw new Error(`Lightning node returned ${resp.status}`);
+  return resp.json();
+}
+
+/**
+ * LND REST backend (`/v1/invoices`, `/v1/invoice/{hash}`).
+ */
+export function createLndBackend({ url, macaroon }) {
+  const headers = macaroon ? { 'Grpc-Metadata-macaroon': macaroon } : {};
+  return {
+    async createInvoice({ amount, memo, expiry }) {
+      const res = await request(`${url}/v1/invoices`, {
+        method: 'POST', headers, body: { value: String(amount), memo, expiry: String(expiry) },
+      });
+      return {
+        invoice: res.payment_request,
+        paymentHash: Buffer.from(res.r_hash, 'base64').toString('hex'),
+      };
+    },
+
+    async lookupInvoice(paymentHash) {
+      const res = await request(`${url}/v1/invoice/${paymentHash}`, { headers });
+      return { settled: res.state === 'SETTLED', amount: Number(res.amt_paid_sat || 0), memo: res.memo ?? '' };
+    },
+  };
+}
+
+/**
+ * Core Lightning clnrest backend (`/v1/invoice`, `/v1/listinvoices`).
+ */
+export function createClnBackend({ url, rune }) {
+  const headers = rune ? { Rune: rune } : {};
+  return {
+    async createInvoice({ amount, memo, expiry }) {
+      const res = await request(`${url}/v1/invoice`, {
+        method: 'POST',
+        headers,
+        body: { amount_msat: amount * 1000, label: `x402-${randomBytes(8).toString('hex')}`, description: memo, expiry },
+      });
+      return { invoice: res.bolt11, paymentHash: res.payment_hash };
+    },
+
+    async lookupInvoice(paymentHash) {
+      const res = await request(`${url}/v1/listinvoices`, {
+        method: 'POST', headers, body: { payment_hash: paymentHash },
+      });
+      const invoice = res.invoices?.[0];
+      if (!invoice) throw new Error('Invoice not found');
+      return {
+        settled: invoice.status === 'paid',
+        amount: Math.floor(Number(invoice.amount_received_msat || 0) / 1000),
+        memo: invoice.description ?? '',
+      };
+    },
+  };
+}
+
+/**
+ * Build the Lightning rail around a backend.
+ * @param {{ createInvoice: Function, lookupInvoice: Function }} backend
+ * @param {Object} [opts]
+ * @param {number} [opts.expiry] - invoice lifetime in seconds
+ */
+export function createLightningRail(backend, { expiry = INVOICE_EXPIRY } = {}) {
+  /** @type {Map<string, Object>} intent id → requirement with its invoice */
+  const byIntent = new Map();
+
+  return {
+    name: 'lightning',
+    network: 'lightning',
+    onDemand: true,
+
+    /**
+     * x402 PaymentRequirements advertised in 402 responses; `payTo` is a
+     * BOLT11 invoice for the amount, reused for the same intent.
+     */
+    async requirement({ amount, description, resource, intent }) {
+      const at = Math.floor(Date.now() / 1000);
+      for (const [id, cached] of byIntent) {
+        if (cached.extra.expiresAt - at < expiry / 2) byIntent.delete(id);
+      }
+      const cached = intent && byIntent.get(intent);
+      if (cached && cached.maxAmountRequired === String(amount)) return cached;
+
+      const memo = intent ? `${description} (intent ${intent})` : description;
+      const { invoice, paymentHash } = await backend.createInvoice({ amount, memo, expiry });
+      const requirement = {
+        scheme: 'exact',
+        network: 'lightning',
+        maxAmountRequired: String(amount),
+        resource,
+        description,
+        mimeType: 'application/json',
+        payTo: invoice,
+        maxTimeoutSeconds: expiry,
+        asset: 'BTC',
+        extra: {
+          invoice, paymentHash, expiresAt: at + expiry,
+          ...(intent ? { intent } : {}),
+        },
+      };
+      if (intent) byIntent.set(intent, requirement);
+      return requirement;
+    },
+
+    /**
+     * Schema check for an X-PAYMENT payload; returns an error or null.
+     */
+    checkPayload(payload) {
+      return typeof payload.preimage === 'string' && /^[0-9a-f]{64}$/i.test(payload.preimage)
+        ? null : 'payload.preimage must be 32-byte hex';
+    },
+
+    /**
+     * Check a settled invoice by its preimage. Does not burn the hash.
+     * @param {{ payload: { preimage: string } }} payment - decoded X-PAYMENT
+     * @returns {Promise<{ valid: boolean, error?: string, txId?: string, amount?: number, sender?: null, memo?: string|null }>}
+     */
+    async verify(payment, requiredSats, store) {
+      const raw = payment.payload?.preimage;
+      const preimage = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+      if (!/^[0-9a-f]{64}$/.test(preimage)) {
+        return { valid: false, error: 'Preimage must be 32-byte hex' };
+      }
+      const paymentHash = createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+      const txId = `ln:${paymentHash}`;
+      if (store?.isUsedTx(txId)) {
+        return { valid: false, error: 'Invoice already used' };
+      }
+
+      try {
+        const invoice = await backend.lookupInvoice(paymentHash);
+        if (!invoice.settled) {
+          return { valid: false, error: 'Invoice not settled' };
+        }
+        const minimum = Math.max(0, Math.trunc(Number(requiredSats) || 0));
+        if (invoice.amount < minimum) {
+          return { valid: false, error: `Insufficient payment: ${invoice.amount} < ${minimum}` };
+        }
+        const memo = INTENT_MARKER.exec(invoice.memo ?? '')?.[1] ?? null;
+        return { valid: true, txId, amount: invoice.amount, sender: null, memo };
+      } catch (err) {
+        return { valid: false, error: `Verification failed: ${err.message}` };
+      }
+    },
+  };
+}
+
+/**
+ * Lightning rail configured from env, or null when LIGHTNING_BACKEND is unset.
+ */
+export function lightningRailFromEnv() {
+  if (!LIGHTNING_BACKEND) return null;
+  if (!LIGHTNING_URL) throw new Error('LIGHTNING_URL is required with LIGHTNING_BACKEND');
+  if (LIGHTNING_BACKEND === 'lnd') {
+    return createLightningRail(createLndBackend({ url: LIGHTNING_URL, macaroon: LIGHTNING_MACAROON }));
+  }
+  if (LIGHTNING_BACKEND === 'cln') {
+    return createLightningRail(createClnBackend({ url: LIGHTNING_URL, rune: LIGHTNING_RUNE }));
+  }
+  throw new Error(`Unknown LIGHTNING_BACKEND "${LIGHTNING_BACKEND}" (expected lnd or cln)`);
+}
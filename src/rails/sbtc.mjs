@@ -0,0 +1,203 @@
+/**
+ * sBTC payment rail: clients transfer sBTC to PAY_TO on Stacks and prove
+ * it with the txid, verified through the Hiro Stacks API. Or they send
+ * the signed transfer unbroadcast and the relay settles it (see
+ * facilitator.mjs).
+ *
+ * X-PAYMENT payload: { "txId": "0x<64 hex>" } or { "transaction": "<signed tx hex>" }
+ *
+ * A 402 for an event names a payment intent in `extra.memo`; the transfer
+ * carries it as its memo to bind the payment to that event.
+ *
+ * A txid counts once it is as final as the pricing policy's `finality`
+ * asks for its amount. Until then (or while it is still in the mempool)
+ * verification reports it `pending` rather than invalid.
+ */
+
+import { SBTC_CONTRACT, normalizeTxId } from '../wallet.mjs';
+import { getFinalityRule } from '../pricing.mjs';
+import { verify as verifyTransfer, settle as settleTransfer, memoText } from '../facilitator.mjs';
+
+// PAY_TO: set via env (should match the relay wallet address)
+export const PAY_TO = process.env.PAY_TO || 'SP3PME5Q8G3VJ7GAFBMNCRXJ28HFTBX74XZC70WZ7';
+const STACKS_API = process.env.STACKS_API || 'https://api.mainnet.hiro.so';
+const PAYMENT_TIMEOUT = 600; // seconds a client has to get its transfer confirmed
+const SBTC_ASSET = `${SBTC_CONTRACT.address}.${SBTC_CONTRACT.name}`;
+
+function parseAmount(value) {
+  try {
+    const amount = BigInt(value);
+    return amount >= 0n ? amount : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Why a successful tx is not yet final enough under `rule`, or null.
+ */
+async function awaitingFinality(tx, { confirmations, burnDepth }) {
+  if (!confirmations && !burnDepth) return null;
+  if (tx.canonical === false || tx.is_unanchored || tx.block_height == null) {
+    return 'Transaction is not anchored on the canonical chain yet';
+  }
+  const resp = await fetch(`${STACKS_API}/v2/info`).catch(() => null);
+  if (!resp?.ok) return 'Chain tip unavailable';
+  const tip = await resp.json();
+
+  const have = tip.stacks_tip_height - tx.block_height + 1;
+  if (have < confirmations) return `Waiting for ${confirmations} confirmations (have ${have})`;
+  if (burnDepth) {
+    const depth = tx.burn_block_height == null ? 0 : tip.burn_block_height - tx.burn_block_height + 1;
+    if (depth < burnDepth) return `Waiting for ${burnDepth} Bitcoin blocks (have ${depth})`;
+  }
+  return null;
+}
+
+/**
+ * Look up an sBTC payment on the Stacks API and check it pays the relay
+ * at least `requiredSats`. Does not burn the tx id.
+ *
+ * A tx that is still in the mempool, or not yet final enough, comes back
+ * invalid with `pending: true`; a lookup that failed outright comes back
+ * with `retryable: true`.
+ * @returns {Promise<{ valid: boolean, pending?: boolean, retryable?: boolean, error?: string, txId?: string, amount?: number, sender?: string, memo?: string|null }>}
+ */
+async function checkPayment(txId, requiredSats, store) {
+  const normalizedTxId = normalizeTxId(txId);
+  if (!normalizedTxId) {
+    return { valid: false, error: 'Missing transaction ID' };
+  }
+
+  if (store?.isUsedTx(normalizedTxId)) {
+    return { valid: false, error: 'Transaction already used' };
+  }
+
+  try {
+    const resp = await fetch(`${STACKS_API}/extended/v1/tx/${normalizedTxId}`);
+    if (!resp.ok) {
+      return { valid: false, error: `Transaction not found: ${resp.status}` };
+    }
+
+    const tx = await resp.json();
+
+    if (tx.tx_status === 'pending') {
+      return { valid: false, pending: true, txId: normalizedTxId, error: 'Transaction is in the mempool' };
+    }
+    if (tx.tx_status !== 'success') {
+      return { valid: false, error: `Transaction status: ${tx.tx_status}` };
+    }
+
+    const minimumAmount = BigInt(Math.max(0, Math.trunc(Number(requiredSats) || 0)));
+
+    // Only sbtc-token transfers pay; a plain STX transfer moves microSTX, not sats
+    if (tx.tx_type !== 'contract_call') {
+      return { valid: false, error: `Unsupported transaction type: ${tx.tx_type} (send sBTC)` };
+    }
+    const events = tx.events || [];
+    const transferToUs = events.find((event) =>
+      (event.event_type === 'fungible_token_transfer' || event.event_type === 'fungible_token_asset') &&
+      event.asset?.asset_event_type === 'transfer' &&
+      event.asset?.recipient === PAY_TO
+    );
+    if (!transferToUs) {
+      return { valid: false, error: 'No sBTC transfer to relay found in tx' };
+    }
+    if (transferToUs.asset?.asset_id !== SBTC_ASSET) {
+      return { valid: false, error: `Invalid asset: expected sBTC (${SBTC_ASSET})` };
+    }
+    const paidAmount = parseAmount(transferToUs.asset?.amount);
+    if (paidAmount == null) {
+      return { valid: false, error: 'Invalid transfer amount' };
+    }
+    // transfer(amount, sender, recipient, memo)
+    const memo = memoText(tx.contract_call?.function_args?.[3]?.hex);
+
+    if (paidAmount < minimumAmount) {
+      return { valid: false, error: `Insufficient payment: ${paidAmount} < ${minimumAmount}` };
+    }
+
+    const waiting = await awaitingFinality(tx, getFinalityRule(Number(paidAmount)));
+    if (waiting) {
+      return { valid: false, pending: true, txId: normalizedTxId, error: waiting };
+    }
+
+    return {
+      valid: true,
+      txId: normalizedTxId,
+      amount: Number(paidAmount),
+      sender: tx.sender_address || null,
+      memo,
+    };
+  } catch (err) {
+    return { valid: false, retryable: true, error: `Verification failed: ${err.message}` };
+  }
+}
+
+export const sbtcRail = {
+  name: 'sbtc',
+  network: 'stacks',
+
+  /**
+   * x402 PaymentRequirements advertised in 402 responses. With a payment
+   * intent, `extra.memo` is the memo the transfer must carry.
+   */
+  requirement({ amount, description, resource, intent }) {
+    return {
+      scheme: 'exact',
+      network: 'stacks',
+      maxAmountRequired: String(amount),
+      resource,
+      description,
+      mimeType: 'application/json',
+      payTo: PAY_TO,
+      maxTimeoutSeconds: PAYMENT_TIMEOUT,
+      asset: SBTC_ASSET,
+      extra: { name: 'sBTC', decimals: 8, ...(intent ? { memo: intent } : {}) },
+    };
+  },
+
+  /**
+   * Schema check for an X-PAYMENT payload; returns an error or null.
+   */
+  checkPayload(payload) {
+    if (payload.transaction != null) {
+      return typeof payload.transaction === 'string' && /^(0x)?([0-9a-f]{2})+$/i.test(payload.transaction)
+        ? null : 'payload.transaction must be a hex-serialized Stacks transaction';
+    }
+    return typeof payload.txId === 'string' && /^(0x)?[0-9a-f]{64}$/i.test(payload.txId)
+      ? null : 'payload.txId must be a Stacks transaction id';
+  },
+
+  /**
+   * Whether the payment has yet to move money: a pre-signed transfer the
+   * relay still has to broadcast.
+   */
+  unsettled(payment) {
+    return payment.payload?.transaction != null;
+  },
+
+  /**
+   * @param {{ payload: { txId?: string, transaction?: string } }} payment - decoded X-PAYMENT
+   */
+  async verify(payment, requiredSats, store) {
+    if (!this.unsettled(payment)) return checkPayment(payment.payload?.txId, requiredSats, store);
+
+    const check = verifyTransfer(payment, this.requirement({ amount: requiredSats }), { store });
+    if (!check.isValid) {
+      return { valid: false, error: `Pre-signed transaction rejected: ${check.invalidReason}` };
+    }
+    return { valid: true, txId: check.txId, amount: check.amount, sender: check.payer, memo: check.memo };
+  },
+
+  /**
+   * Broadcast a verified pre-signed transfer and track it until it confirms.
+   * @returns {Promise<{ success: boolean, error?: string, status?: string }>}
+   */
+  async settle(payment, { store, account, requiredSats = 0 }) {
+    const result = await settleTransfer(payment, this.requirement({ amount: requiredSats }), { store, account });
+    return result.success
+      ? { success: true, status: result.status }
+      : { success: false, error: `Settlement failed: ${result.errorReason}` };
+  },
+};
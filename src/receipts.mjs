@@ -0,0 +1,111 @@
+/**
+ * Pending payment receipts.
+ *
+ * A payment whose tx is real but not yet final (still in the mempool, or
+ * short of the pricing policy's `finality` depth) is not refused: the
+ * request gets `202 Accepted` with a receipt id, and a poller re-verifies
+ * the payment until it counts. The receipt's event is then published, or
+ * its subscription plan bought (for a plain top-up, the credit deposited). A payment that turns out
+ * invalid, or is still not final after RECEIPT_TIMEOUT, is dropped with
+ * the reason.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { depositPayment } from './x402.mjs';
+import { now } from './time.mjs';
+
+const RECEIPT_POLL_INTERVAL = parseInt(process.env.RECEIPT_POLL_INTERVAL || '30'); // seconds
+export const RECEIPT_TIMEOUT = parseInt(process.env.RECEIPT_TIMEOUT || '3600'); // seconds
+
+/**
+ * Record a pending payment. A tx already waiting on a receipt keeps it:
+ * the same request gets that receipt back, any other gets null.
+ * @param {import('./store.mjs').EventStore} store
+ * @param {Object} opts
+ * @param {Object} opts.payment - decoded X-PAYMENT
+ * @param {string} opts.txId - tx the payment waits on
+ * @param {string} [opts.account] - account to credit, as for depositPayment
+ * @param {Object} [opts.event] - event to publish once the payment counts
+ * @param {number} [opts.amount] - checked tip for the event
+ * @param {string} [opts.plan] - subscription plan to buy once the payment counts
+ * @param {number} [opts.minimum] - as for depositPayment
+ * @param {boolean} [opts.useCredit] - whether the event may be charged to credit the payment
+ *   didn't bring (the request was NIP-98 authenticated); if not, the payment must cover `minimum`
+ * @param {string} [opts.reason] - why the payment is not final yet
+ * @returns {Object|null} the receipt row
+ */
+export function openReceipt(store, {
+  payment, txId, account = null, event = null, amount = null, plan = null, minimum = 0, useCredit = true, reason = null,
+}) {
+  return store.addReceipt({
+    id: randomBytes(16).toString('hex'), tx_id: txId, network: payment.network, payment,
+    account, event, amount, plan, minimum, use_credit: useCredit ? 1 : 0, reason,
+  });
+}
+
+function resolve(store, receipt, status, reason = null) {
+  store.updateReceipt(receipt.id, { status, reason, checked_at: now(), resolved_at: now() });
+}
+
+/**
+ * One pass over pending receipts: deposit and publish or subscribe, keep
+ * waiting, or drop.
+ * @param {import('./store.mjs').EventStore} store
+ * @param {Object} opts
+ * @param {Function} opts.publish - (event, { amount }) → { ok, price, balance }, as publishEvent in index.mjs
+ * @param {Function} [opts.subscribe] - (pubkey, plan) → { ok, price, balance }, as buySubscription in index.mjs
+ * @param {number} [opts.timeout] - seconds a receipt may stay pending
+ */
+export async function checkReceipts(store, { publish, subscribe, timeout = RECEIPT_TIMEOUT }) {
+  for (const receipt of store.getPendingReceipts()) {
+    const event = receipt.event ? JSON.parse(receipt.event) : null;
+    const deposit = await depositPayment(JSON.parse(receipt.payment), receipt.account, store, {
+      minimum: receipt.minimum, eventId: event?.id ?? null,
+    });
+
+    if (deposit.pending || deposit.retryable) {
+      if (now() - receipt.created_at >= timeout) {
+        resolve(store, receipt, 'dropped', `Timed out waiting for finality: ${deposit.error}`);
+      } else {
+        store.updateReceipt(receipt.id, { reason: deposit.error, checked_at: now() });
+      }
+      continue;
+    }
+    if (!deposit.valid) {
+      resolve(store, receipt, 'dropped', deposit.error);
+      continue;
+    }
+    if (receipt.plan && subscribe) {
+      const result = subscribe(receipt.account, receipt.plan);
+      if (result.ok) resolve(store, receipt, 'subscribed');
+      else resolve(store, receipt, 'dropped', result.error ?? `Insufficient credit: ${result.balance} < ${result.price}; payment kept as credit`);
+      continue;
+    }
+    if (!event) {
+      resolve(store, receipt, 'credited');
+      continue;
+    }
+    if (!receipt.use_credit && (deposit.account !== event.pubkey || deposit.amount < receipt.minimum)) {
+      resolve(store, receipt, 'dropped', `Payment does not cover the event (${deposit.amount} < ${receipt.minimum}) and the request was not authenticated; payment kept as credit`);
+      continue;
+    }
+
+    const result = await publish(event, { amount: receipt.amount });
+    if (result.ok) {
+      resolve(store, receipt, 'published', result.added === false ? 'Duplicate event' : null);
+    } else {
+      resolve(store, receipt, 'dropped', `Insufficient credit: ${result.balance} < ${result.price}; payment kept as credit`);
+    }
+  }
+}
+
+/**
+ * Poll pending receipts in the background. Returns a stop function.
+ */
+export function startReceiptPoller(store, { publish, subscribe, intervalSeconds = RECEIPT_POLL_INTERVAL }) {
+  const timer = setInterval(() => {
+    checkReceipts(store, { publish, subscribe }).catch(err => console.log(`⚠️ Receipt check failed: ${err.message}`));
+  }, intervalSeconds * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+}
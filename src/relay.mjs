@@ -1,78 +1,218 @@
 /**
- * WebSocket relay implementing NIP-01.
- * Handles EVENT, REQ, CLOSE messages.
- * Reading is free; writing is done via HTTP /api/events (x402 gated).
+ * WebSocket relay implementing NIP-01 and NIP-42.
+ * Handles EVENT, REQ, COUNT (NIP-45), CLOSE and AUTH messages.
+ * Reading is free. Writing is done via HTTP /api/events (x402 gated), or
+ * over the socket by a NIP-42 authenticated pubkey with prepaid credit.
  */
 
+import { randomBytes } from 'node:crypto';
 import { WebSocketServer } from 'ws';
 import { EventStore } from './store.mjs';
-import { matchFilters } from './filters.mjs';
+import { matchFilters, filterError } from './filters.mjs';
+import { validateEvent } from './validate.mjs';
+import { build402Response, checkTipAmount } from './x402.mjs';
+import { DEFAULT_LIMITS, Limiter, clientIp } from './limits.mjs';
+import { Negentropy } from './negentropy.mjs';
+
+const AUTH_KIND = 22242;
+const AUTH_MAX_AGE = 600; // seconds either side of now
+
+export { DEFAULT_LIMITS };
 
 export class Relay {
   /**
    * @param {Object} opts
    * @param {EventStore} opts.store
+   * @param {string} [opts.relayUrl] - public ws(s) URL, checked against AUTH `relay` tags
+   * @param {(event: Object) => Promise<{ ok: boolean, added?: boolean, balance?: number }>} [opts.publish]
+   *   - charges and stores an event for an authenticated pubkey
+   * @param {Object} [opts.limits] - overrides for DEFAULT_LIMITS
+   * @param {Limiter} [opts.limiter] - shared with the HTTP server; default: one built from `limits`
    */
-  constructor({ store }) {
+  constructor({ store, relayUrl = null, publish = null, limits = {}, limiter = null }) {
     this.store = store;
+    this.limiter = limiter ?? new Limiter(limits);
+    this.limits = this.limiter.limits;
+    this.relayUrl = relayUrl;
+    this.publish = publish;
     /** @type {Map<WebSocket, Map<string, Object[]>>} ws → (subId → filters[]) */
     this.subscriptions = new Map();
+    /** @type {Map<WebSocket, { challenge: string, pubkeys: Set<string> }>} */
+    this.auth = new Map();
+    /** @type {Map<WebSocket, string>} ws → client IP */
+    this.ips = new Map();
+    /** @type {Map<WebSocket, Map<string, Negentropy>>} ws → (subId → NIP-77 session) */
+    this.syncs = new Map();
   }
 
   /**
    * Attach to an HTTP server (for upgrade) or create standalone WSS.
    */
   attach(server) {
-    this.wss = new WebSocketServer({ server });
+    this.wss = new WebSocketServer({ server, maxPayload: this._maxPayload() });
     this._setup();
     return this;
   }
 
   listen(port) {
-    this.wss = new WebSocketServer({ port });
+    this.wss = new WebSocketServer({ port, maxPayload: this._maxPayload() });
     this._setup();
     return this;
   }
 
+  /**
+   * Frames this far over maxMessageLength close the socket outright;
+   * smaller overruns get a NOTICE.
+   */
+  _maxPayload() {
+    return this.limits.maxMessageLength * 2;
+  }
+
   _setup() {
-    this.wss.on('connection', (ws) => {
+    this.wss.on('connection', (ws, req) => {
       this.subscriptions.set(ws, new Map());
+      this.ips.set(ws, req ? clientIp(req) : 'unknown');
+      this._startAuth(ws);
 
-      ws.on('message', (data) => {
-        let msg;
-        try {
-          msg = JSON.parse(data);
-        } catch {
-          ws.send(JSON.stringify(['NOTICE', 'invalid JSON']));
-          return;
-        }
-        if (!Array.isArray(msg) || msg.length < 2) {
-          ws.send(JSON.stringify(['NOTICE', 'invalid message format']));
-          return;
-        }
-        this._handleMessage(ws, msg);
-      });
+      ws.on('message', (data) => this._onMessage(ws, data));
 
       ws.on('close', () => {
         this.subscriptions.delete(ws);
+        this.auth.delete(ws);
+        this.ips.delete(ws);
+        this.syncs.delete(ws);
       });
     });
   }
 
+  /**
+   * Parse, size-check and rate-limit one raw client message.
+   */
+  _onMessage(ws, data) {
+    if (data.length > this.limits.maxMessageLength) {
+      ws.send(JSON.stringify(['NOTICE', `invalid: message exceeds ${this.limits.maxMessageLength} bytes`]));
+      return;
+    }
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      ws.send(JSON.stringify(['NOTICE', 'invalid JSON']));
+      return;
+    }
+    if (!Array.isArray(msg) || msg.length < 2) {
+      ws.send(JSON.stringify(['NOTICE', 'invalid message format']));
+      return;
+    }
+
+    const wait = this.limiter.hit('ip', this.ips.get(ws) ?? 'unknown');
+    if (wait) {
+      const reason = `rate-limited: slow down, retry in ${wait}s`;
+      const [type, id] = msg;
+      if (type === 'EVENT') ws.send(JSON.stringify(['OK', typeof id?.id === 'string' ? id.id : '', false, reason]));
+      else if ((type === 'REQ' || type === 'COUNT') && typeof id === 'string') ws.send(JSON.stringify(['CLOSED', id, reason]));
+      else ws.send(JSON.stringify(['NOTICE', reason]));
+      return;
+    }
+    // A bad message must not take the process down with it
+    const fail = (err) => {
+      console.log(`⚠️ ${msg[0]} from ${this.ips.get(ws) ?? 'unknown'} failed: ${err.message}`);
+      ws.send(JSON.stringify(['NOTICE', 'error: could not handle message']));
+    };
+    try {
+      return this._handleMessage(ws, msg)?.catch(fail);
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  /**
+   * CLOSED reason if a REQ/COUNT breaks the subscription limits, or null.
+   */
+  _checkSubscription(ws, subId, filters, { opening }) {
+    const { maxSubidLength, maxFilters, maxSubscriptions } = this.limits;
+    if (subId.length === 0 || subId.length > maxSubidLength) {
+      return `invalid: subscription id must be 1-${maxSubidLength} characters`;
+    }
+    if (filters.length > maxFilters) {
+      return `invalid: too many filters (max ${maxFilters})`;
+    }
+    for (const filter of filters) {
+      const error = filterError(filter);
+      if (error) return error;
+    }
+    const subs = this.subscriptions.get(ws);
+    if (opening && subs && !subs.has(subId) && subs.size >= maxSubscriptions) {
+      return `error: too many open subscriptions (max ${maxSubscriptions})`;
+    }
+    return null;
+  }
+
+  /**
+   * NIP-77 negentropy sync: NEG-OPEN ["NEG-OPEN", subId, filter, message]
+   * starts a session over the stored events matching the filter; each
+   * NEG-MSG continues it. Replies are NEG-MSG, or NEG-ERR and the session
+   * is dropped.
+   */
+  _handleSync(ws, [type, subId, ...rest]) {
+    if (typeof subId !== 'string') {
+      ws.send(JSON.stringify(['NOTICE', 'invalid subscription ID']));
+      return;
+    }
+    if (!this.syncs.has(ws)) this.syncs.set(ws, new Map());
+    const sessions = this.syncs.get(ws);
+    const fail = (reason) => {
+      sessions.delete(subId);
+      ws.send(JSON.stringify(['NEG-ERR', subId, reason]));
+    };
+
+    let session = sessions.get(subId);
+    let message = rest[0];
+    if (type === 'NEG-OPEN') {
+      const [filter, initial] = rest;
+      sessions.delete(subId);
+      const error = filterError(filter);
+      if (error) return fail(error);
+      const { maxSubidLength, maxSubscriptions, maxSyncRecords } = this.limits;
+      if (subId.length === 0 || subId.length > maxSubidLength) {
+        return fail(`invalid: subscription id must be 1-${maxSubidLength} characters`);
+      }
+      if (sessions.size >= maxSubscriptions) return fail(`blocked: too many open syncs (max ${maxSubscriptions})`);
+      const items = this.store.syncItems(filter, maxSyncRecords);
+      if (!items) return fail(`blocked: this query is too big (max ${maxSyncRecords} events)`);
+      session = new Negentropy(items);
+      sessions.set(subId, session);
+      message = initial;
+    } else if (!session) {
+      return fail('closed: no open sync with this id');
+    }
+
+    try {
+      const { output } = session.reconcile(message);
+      ws.send(JSON.stringify(['NEG-MSG', subId, output]));
+    } catch (err) {
+      fail(`invalid: ${err.message}`);
+    }
+  }
+
+  /**
+   * Issue a fresh NIP-42 challenge for a connection.
+   */
+  _startAuth(ws) {
+    const challenge = randomBytes(16).toString('hex');
+    this.auth.set(ws, { challenge, pubkeys: new Set() });
+    ws.send(JSON.stringify(['AUTH', challenge]));
+  }
+
   _handleMessage(ws, msg) {
     const type = msg[0];
 
     switch (type) {
-      case 'EVENT': {
-        const eventId = msg[1]?.id || '';
-        ws.send(JSON.stringify([
-          'OK',
-          eventId,
-          false,
-          'payment-required: publish via HTTP POST /api/events',
-        ]));
-        break;
-      }
+      case 'EVENT':
+        return this._handleEvent(ws, msg[1]);
+
+      case 'AUTH':
+        return this._handleAuth(ws, msg[1]);
 
       case 'REQ': {
         const subId = msg[1];
@@ -85,6 +225,11 @@ export class Relay {
           ws.send(JSON.stringify(['NOTICE', 'no filters provided']));
           return;
         }
+        const refused = this._checkSubscription(ws, subId, filters, { opening: true });
+        if (refused) {
+          ws.send(JSON.stringify(['CLOSED', subId, refused]));
+          return;
+        }
 
         // Store subscription
         const subs = this.subscriptions.get(ws);
@@ -102,6 +247,27 @@ export class Relay {
         break;
       }
 
+      // NIP-45
+      case 'COUNT': {
+        const subId = msg[1];
+        if (typeof subId !== 'string') {
+          ws.send(JSON.stringify(['NOTICE', 'invalid subscription ID']));
+          return;
+        }
+        const filters = msg.slice(2);
+        if (filters.length === 0) {
+          ws.send(JSON.stringify(['NOTICE', 'no filters provided']));
+          return;
+        }
+        const refused = this._checkSubscription(ws, subId, filters, { opening: false });
+        if (refused) {
+          ws.send(JSON.stringify(['CLOSED', subId, refused]));
+          return;
+        }
+        ws.send(JSON.stringify(['COUNT', subId, { count: this.store.count(filters) }]));
+        break;
+      }
+
       case 'CLOSE': {
         const subId = msg[1];
         const subs = this.subscriptions.get(ws);
@@ -109,11 +275,110 @@ export class Relay {
         break;
       }
 
+      case 'NEG-OPEN':
+      case 'NEG-MSG':
+        return this._handleSync(ws, msg);
+
+      case 'NEG-CLOSE':
+        this.syncs.get(ws)?.delete(msg[1]);
+        break;
+
       default:
         ws.send(JSON.stringify(['NOTICE', `unknown message type: ${type}`]));
     }
   }
 
+  /**
+   * EVENT: accepted from a pubkey authenticated on the connection (NIP-42)
+   * with an active subscription or prepaid credit covering the price. A
+   * subscriber who hasn't authenticated is asked to; everyone else is
+   * pointed at the x402 HTTP endpoint.
+   */
+  async _handleEvent(ws, event) {
+    const eventId = typeof event?.id === 'string' ? event.id : '';
+
+    const validation = await validateEvent(event);
+    if (!validation.valid) {
+      ws.send(JSON.stringify(['OK', eventId, false, validation.message]));
+      return;
+    }
+
+    const tip = checkTipAmount(event);
+    if (!tip.valid) {
+      ws.send(JSON.stringify(['OK', eventId, false, tip.message]));
+      return;
+    }
+
+    const wait = this.limiter.hit('pubkey', event.pubkey);
+    if (wait) {
+      ws.send(JSON.stringify(['OK', eventId, false, `rate-limited: too many events from this pubkey, retry in ${wait}s`]));
+      return;
+    }
+
+    const authed = this.auth.get(ws)?.pubkeys.has(event.pubkey);
+    if (!authed && this.publish && this.store.getActiveSubscription(event.pubkey)) {
+      ws.send(JSON.stringify(['OK', eventId, false, 'auth-required: AUTH as this pubkey to publish with its subscription']));
+      return;
+    }
+    if (!authed || !this.publish) {
+      ws.send(JSON.stringify(['OK', eventId, false, this._paymentRequired(event)]));
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.publish(event);
+    } catch (err) {
+      ws.send(JSON.stringify(['OK', eventId, false, `error: ${err.message}`]));
+      return;
+    }
+
+    if (!result.ok) {
+      ws.send(JSON.stringify(['OK', eventId, false, this._paymentRequired(event, result.balance, result.subscribed)]));
+      return;
+    }
+    ws.send(JSON.stringify(['OK', eventId, true, result.added ? '' : 'duplicate: already have this event']));
+  }
+
+  /**
+   * OK message for an unpaid EVENT, carrying the x402 payment details.
+   */
+  _paymentRequired(event, balance, subscribed = false) {
+    const { body } = build402Response(event, { balance, subscribed });
+    return 'payment-required: publish via HTTP POST /api/events, AUTH with prepaid credit, ' +
+      'or subscribe via POST /api/subscriptions; ' +
+      `x402=${JSON.stringify({ x402Version: body.x402Version, accepts: body.accepts })}`;
+  }
+
+  /**
+   * AUTH: verify a kind 22242 event answering this connection's challenge.
+   */
+  async _handleAuth(ws, event) {
+    const eventId = typeof event?.id === 'string' ? event.id : '';
+    const state = this.auth.get(ws);
+    const reply = (ok, message) => ws.send(JSON.stringify(['OK', eventId, ok, message]));
+
+    const validation = await validateEvent(event);
+    if (!validation.valid) return reply(false, validation.message);
+
+    if (event.kind !== AUTH_KIND) {
+      return reply(false, `invalid: auth event must be kind ${AUTH_KIND}`);
+    }
+    if (Math.abs(event.created_at - Math.floor(Date.now() / 1000)) > AUTH_MAX_AGE) {
+      return reply(false, 'invalid: auth event created_at is too far from now');
+    }
+    const tag = (name) => event.tags.find(t => t[0] === name)?.[1];
+    if (!state || tag('challenge') !== state.challenge) {
+      return reply(false, 'invalid: challenge mismatch');
+    }
+    if (this.relayUrl && !sameRelayUrl(tag('relay'), this.relayUrl)) {
+      return reply(false, 'invalid: relay url mismatch');
+    }
+
+    state.pubkeys.add(event.pubkey);
+    return reply(true, '');
+  }
+
   /**
    * Broadcast an event to all subscribers with matching filters.
    */
@@ -129,10 +394,12 @@ export class Relay {
   }
 
   /**
-   * Inject an event from the HTTP endpoint (after payment verified).
+   * Inject an event from the HTTP endpoint (after payment verified), or
+   * one imported from an upstream relay.
+   * @param {Object} [opts] - { imported }, as for EventStore.add
    */
-  injectEvent(event) {
-    const added = this.store.add(event);
+  injectEvent(event, opts) {
+    const added = this.store.add(event, opts);
     if (added) {
       this._broadcast(event);
     }
@@ -143,3 +410,16 @@ export class Relay {
     if (this.wss) this.wss.close();
   }
 }
+
+/**
+ * Compare relay URLs by host and path, ignoring scheme case and trailing slash.
+ */
+function sameRelayUrl(a, b) {
+  try {
+    const ua = new URL(a);
+    const ub = new URL(b);
+    return ua.host === ub.host && ua.pathname.replace(/\/$/, '') === ub.pathname.replace(/\/$/, '');
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * NIP-40 expiration and storage retention.
+ *
+ * - Events whose `expiration` tag is in the past are rejected on publish,
+ *   hidden from queries and purged by a periodic sweeper.
+ * - An optional retention policy bounds database growth:
+ *     RETENTION_POLICY='{"maxAgeByKind":{"1":2592000},"maxEventsPerPubkey":1000}'
+ *   maxAgeByKind       — seconds to keep events of a kind ("default" applies to unlisted kinds)
+ *   maxEventsPerPubkey — newest N regular events kept per author (replaceable kinds are exempt)
+ */
+
+import { now } from './time.mjs';
+
+const SWEEP_INTERVAL = parseInt(process.env.SWEEP_INTERVAL || '300'); // seconds
+
+/**
+ * Expiration timestamp from the first `expiration` tag, or null.
+ */
+export function getExpiration(event) {
+  const tag = (event?.tags || []).find(t => Array.isArray(t) && t[0] === 'expiration');
+  if (!tag || typeof tag[1] !== 'string' || !/^\d+$/.test(tag[1])) return null;
+  return Number(tag[1]);
+}
+
+export function isExpired(event, at = now()) {
+  const expiration = getExpiration(event);
+  return expiration != null && expiration <= at;
+}
+
+/**
+ * Parse the retention policy from RETENTION_POLICY (JSON). Invalid or
+ * missing config yields an empty policy (expiration sweeping only).
+ */
+export function loadRetentionPolicy(raw = process.env.RETENTION_POLICY) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    const policy = {};
+    if (parsed.maxAgeByKind && typeof parsed.maxAgeByKind === 'object') {
+      policy.maxAgeByKind = {};
+      for (const [kind, age] of Object.entries(parsed.maxAgeByKind)) {
+        if (Number.isFinite(age) && age > 0) policy.maxAgeByKind[kind] = age;
+      }
+    }
+    if (Number.isInteger(parsed.maxEventsPerPubkey) && parsed.maxEventsPerPubkey > 0) {
+      policy.maxEventsPerPubkey = parsed.maxEventsPerPubkey;
+    }
+    return policy;
+  } catch (err) {
+    console.log(`⚠️ Invalid RETENTION_POLICY (${err.message}), ignoring`);
+    return {};
+  }
+}
+
+/**
+ * Run one sweep: purge expired events, then apply the retention policy.
+ * @returns {{ expired: number, retention: number }}
+ */
+export function sweep(store, policy = {}) {
+  return {
+    expired: store.purgeExpired(now()),
+    retention: store.applyRetention(policy, now()),
+  };
+}
+
+/**
+ * Start the periodic sweeper. Returns a function that stops it.
+ */
+export function startSweeper(store, policy = {}, intervalSeconds = SWEEP_INTERVAL) {
+  const run = () => {
+    try {
+      const result = sweep(store, policy);
+      if (result.expired || result.retention) {
+        console.log(`🧹 Pruned ${result.expired} expired, ${result.retention} by retention policy`);
+      }
+    } catch (err) {
+      console.log(`⚠️ Sweep failed: ${err.message}`);
+    }
+  };
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+}
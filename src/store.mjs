@@ -3,11 +3,16 @@
  * Falls back to in-memory if SQLite unavailable.
  */
 
-import { matchFilter } from './filters.mjs';
+import { matchFilter, matchFilters, searchTerms, searchScore } from './filters.mjs';
+import { getExpiration, isExpired } from './retention.mjs';
+import { now } from './time.mjs';
 
 const DATA_DIR = process.env.DATA_DIR || '/data';
 const DB_PATH = `${DATA_DIR}/relay.db`;
 
+// Hard cap on events returned by a single filter
+export const MAX_QUERY_LIMIT = 5000;
+
 let Database;
 try {
   Database = (await import('better-sqlite3')).default;
@@ -15,27 +20,86 @@ try {
   Database = null;
 }
 
+export const DELETION_KIND = 5;
+
+function isReplaceable(kind) {
+  return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000) ||
+    (kind >= 30000 && kind < 40000);
+}
+
+function dTagOf(event) {
+  return (event.tags || []).find(t => t[0] === 'd')?.[1] || '';
+}
+
+/**
+ * Parse a NIP-01 address ("kind:pubkey:d-tag") from an `a` tag.
+ */
+function parseAddress(address) {
+  const [kind, pubkey, ...rest] = address.split(':');
+  if (!/^\d+$/.test(kind) || !pubkey) return null;
+  return { kind: Number(kind), pubkey, d: rest.join(':') };
+}
+
+/**
+ * FTS5 MATCH expression for a NIP-50 search string, or null if it has no terms.
+ */
+function ftsQuery(search) {
+  const terms = searchTerms(search);
+  return terms.length ? terms.map(t => `"${t}"`).join(' ') : null;
+}
+
+/**
+ * NIP-01 result order: newest first, ties broken by lowest id.
+ */
+function compareEvents(a, b) {
+  if (a.created_at !== b.created_at) return b.created_at - a.created_at;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
 export class EventStore {
-  constructor() {
+  /**
+   * @param {Object} [opts]
+   * @param {string|null} [opts.dbPath] - SQLite file (or ':memory:'); null forces the in-memory store
+   */
+  constructor(opts = {}) {
+    const dbPath = opts.dbPath === undefined ? DB_PATH : opts.dbPath;
     this.db = null;
     this.memory = new Map(); // fallback
+    this.memoryCredits = new Map(); // account → balance
+    this.memoryCreditLog = [];
+    this.memoryUsedTxIds = new Map(); // tx_id → { event_id, intent_id, used_at }
+    this.memoryTombstones = [];
+    this.memorySubscriptions = [];
+    this.memorySettlements = new Map(); // tx_id → settlement row
+    this.memoryIntents = new Map(); // id → payment intent row
+    this.memoryReceipts = new Map(); // id → pending payment receipt row
+    this.memoryMirrors = new Map(); // `${event_id} ${relay}` → mirror delivery row
+    this.memoryImported = new Set(); // ids of events imported from upstream relays
+    this.memorySyncState = new Map(); // upstream relay → sync state row
+    this.memoryAddresses = new Map(); // pubkey → address cache row
 
-    if (Database) {
+    if (Database && dbPath) {
       try {
-        this.db = new Database(DB_PATH);
+        this.db = new Database(dbPath);
         this.db.pragma('journal_mode = WAL');
         this._initDb();
-        console.log(`📦 SQLite store: ${DB_PATH}`);
+        console.log(`📦 SQLite store: ${dbPath}`);
       } catch (err) {
         console.log(`⚠️ SQLite failed (${err.message}), using in-memory store`);
         this.db = null;
       }
-    } else {
+    } else if (!Database) {
       console.log('⚠️ better-sqlite3 not available, using in-memory store');
     }
   }
 
   _initDb() {
+    const hasTable = (name) => !!this.db.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?"
+    ).get(name);
+    const hasTagIndex = hasTable('event_tags');
+    const hasSearchIndex = hasTable('events_fts');
+
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS events (
         id TEXT PRIMARY KEY,
@@ -45,13 +109,41 @@ export class EventStore {
         content TEXT NOT NULL DEFAULT '',
         tags TEXT NOT NULL DEFAULT '[]',
         sig TEXT NOT NULL DEFAULT '',
-        raw TEXT NOT NULL
+        raw TEXT NOT NULL,
+        expires_at INTEGER
       );
       CREATE INDEX IF NOT EXISTS idx_events_kind ON events(kind);
       CREATE INDEX IF NOT EXISTS idx_events_pubkey ON events(pubkey);
       CREATE INDEX IF NOT EXISTS idx_events_created ON events(created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_events_pubkey_kind ON events(pubkey, kind);
 
+      -- Single-letter tag index for NIP-01 #x filters (first value only)
+      CREATE TABLE IF NOT EXISTS event_tags (
+        event_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        value TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_event_tags_name_value ON event_tags(name, value);
+      CREATE INDEX IF NOT EXISTS idx_event_tags_event ON event_tags(event_id);
+
+      -- NIP-50 full-text index over event content
+      CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+        event_id UNINDEXED,
+        content,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      -- NIP-09 tombstones: target is an event id or an "a" address
+      CREATE TABLE IF NOT EXISTS deleted_events (
+        target TEXT NOT NULL,
+        pubkey TEXT NOT NULL,
+        deletion_id TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        removed INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX IF NOT EXISTS idx_deleted_target ON deleted_events(target);
+      CREATE INDEX IF NOT EXISTS idx_deleted_deletion ON deleted_events(deletion_id);
+
       CREATE TABLE IF NOT EXISTS payouts (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         recipient_pubkey TEXT NOT NULL,
@@ -67,19 +159,253 @@ export class EventStore {
       CREATE INDEX IF NOT EXISTS idx_payouts_recipient ON payouts(recipient_pubkey);
       CREATE INDEX IF NOT EXISTS idx_payouts_status ON payouts(status);
 
+      -- One multi-recipient forwarding tx settling several payouts
+      CREATE TABLE IF NOT EXISTS payout_batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        forward_tx TEXT NOT NULL,
+        nonce INTEGER,
+        fee INTEGER,
+        total INTEGER NOT NULL,
+        recipients INTEGER NOT NULL,
+        payout_ids TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'broadcast',
+        last_error TEXT,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+        confirmed_at INTEGER,
+        updated_at INTEGER
+      );
+
       CREATE TABLE IF NOT EXISTS used_tx_ids (
         tx_id TEXT PRIMARY KEY,
         used_at INTEGER NOT NULL DEFAULT (unixepoch())
       );
+
+      CREATE TABLE IF NOT EXISTS credit_balances (
+        account TEXT PRIMARY KEY,
+        balance INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+
+      CREATE TABLE IF NOT EXISTS credit_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account TEXT NOT NULL,
+        type TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        tx_id TEXT,
+        event_id TEXT,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+      CREATE INDEX IF NOT EXISTS idx_credit_tx_account ON credit_transactions(account, id DESC);
+
+      -- Time-based publishing subscriptions; quota NULL = unlimited
+      CREATE TABLE IF NOT EXISTS subscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pubkey TEXT NOT NULL,
+        plan TEXT NOT NULL,
+        price INTEGER NOT NULL,
+        quota INTEGER,
+        used INTEGER NOT NULL DEFAULT 0,
+        starts_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+      CREATE INDEX IF NOT EXISTS idx_subscriptions_pubkey ON subscriptions(pubkey, expires_at);
+
+      -- Pre-signed payment txs the relay broadcast itself (facilitator mode)
+      CREATE TABLE IF NOT EXISTS settlements (
+        tx_id TEXT PRIMARY KEY,
+        network TEXT NOT NULL,
+        payer TEXT,
+        account TEXT,
+        amount INTEGER NOT NULL,
+        mode TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        last_error TEXT,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+        broadcast_at INTEGER,
+        confirmed_at INTEGER,
+        updated_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_settlements_status ON settlements(status);
+      CREATE INDEX IF NOT EXISTS idx_settlements_account ON settlements(account);
+
+      -- Payment intents issued in 402 responses; a payment names one in its memo
+      CREATE TABLE IF NOT EXISTS payment_intents (
+        id TEXT PRIMARY KEY,
+        event_id TEXT,
+        pubkey TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        resource TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        tx_id TEXT,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        paid_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_payment_intents_event ON payment_intents(event_id, pubkey);
+
+      -- Payments accepted before their tx was final, awaiting the receipt poller
+      CREATE TABLE IF NOT EXISTS payment_receipts (
+        id TEXT PRIMARY KEY,
+        tx_id TEXT NOT NULL,
+        network TEXT NOT NULL,
+        payment TEXT NOT NULL,
+        account TEXT,
+        event TEXT,
+        amount INTEGER,
+        minimum INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'pending',
+        reason TEXT,
+        created_at INTEGER NOT NULL,
+        checked_at INTEGER,
+        resolved_at INTEGER
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_receipts_open ON payment_receipts(tx_id) WHERE status = 'pending';
+
+      -- Mirroring outbox: delivery of each event to each public relay
+      CREATE TABLE IF NOT EXISTS mirrors (
+        event_id TEXT NOT NULL,
+        relay TEXT NOT NULL,
+        event TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL DEFAULT 0,
+        reason TEXT,
+        created_at INTEGER NOT NULL,
+        sent_at INTEGER,
+        accepted_at INTEGER,
+        PRIMARY KEY (event_id, relay)
+      );
+      CREATE INDEX IF NOT EXISTS idx_mirrors_due ON mirrors(status, next_attempt_at);
+
+      -- Resolved recipient payment addresses; address NULL caches a miss
+      CREATE TABLE IF NOT EXISTS address_cache (
+        pubkey TEXT PRIMARY KEY,
+        address TEXT,
+        type TEXT,
+        source TEXT,
+        agent_name TEXT,
+        resolved_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+
+      -- Inbound sync: last import from each upstream relay
+      CREATE TABLE IF NOT EXISTS sync_state (
+        relay TEXT PRIMARY KEY,
+        filter TEXT,
+        method TEXT,
+        synced_at INTEGER,
+        imported INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        updated_at INTEGER
+      );
     `);
+
+    // Backfill the tag index for databases created before it existed
+    if (!hasTagIndex) {
+      this.db.exec(`
+        INSERT INTO event_tags (event_id, name, value)
+        SELECT e.id, json_extract(t.value, '$[0]'), json_extract(t.value, '$[1]')
+        FROM events e, json_each(e.tags) t
+        WHERE json_type(t.value, '$[0]') = 'text' AND length(json_extract(t.value, '$[0]')) = 1
+          AND json_type(t.value, '$[1]') = 'text'
+      `);
+    }
+
+    if (!hasSearchIndex) {
+      this.db.exec('INSERT INTO events_fts (event_id, content) SELECT id, content FROM events');
+    }
+
+    // NIP-40: add and backfill expires_at for databases created before it existed
+    if (this._ensureColumn('events', 'expires_at', 'INTEGER')) {
+      this.db.exec(`
+        UPDATE events SET expires_at = (
+          SELECT CAST(json_extract(t.value, '$[1]') AS INTEGER) FROM json_each(events.tags) t
+          WHERE json_extract(t.value, '$[0]') = 'expiration'
+            AND json_type(t.value, '$[1]') = 'text' AND json_extract(t.value, '$[1]') NOT GLOB '*[^0-9]*'
+            AND json_extract(t.value, '$[1]') != ''
+          LIMIT 1
+        );
+      `);
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_events_expires ON events(expires_at) WHERE expires_at IS NOT NULL');
+
+    // Events copied from upstream relays rather than paid for here
+    this._ensureColumn('events', 'imported', 'INTEGER NOT NULL DEFAULT 0');
+
+    // Payout queue state (see "Payout queue" below)
+    this._ensureColumn('payouts', 'attempts', 'INTEGER NOT NULL DEFAULT 0');
+    this._ensureColumn('payouts', 'next_attempt_at', 'INTEGER NOT NULL DEFAULT 0');
+    this._ensureColumn('payouts', 'nonce', 'INTEGER');
+    this._ensureColumn('payouts', 'fee', 'INTEGER');
+    this._ensureColumn('payouts', 'last_error', 'TEXT');
+    this._ensureColumn('payouts', 'broadcast_at', 'INTEGER');
+    this._ensureColumn('payouts', 'confirmed_at', 'INTEGER');
+    this._ensureColumn('payouts', 'updated_at', 'INTEGER');
+    this._ensureColumn('payouts', 'batch_id', 'INTEGER');
+    this._ensureColumn('payouts', 'claim_event_id', 'TEXT');
+    this._ensureColumn('payouts', 'claimed_at', 'INTEGER');
+    this._ensureColumn('payouts', 'replaced_txs', 'TEXT');
+    this._ensureColumn('payouts', 'payer', 'TEXT');
+
+    // What each burned tx paid for (see "Payment intents" below)
+    this._ensureColumn('used_tx_ids', 'event_id', 'TEXT');
+    this._ensureColumn('used_tx_ids', 'intent_id', 'TEXT');
+
+    // Subscription plan a pending receipt buys once its payment counts
+    this._ensureColumn('payment_receipts', 'plan', 'TEXT');
+    // Whether a receipt's event may be charged to credit it didn't bring (NIP-98 auth)
+    this._ensureColumn('payment_receipts', 'use_credit', 'INTEGER NOT NULL DEFAULT 1');
+  }
+
+  /**
+   * Add a column to an existing table if it is missing.
+   * @returns {boolean} whether the column was added
+   */
+  _ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (columns.includes(column)) return false;
+    this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
   }
 
-  add(event) {
-    if (this.db) return this._addDb(event);
-    return this._addMemory(event);
+  /**
+   * @param {Object} event
+   * @param {Object} [opts]
+   * @param {boolean} [opts.imported] - copied from an upstream relay, not paid for here
+   * @returns {boolean} false for duplicates, superseded replaceables and deleted events
+   */
+  add(event, { imported = false } = {}) {
+    return this._atomic(() => {
+      if (this.isDeleted(event)) return false;
+      const added = this.db ? this._addDb(event, imported) : this._addMemory(event, imported);
+      if (added && event.kind === DELETION_KIND) this._applyDeletion(event);
+      if (added && event.kind === 0) this.invalidateAddress(event.pubkey);
+      return added;
+    });
   }
 
-  _addDb(event) {
+  /**
+   * Remove a stored event and its index rows.
+   */
+  _deleteDb(id) {
+    return this._deleteDbWhere('id = ?', [id]);
+  }
+
+  /**
+   * Remove every stored event matching an SQL condition, with its index rows.
+   * @returns {number} events removed
+   */
+  _deleteDbWhere(condition, params = []) {
+    this.db.prepare(`DELETE FROM event_tags WHERE event_id IN (SELECT id FROM events WHERE ${condition})`)
+      .run(...params);
+    this.db.prepare(`DELETE FROM events_fts WHERE event_id IN (SELECT id FROM events WHERE ${condition})`)
+      .run(...params);
+    return this.db.prepare(`DELETE FROM events WHERE ${condition}`).run(...params).changes;
+  }
+
+  _addDb(event, imported = false) {
     // Check duplicate
     const existing = this.db.prepare('SELECT id FROM events WHERE id = ?').get(event.id);
     if (existing) return false;
@@ -92,7 +418,7 @@ export class EventStore {
       ).get(event.pubkey, event.kind);
       if (old) {
         if (old.created_at >= event.created_at) return false;
-        this.db.prepare('DELETE FROM events WHERE id = ?').run(old.id);
+        this._deleteDb(old.id);
       }
     }
 
@@ -107,7 +433,7 @@ export class EventStore {
         const rowD = rowTags.find(t => t[0] === 'd')?.[1] || '';
         if (rowD === dTag) {
           if (row.created_at >= event.created_at) return false;
-          this.db.prepare('DELETE FROM events WHERE id = ?').run(row.id);
+          this._deleteDb(row.id);
         }
       }
     }
@@ -116,24 +442,35 @@ export class EventStore {
     if (event.kind >= 20000 && event.kind < 30000) return true;
 
     this.db.prepare(`
-      INSERT INTO events (id, pubkey, kind, created_at, content, tags, sig, raw)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO events (id, pubkey, kind, created_at, content, tags, sig, raw, expires_at, imported)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       event.id, event.pubkey, event.kind, event.created_at,
       event.content || '', JSON.stringify(event.tags || []),
-      event.sig || '', JSON.stringify(event)
+      event.sig || '', JSON.stringify(event), getExpiration(event), imported ? 1 : 0
     );
+
+    this.db.prepare('INSERT INTO events_fts (event_id, content) VALUES (?, ?)')
+      .run(event.id, event.content || '');
+
+    const insertTag = this.db.prepare('INSERT INTO event_tags (event_id, name, value) VALUES (?, ?, ?)');
+    for (const tag of event.tags || []) {
+      if (Array.isArray(tag) && typeof tag[0] === 'string' && tag[0].length === 1 &&
+          typeof tag[1] === 'string') {
+        insertTag.run(event.id, tag[0], tag[1]);
+      }
+    }
     return true;
   }
 
-  _addMemory(event) {
+  _addMemory(event, imported = false) {
     if (this.memory.has(event.id)) return false;
     if (event.kind === 0 || event.kind === 3 ||
         (event.kind >= 10000 && event.kind < 20000)) {
       for (const [id, ex] of this.memory) {
         if (ex.pubkey === event.pubkey && ex.kind === event.kind) {
           if (ex.created_at >= event.created_at) return false;
-          this.memory.delete(id);
+          this._deleteMemory(id);
         }
       }
     }
@@ -144,13 +481,15 @@ export class EventStore {
           const exD = (ex.tags || []).find(t => t[0] === 'd')?.[1] || '';
           if (exD === dTag) {
             if (ex.created_at >= event.created_at) return false;
-            this.memory.delete(id);
+            this._deleteMemory(id);
           }
         }
       }
     }
     if (event.kind >= 20000 && event.kind < 30000) return true;
     this.memory.set(event.id, event);
+    if (imported) this.memoryImported.add(event.id);
+    else this.memoryImported.delete(event.id);
     return true;
   }
 
@@ -159,29 +498,40 @@ export class EventStore {
     return this._queryMemory(filter);
   }
 
-  _queryDb(filter) {
-    // Build SQL query from NIP-01 filter
+  /**
+   * Build an SQL condition from a NIP-01 filter. Every condition mirrors
+   * matchFilter() exactly so both backends return the same events.
+   * @returns {{ where: string, params: any[] }}
+   */
+  _filterToSql(filter, { withSearch = true } = {}) {
     const conditions = [];
     const params = [];
 
-    if (filter.ids?.length) {
-      const clauses = filter.ids.map(id => {
-        params.push(id + '%');
-        return 'id LIKE ?';
-      });
-      conditions.push(`(${clauses.join(' OR ')})`);
-    }
-    if (filter.authors?.length) {
-      const clauses = filter.authors.map(a => {
-        params.push(a + '%');
-        return 'pubkey LIKE ?';
+    // Case-sensitive prefix match (LIKE is case-insensitive and treats % and _ as wildcards)
+    const prefixClause = (column, prefixes) => {
+      const clauses = prefixes.map(p => {
+        const prefix = String(p);
+        params.push(prefix.length, prefix);
+        return `substr(${column}, 1, ?) = ?`;
       });
-      conditions.push(`(${clauses.join(' OR ')})`);
-    }
+      return `(${clauses.join(' OR ')})`;
+    };
+
+    if (filter.ids?.length) conditions.push(prefixClause('id', filter.ids));
+    if (filter.authors?.length) conditions.push(prefixClause('pubkey', filter.authors));
     if (filter.kinds?.length) {
-      conditions.push(`kind IN (${filter.kinds.map(() => '?').join(',')})`);
-      params.push(...filter.kinds);
+      const kinds = filter.kinds.filter(Number.isInteger);
+      if (kinds.length) {
+        conditions.push(`kind IN (${kinds.map(() => '?').join(',')})`);
+        params.push(...kinds);
+      } else {
+        conditions.push('0');
+      }
     }
+    // NIP-40: expired events are never served
+    conditions.push('(expires_at IS NULL OR expires_at > ?)');
+    params.push(now());
+
     if (filter.since != null) {
       conditions.push('created_at >= ?');
       params.push(filter.since);
@@ -191,55 +541,355 @@ export class EventStore {
       params.push(filter.until);
     }
 
-    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-    const limit = filter.limit > 0 ? `LIMIT ${Math.min(filter.limit, 5000)}` : 'LIMIT 5000';
-    const sql = `SELECT raw FROM events ${where} ORDER BY created_at DESC ${limit}`;
-
-    const rows = this.db.prepare(sql).all(...params);
-    let events = rows.map(r => JSON.parse(r.raw));
-
-    // Apply tag filters in JS (complex to do in SQL)
+    // Tag filters (#e, #p, ...) via the event_tags index
     for (const [key, values] of Object.entries(filter)) {
-      if (key.startsWith('#') && Array.isArray(values)) {
-        const tagName = key.slice(1);
-        events = events.filter(e =>
-          (e.tags || []).some(t => t[0] === tagName && values.includes(t[1]))
-        );
+      if (!key.startsWith('#') || key.length !== 2 || !Array.isArray(values) || !values.length) continue;
+      const strings = values.filter(v => typeof v === 'string');
+      if (!strings.length) {
+        conditions.push('0');
+        continue;
       }
+      conditions.push(
+        `id IN (SELECT event_id FROM event_tags WHERE name = ? AND value IN (${strings.map(() => '?').join(',')}))`
+      );
+      params.push(key[1], ...strings);
+    }
+
+    // NIP-50 search via the FTS index (terms quoted, implicitly ANDed)
+    const match = ftsQuery(filter.search);
+    if (match && withSearch) {
+      conditions.push('id IN (SELECT event_id FROM events_fts WHERE events_fts MATCH ?)');
+      params.push(match);
     }
 
-    return events;
+    return { where: conditions.join(' AND '), params };
+  }
+
+  _queryDb(filter) {
+    const limit = `LIMIT ${filter.limit > 0 ? Math.min(filter.limit, MAX_QUERY_LIMIT) : MAX_QUERY_LIMIT}`;
+    const match = ftsQuery(filter.search);
+
+    // Search results are ordered by relevance (bm25: lower is better)
+    if (match) {
+      const { where, params } = this._filterToSql(filter, { withSearch: false });
+      const sql = `
+        SELECT raw FROM events
+        JOIN (SELECT event_id, bm25(events_fts) AS rank FROM events_fts WHERE events_fts MATCH ?) s
+          ON s.event_id = events.id
+        WHERE ${where} ORDER BY s.rank, created_at DESC, id ASC ${limit}`;
+      return this.db.prepare(sql).all(match, ...params).map(r => JSON.parse(r.raw));
+    }
+
+    const { where, params } = this._filterToSql(filter);
+    const sql = `SELECT raw FROM events WHERE ${where} ORDER BY created_at DESC, id ASC ${limit}`;
+
+    return this.db.prepare(sql).all(...params).map(r => JSON.parse(r.raw));
   }
 
   _queryMemory(filter) {
+    const at = now();
     const results = [];
     for (const event of this.memory.values()) {
-      if (matchFilter(event, filter)) results.push(event);
+      if (matchFilter(event, filter) && !isExpired(event, at)) results.push(event);
     }
-    results.sort((a, b) => b.created_at - a.created_at);
-    if (filter.limit > 0) return results.slice(0, filter.limit);
-    return results;
+    const terms = searchTerms(filter.search);
+    if (terms.length) {
+      const scores = new Map(results.map(e => [e, searchScore(e, terms)]));
+      results.sort((a, b) => scores.get(b) - scores.get(a) || compareEvents(a, b));
+    } else {
+      results.sort(compareEvents);
+    }
+    return results.slice(0, filter.limit > 0 ? Math.min(filter.limit, MAX_QUERY_LIMIT) : MAX_QUERY_LIMIT);
   }
 
-  // --- Payout tracking (SQLite only) ---
+  /**
+   * NIP-45: number of stored events matching any of the filters.
+   * `limit` is ignored.
+   * @param {Object|Object[]} filters
+   */
+  count(filters) {
+    const list = Array.isArray(filters) ? filters : [filters];
+    if (!list.length) return 0;
 
-  recordPayout(recipientPubkey, amount, eventId, paymentAddress) {
-    if (!this.db) return;
+    if (this.db) {
+      const parts = list.map(f => this._filterToSql(f));
+      const sql = `SELECT COUNT(*) AS count FROM events WHERE ${parts.map(p => `(${p.where})`).join(' OR ')}`;
+      return this.db.prepare(sql).get(...parts.flatMap(p => p.params)).count;
+    }
+
+    const at = now();
+    let count = 0;
+    for (const event of this.memory.values()) {
+      if (matchFilters(event, list) && !isExpired(event, at)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * NIP-77: (created_at, id) of every stored event matching a filter,
+   * oldest first, for negentropy reconciliation. `limit` and `search` are
+   * ignored.
+   * @param {number} [max] - refuse sets larger than this
+   * @returns {{ id: string, created_at: number }[]|null} null if over `max`
+   */
+  syncItems(filter, max = Infinity) {
+    const { search, ...rest } = filter;
+    let items;
+    if (this.db) {
+      const { where, params } = this._filterToSql(rest);
+      const cap = Number.isFinite(max) ? `LIMIT ${max + 1}` : '';
+      items = this.db.prepare(`SELECT id, created_at FROM events WHERE ${where} ORDER BY created_at, id ${cap}`)
+        .all(...params);
+    } else {
+      const at = now();
+      items = [...this.memory.values()]
+        .filter(e => matchFilter(e, rest) && !isExpired(e, at))
+        .sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+        .map(({ id, created_at }) => ({ id, created_at }));
+    }
+    return items.length > max ? null : items;
+  }
+
+  /**
+   * Whether a stored event was imported from an upstream relay.
+   */
+  isImported(id) {
+    if (!this.db) return this.memoryImported.has(id);
+    return !!this.db.prepare('SELECT imported FROM events WHERE id = ?').get(id)?.imported;
+  }
+
+  // --- Payment address cache ---
+  // Filled by the resolver in messages.mjs; a new kind 0 drops the entry.
+
+  getCachedAddress(pubkey) {
+    if (!this.db) {
+      const row = this.memoryAddresses.get(pubkey);
+      return row ? { ...row } : null;
+    }
+    return this.db.prepare('SELECT * FROM address_cache WHERE pubkey = ?').get(pubkey) || null;
+  }
+
+  /**
+   * @param {string} pubkey
+   * @param {{ address: string, type: string, source: string, agentName?: string }|null} result - null caches a miss
+   * @param {{ resolvedAt: number, expiresAt: number }} times
+   */
+  cacheAddress(pubkey, result, { resolvedAt, expiresAt }) {
+    const row = {
+      pubkey, address: result?.address ?? null, type: result?.type ?? null, source: result?.source ?? null,
+      agent_name: result?.agentName ?? null, resolved_at: resolvedAt, expires_at: expiresAt,
+    };
+    if (!this.db) {
+      this.memoryAddresses.set(pubkey, row);
+      return;
+    }
     this.db.prepare(`
-      INSERT INTO payouts (recipient_pubkey, amount, event_id, payment_address, payment_type, payment_source)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO address_cache (pubkey, address, type, source, agent_name, resolved_at, expires_at)
+      VALUES (@pubkey, @address, @type, @source, @agent_name, @resolved_at, @expires_at)
+    `).run(row);
+  }
+
+  invalidateAddress(pubkey) {
+    if (!this.db) {
+      this.memoryAddresses.delete(pubkey);
+      return;
+    }
+    this.db.prepare('DELETE FROM address_cache WHERE pubkey = ?').run(pubkey);
+  }
+
+  // --- Inbound sync state ---
+
+  getSyncState(relay) {
+    if (!this.db) {
+      const row = this.memorySyncState.get(relay);
+      return row ? { ...row } : null;
+    }
+    return this.db.prepare('SELECT * FROM sync_state WHERE relay = ?').get(relay) || null;
+  }
+
+  /**
+   * Create or update a relay's sync state. Keys must be sync_state column names.
+   */
+  updateSyncState(relay, fields, at = now()) {
+    if (!this.db) {
+      const row = this.memorySyncState.get(relay) ?? {
+        relay, filter: null, method: null, synced_at: null, imported: 0, last_error: null, updated_at: null,
+      };
+      this.memorySyncState.set(relay, Object.assign(row, fields, { updated_at: at }));
+      return;
+    }
+    const keys = Object.keys(fields);
+    this.db.prepare(`
+      INSERT INTO sync_state (relay, ${keys.join(', ')}, updated_at) VALUES (?, ${keys.map(() => '?').join(', ')}, ?)
+      ON CONFLICT (relay) DO UPDATE SET ${keys.map(k => `${k} = excluded.${k}`).join(', ')}, updated_at = excluded.updated_at
+    `).run(relay, ...keys.map(k => fields[k]), at);
+  }
+
+  // --- Payout queue (SQLite only) ---
+  // queued → broadcast → confirmed. Failures go back to queued with a
+  // later next_attempt_at until attempts run out (dead). `held` rows have
+  // no usable STX address. Legacy `pending`/`failed` rows are picked up as
+  // queued, and legacy `sent` rows are confirmed like `broadcast` ones.
+  // Batched rows share their batch's forward_tx and carry its batch_id.
+  // Claiming a held (or legacy pending) row requeues it with the claimed
+  // address; claim_event_id/claimed_at record the claim.
+  // `payer` is the account whose credit funded the row. Its payouts wait
+  // while it has unconfirmed settlements, and are `cancelled` if one fails.
+
+  /**
+   * @returns {number|null} payout id
+   */
+  recordPayout(recipientPubkey, amount, eventId, paymentAddress = null, status = 'queued', payer = null) {
+    if (!this.db) return null;
+    return Number(this.db.prepare(`
+      INSERT INTO payouts (recipient_pubkey, amount, event_id, payment_address, payment_type, payment_source,
+        status, payer, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, unixepoch())
     `).run(
       recipientPubkey, amount, eventId,
       paymentAddress?.address || null,
       paymentAddress?.type || null,
-      paymentAddress?.source || null
-    );
+      paymentAddress?.source || null,
+      status, payer
+    ).lastInsertRowid);
+  }
+
+  getPayout(id) {
+    if (!this.db) return null;
+    return this.db.prepare('SELECT * FROM payouts WHERE id = ?').get(id) || null;
+  }
+
+  /**
+   * Payouts ready for a (re)try, except those whose payer has a
+   * settlement still pending or broadcast.
+   */
+  getDuePayouts(at, limit = 10) {
+    if (!this.db) return [];
+    return this.db.prepare(`
+      SELECT * FROM payouts
+      WHERE status IN ('queued', 'pending', 'failed') AND next_attempt_at <= ?
+        AND NOT EXISTS (
+          SELECT 1 FROM settlements
+          WHERE settlements.account = payouts.payer AND settlements.status IN ('pending', 'broadcast')
+        )
+      ORDER BY id LIMIT ?
+    `).all(at, limit);
+  }
+
+  /**
+   * Cancel a payer's unsent payouts, newest first, refunding each to its
+   * credit, until `deficit` sats are covered.
+   * @returns {number[]} cancelled payout ids
+   */
+  cancelPayouts(payer, deficit, reason) {
+    if (!this.db) return [];
+    return this._atomic(() => {
+      const rows = this.db.prepare(`
+        SELECT * FROM payouts WHERE payer = ? AND status IN ('queued', 'pending', 'failed', 'held') ORDER BY id DESC
+      `).all(payer);
+      const cancelled = [];
+      for (const row of rows) {
+        if (deficit <= 0) break;
+        this.updatePayout(row.id, { status: 'cancelled', last_error: reason });
+        this._applyCredit(payer, 'refund', row.amount, { eventId: row.event_id });
+        deficit -= row.amount;
+        cancelled.push(row.id);
+      }
+      return cancelled;
+    });
+  }
+
+  /**
+   * Payouts whose forwarding tx awaits on-chain confirmation.
+   */
+  getBroadcastPayouts() {
+    if (!this.db) return [];
+    return this.db.prepare(`
+      SELECT * FROM payouts WHERE status IN ('broadcast', 'sent') AND forward_tx IS NOT NULL ORDER BY id
+    `).all();
+  }
+
+  /**
+   * Update payout columns. Keys must be payout column names.
+   */
+  updatePayout(id, fields) {
+    if (!this.db) return;
+    const keys = Object.keys(fields);
+    this.db.prepare(`
+      UPDATE payouts SET ${keys.map(k => `${k} = ?`).join(', ')}, updated_at = unixepoch() WHERE id = ?
+    `).run(...keys.map(k => fields[k]), id);
+  }
+
+  /**
+   * Record a batch tx and mark its payouts broadcast, in one transaction.
+   * @param {Object[]} payouts - payout rows settled by the tx
+   * @param {{ forward_tx: string, nonce: number, fee: number, recipients: number }} tx
+   * @returns {number|null} batch id
+   */
+  recordPayoutBatch(payouts, { forward_tx, nonce, fee, recipients }) {
+    if (!this.db) return null;
+    return this._atomic(() => {
+      const ids = payouts.map(p => p.id);
+      const batchId = Number(this.db.prepare(`
+        INSERT INTO payout_batches (forward_tx, nonce, fee, total, recipients, payout_ids, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, unixepoch())
+      `).run(
+        forward_tx, nonce, fee, payouts.reduce((sum, p) => sum + p.amount, 0), recipients, JSON.stringify(ids)
+      ).lastInsertRowid);
+      for (const id of ids) {
+        this.updatePayout(id, {
+          status: 'broadcast', batch_id: batchId, forward_tx, nonce, fee,
+          broadcast_at: now(), last_error: null,
+        });
+      }
+      return batchId;
+    });
   }
 
-  updatePayoutTx(eventId, txId, status = 'sent') {
+  getPayoutBatch(id) {
+    if (!this.db) return null;
+    const batch = this.db.prepare('SELECT * FROM payout_batches WHERE id = ?').get(id);
+    return batch ? { ...batch, payout_ids: JSON.parse(batch.payout_ids) } : null;
+  }
+
+  getPayoutBatches(limit = 100) {
+    if (!this.db) return [];
+    return this.db.prepare('SELECT * FROM payout_batches ORDER BY id DESC LIMIT ?').all(limit)
+      .map(batch => ({ ...batch, payout_ids: JSON.parse(batch.payout_ids) }));
+  }
+
+  updatePayoutBatch(id, fields) {
     if (!this.db) return;
-    this.db.prepare('UPDATE payouts SET forward_tx = ?, status = ? WHERE event_id = ?')
-      .run(txId, status, eventId);
+    const keys = Object.keys(fields);
+    this.db.prepare(`
+      UPDATE payout_batches SET ${keys.map(k => `${k} = ?`).join(', ')}, updated_at = unixepoch() WHERE id = ?
+    `).run(...keys.map(k => fields[k]), id);
+  }
+
+  getClaimablePayouts(recipientPubkey) {
+    if (!this.db) return [];
+    return this.db.prepare(`
+      SELECT * FROM payouts WHERE recipient_pubkey = ? AND status IN ('held', 'pending') ORDER BY id
+    `).all(recipientPubkey);
+  }
+
+  /**
+   * Requeue all claimable payouts of a pubkey to a claimed STX address.
+   * @returns {Object[]} the claimed payout rows (before the update)
+   */
+  claimPayouts(recipientPubkey, address, claimEventId) {
+    if (!this.db) return [];
+    return this._atomic(() => {
+      const payouts = this.getClaimablePayouts(recipientPubkey);
+      for (const payout of payouts) {
+        this.updatePayout(payout.id, {
+          status: 'queued', payment_address: address, payment_type: 'stx', payment_source: 'claim',
+          claim_event_id: claimEventId, claimed_at: now(),
+          attempts: 0, next_attempt_at: 0, last_error: null,
+        });
+      }
+      return payouts;
+    });
   }
 
   getPendingPayouts() {
@@ -256,13 +906,655 @@ export class EventStore {
   // --- Replay protection (SQLite) ---
 
   isUsedTx(txId) {
-    if (!this.db) return false;
+    if (!this.db) return this.memoryUsedTxIds.has(txId);
     return !!this.db.prepare('SELECT tx_id FROM used_tx_ids WHERE tx_id = ?').get(txId);
   }
 
-  markTxUsed(txId) {
-    if (!this.db) return;
-    this.db.prepare('INSERT OR IGNORE INTO used_tx_ids (tx_id) VALUES (?)').run(txId);
+  /**
+   * Burn a tx id, recording the event and/or payment intent it paid for.
+   */
+  markTxUsed(txId, { eventId = null, intentId = null } = {}) {
+    if (!this.db) {
+      if (!this.memoryUsedTxIds.has(txId)) {
+        this.memoryUsedTxIds.set(txId, { event_id: eventId, intent_id: intentId, used_at: now() });
+      }
+      return;
+    }
+    this.db.prepare('INSERT OR IGNORE INTO used_tx_ids (tx_id, event_id, intent_id) VALUES (?, ?, ?)')
+      .run(txId, eventId, intentId);
+  }
+
+  /**
+   * Audit row for a burned tx id: { tx_id, used_at, event_id, intent_id }.
+   */
+  getUsedTx(txId) {
+    if (!this.db) {
+      const row = this.memoryUsedTxIds.get(txId);
+      return row ? { tx_id: txId, ...row } : null;
+    }
+    return this.db.prepare('SELECT * FROM used_tx_ids WHERE tx_id = ?').get(txId) || null;
+  }
+
+  // --- Prepaid credit ledger ---
+  // Accounts are Nostr hex pubkeys or STX addresses. Amounts are sats.
+
+  getCreditBalance(account) {
+    if (!this.db) return this.memoryCredits.get(account) || 0;
+    return this.db.prepare('SELECT balance FROM credit_balances WHERE account = ?')
+      .get(account)?.balance || 0;
+  }
+
+  /**
+   * Apply a signed balance change and log it. Caller ensures atomicity.
+   */
+  _applyCredit(account, type, amount, { txId = null, eventId = null } = {}) {
+    const balance = this.getCreditBalance(account) + amount;
+    if (!this.db) {
+      this.memoryCredits.set(account, balance);
+      this.memoryCreditLog.push({
+        id: this.memoryCreditLog.length + 1, account, type, amount,
+        balance_after: balance, tx_id: txId, event_id: eventId,
+        created_at: Math.floor(Date.now() / 1000),
+      });
+      return balance;
+    }
+    this.db.prepare(`
+      INSERT INTO credit_balances (account, balance, updated_at) VALUES (?, ?, unixepoch())
+      ON CONFLICT(account) DO UPDATE SET balance = excluded.balance, updated_at = excluded.updated_at
+    `).run(account, balance);
+    this.db.prepare(`
+      INSERT INTO credit_transactions (account, type, amount, balance_after, tx_id, event_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(account, type, amount, balance, txId, eventId);
+    return balance;
+  }
+
+  _atomic(fn) {
+    return this.db ? this.db.transaction(fn)() : fn();
+  }
+
+  /**
+   * Credit a verified payment to an account and burn the tx id, atomically.
+   * @param {Object} [paidFor] - what the tx paid for, as for markTxUsed
+   * @returns {number|null} new balance, or null if the tx was already used
+   */
+  depositCredit(account, amount, txId, paidFor = {}) {
+    return this._atomic(() => {
+      if (this.isUsedTx(txId)) return null;
+      this.markTxUsed(txId, paidFor);
+      return this._applyCredit(account, 'deposit', amount, { txId });
+    });
+  }
+
+  /**
+   * Debit an account for an event if the balance covers it.
+   * @returns {{ ok: boolean, balance: number }}
+   */
+  chargeCredit(account, amount, eventId) {
+    return this._atomic(() => {
+      const balance = this.getCreditBalance(account);
+      if (balance < amount) return { ok: false, balance };
+      return { ok: true, balance: this._applyCredit(account, 'charge', -amount, { eventId }) };
+    });
+  }
+
+  /**
+   * Return a charge (e.g. the event turned out to be a duplicate).
+   */
+  refundCredit(account, amount, eventId) {
+    return this._atomic(() => this._applyCredit(account, 'refund', amount, { eventId }));
+  }
+
+  /**
+   * Take back a deposit whose payment never settled. The balance may go
+   * negative if the credit was already spent.
+   * @returns {number|null} new balance, or null if there is no such deposit or it was already reversed
+   */
+  reverseDeposit(txId) {
+    return this._atomic(() => {
+      const log = this.db
+        ? this.db.prepare("SELECT * FROM credit_transactions WHERE tx_id = ? AND type IN ('deposit', 'reversal')").all(txId)
+        : this.memoryCreditLog.filter(t => t.tx_id === txId);
+      const deposit = log.find(t => t.type === 'deposit');
+      if (!deposit || log.some(t => t.type === 'reversal')) return null;
+      const intentId = this.getUsedTx(txId)?.intent_id;
+      if (intentId && this.getPaymentIntent(intentId)?.tx_id === txId) {
+        this._updateIntent(intentId, { status: 'open', tx_id: null, paid_at: null });
+      }
+      return this._applyCredit(deposit.account, 'reversal', -deposit.amount, { txId });
+    });
+  }
+
+  getCreditTransactions(account, limit = 50) {
+    if (!this.db) {
+      return this.memoryCreditLog.filter(t => t.account === account).reverse().slice(0, limit);
+    }
+    return this.db.prepare(
+      'SELECT * FROM credit_transactions WHERE account = ? ORDER BY id DESC LIMIT ?'
+    ).all(account, limit);
+  }
+
+  // --- Subscriptions ---
+  // A paid period of relay-fee-free publishing, optionally capped at
+  // `quota` events. A new subscription starts when the pubkey's latest one
+  // ends, so renewals stack.
+
+  /**
+   * @param {string} pubkey
+   * @param {{ plan: string, price: number, quota: number|null, period: number }} plan - period in seconds
+   * @returns {Object} the subscription row
+   */
+  addSubscription(pubkey, { plan, price, quota = null, period }, at = now()) {
+    return this._atomic(() => {
+      const latest = this.getSubscriptions(pubkey).reduce((max, s) => Math.max(max, s.expires_at), 0);
+      const startsAt = Math.max(at, latest);
+      const row = {
+        pubkey, plan, price, quota, used: 0,
+        starts_at: startsAt, expires_at: startsAt + period, created_at: at,
+      };
+      if (!this.db) {
+        row.id = this.memorySubscriptions.length + 1;
+        this.memorySubscriptions.push(row);
+        return { ...row };
+      }
+      row.id = Number(this.db.prepare(`
+        INSERT INTO subscriptions (pubkey, plan, price, quota, used, starts_at, expires_at, created_at)
+        VALUES (@pubkey, @plan, @price, @quota, @used, @starts_at, @expires_at, @created_at)
+      `).run(row).lastInsertRowid);
+      return row;
+    });
+  }
+
+  /**
+   * Pay for a plan from prepaid credit and start the subscription, atomically.
+   * @returns {{ ok: boolean, balance: number, subscription?: Object }}
+   */
+  purchaseSubscription(pubkey, plan, at = now()) {
+    return this._atomic(() => {
+      const balance = this.getCreditBalance(pubkey);
+      if (balance < plan.price) return { ok: false, balance };
+      return {
+        ok: true,
+        balance: this._applyCredit(pubkey, 'subscription', -plan.price),
+        subscription: this.addSubscription(pubkey, plan, at),
+      };
+    });
+  }
+
+  getSubscriptions(pubkey) {
+    if (!this.db) return this.memorySubscriptions.filter(s => s.pubkey === pubkey).map(s => ({ ...s }));
+    return this.db.prepare('SELECT * FROM subscriptions WHERE pubkey = ? ORDER BY starts_at').all(pubkey);
+  }
+
+  /**
+   * The pubkey's current subscription with quota left, if any.
+   */
+  getActiveSubscription(pubkey, at = now()) {
+    return this.getSubscriptions(pubkey).find(s =>
+      s.starts_at <= at && at < s.expires_at && (s.quota == null || s.used < s.quota)) || null;
+  }
+
+  /**
+   * Count one published event against the active subscription.
+   * @returns {Object|null} the subscription after use, or null if none is active
+   */
+  useSubscription(pubkey, at = now()) {
+    return this._atomic(() => {
+      const sub = this.getActiveSubscription(pubkey, at);
+      if (!sub) return null;
+      this._adjustSubscriptionUse(sub.id, 1);
+      return { ...sub, used: sub.used + 1 };
+    });
+  }
+
+  /**
+   * Give back a use (e.g. the event turned out to be a duplicate).
+   */
+  releaseSubscription(id) {
+    this._adjustSubscriptionUse(id, -1);
+  }
+
+  _adjustSubscriptionUse(id, delta) {
+    if (!this.db) {
+      const sub = this.memorySubscriptions.find(s => s.id === id);
+      if (sub) sub.used = Math.max(0, sub.used + delta);
+      return;
+    }
+    this.db.prepare('UPDATE subscriptions SET used = MAX(0, used + ?) WHERE id = ?').run(delta, id);
+  }
+
+  // --- Settlements ---
+  // Pre-signed payment txs broadcast by the relay: pending → broadcast →
+  // confirmed | failed. The tx id is the key, so a tx settles only once.
+
+  /**
+   * @param {{ tx_id: string, network: string, payer: string, account: string, amount: number, mode: string }} row
+   * @returns {boolean} false if the tx is already being settled
+   */
+  recordSettlement(row) {
+    const settlement = {
+      ...row, status: 'pending', last_error: null, created_at: now(),
+      broadcast_at: null, confirmed_at: null, updated_at: now(),
+    };
+    if (!this.db) {
+      if (this.memorySettlements.has(row.tx_id)) return false;
+      this.memorySettlements.set(row.tx_id, settlement);
+      return true;
+    }
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO settlements (tx_id, network, payer, account, amount, mode, status, created_at, updated_at)
+      VALUES (@tx_id, @network, @payer, @account, @amount, @mode, @status, @created_at, @updated_at)
+    `).run(settlement).changes === 1;
+  }
+
+  getSettlement(txId) {
+    if (!this.db) {
+      const row = this.memorySettlements.get(txId);
+      return row ? { ...row } : null;
+    }
+    return this.db.prepare('SELECT * FROM settlements WHERE tx_id = ?').get(txId) || null;
+  }
+
+  /**
+   * Settlements whose tx awaits on-chain confirmation.
+   */
+  getOpenSettlements() {
+    if (!this.db) return [...this.memorySettlements.values()].filter(s => s.status === 'broadcast').map(s => ({ ...s }));
+    return this.db.prepare("SELECT * FROM settlements WHERE status = 'broadcast' ORDER BY created_at").all();
+  }
+
+  /**
+   * Update settlement columns. Keys must be settlement column names.
+   */
+  updateSettlement(txId, fields) {
+    if (!this.db) {
+      const row = this.memorySettlements.get(txId);
+      if (row) Object.assign(row, fields, { updated_at: now() });
+      return;
+    }
+    const keys = Object.keys(fields);
+    this.db.prepare(`
+      UPDATE settlements SET ${keys.map(k => `${k} = ?`).join(', ')}, updated_at = unixepoch() WHERE tx_id = ?
+    `).run(...keys.map(k => fields[k]), txId);
+  }
+
+  // --- Payment intents ---
+  // A 402 for an event issues an intent: a nonce bound to the event id,
+  // its author and the price, valid until `expires_at`. A 402 for a
+  // subscription or top-up issues one bound to the pubkey alone. The payment names
+  // the intent (e.g. in its transfer memo): open → paid. A paid intent
+  // reopens if the deposit that paid it is reversed.
+
+  /**
+   * Open an intent, or return the author's unexpired open one for the same
+   * event and amount so repeated 402s don't pile up intents.
+   * @param {{ id: string, event_id: string|null, pubkey: string, amount: number, resource?: string }} intent
+   * @param {number} ttl - seconds until the intent expires
+   * @returns {Object} the intent row
+   */
+  createPaymentIntent({ id, event_id, pubkey, amount, resource = null }, ttl, at = now()) {
+    return this._atomic(() => {
+      const existing = this.db
+        ? this.db.prepare(`
+            SELECT * FROM payment_intents
+            WHERE event_id IS ? AND pubkey = ? AND amount = ? AND status = 'open' AND expires_at > ?
+            ORDER BY created_at DESC LIMIT 1
+          `).get(event_id, pubkey, amount, at)
+        : [...this.memoryIntents.values()].find(i =>
+          i.event_id === event_id && i.pubkey === pubkey && i.amount === amount && i.status === 'open' && i.expires_at > at);
+      if (existing) return { ...existing };
+
+      const row = {
+        id, event_id, pubkey, amount, resource, status: 'open', tx_id: null,
+        created_at: at, expires_at: at + ttl, paid_at: null,
+      };
+      if (!this.db) {
+        this.memoryIntents.set(id, row);
+        return { ...row };
+      }
+      this.db.prepare(`
+        INSERT INTO payment_intents (id, event_id, pubkey, amount, resource, status, created_at, expires_at)
+        VALUES (@id, @event_id, @pubkey, @amount, @resource, @status, @created_at, @expires_at)
+      `).run(row);
+      return row;
+    });
+  }
+
+  getPaymentIntent(id) {
+    if (!this.db) {
+      const row = this.memoryIntents.get(id);
+      return row ? { ...row } : null;
+    }
+    return this.db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(id) || null;
+  }
+
+  /**
+   * Settle an open intent with the tx that paid it.
+   * @returns {boolean} false if the intent was not open
+   */
+  markIntentPaid(id, txId, at = now()) {
+    return this._atomic(() => {
+      if (this.getPaymentIntent(id)?.status !== 'open') return false;
+      this._updateIntent(id, { status: 'paid', tx_id: txId, paid_at: at });
+      return true;
+    });
+  }
+
+  _updateIntent(id, fields) {
+    if (!this.db) {
+      const row = this.memoryIntents.get(id);
+      if (row) Object.assign(row, fields);
+      return;
+    }
+    const keys = Object.keys(fields);
+    this.db.prepare(`UPDATE payment_intents SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`)
+      .run(...keys.map(k => fields[k]), id);
+  }
+
+  // --- Payment receipts ---
+  // A payment whose tx is not final yet gets a receipt: pending →
+  // published | subscribed | credited | dropped. At most one pending
+  // receipt per tx; resubmitting the tx reuses it only for the same
+  // account, event and plan.
+
+  /**
+   * @param {{ id: string, tx_id: string, network: string, payment: Object, account?: string, event?: Object, amount?: number, plan?: string, minimum?: number, use_credit?: number, reason?: string }} receipt
+   * @returns {Object|null} the new receipt, the tx's pending one if it is for the same request,
+   *   or null if the tx waits on another request
+   */
+  addReceipt({
+    id, tx_id, network, payment, account = null, event = null, amount = null, plan = null, minimum = 0, use_credit = 1, reason = null,
+  }, at = now()) {
+    return this._atomic(() => {
+      const existing = this.getPendingReceipts().find(r => r.tx_id === tx_id);
+      if (existing) {
+        const eventId = existing.event ? JSON.parse(existing.event).id : null;
+        const same = existing.account === account && existing.plan === plan && eventId === (event?.id ?? null);
+        return same ? existing : null;
+      }
+      const row = {
+        id, tx_id, network, payment: JSON.stringify(payment), account,
+        event: event ? JSON.stringify(event) : null, amount, plan, minimum, use_credit,
+        status: 'pending', reason, created_at: at, checked_at: null, resolved_at: null,
+      };
+      if (!this.db) {
+        this.memoryReceipts.set(id, row);
+        return { ...row };
+      }
+      this.db.prepare(`
+        INSERT INTO payment_receipts (id, tx_id, network, payment, account, event, amount, plan, minimum, use_credit, status, reason, created_at)
+        VALUES (@id, @tx_id, @network, @payment, @account, @event, @amount, @plan, @minimum, @use_credit, @status, @reason, @created_at)
+      `).run(row);
+      return row;
+    });
+  }
+
+  getReceipt(id) {
+    if (!this.db) {
+      const row = this.memoryReceipts.get(id);
+      return row ? { ...row } : null;
+    }
+    return this.db.prepare('SELECT * FROM payment_receipts WHERE id = ?').get(id) || null;
+  }
+
+  getPendingReceipts() {
+    if (!this.db) return [...this.memoryReceipts.values()].filter(r => r.status === 'pending').map(r => ({ ...r }));
+    return this.db.prepare("SELECT * FROM payment_receipts WHERE status = 'pending' ORDER BY created_at").all();
+  }
+
+  /**
+   * Update receipt columns. Keys must be payment_receipts column names.
+   */
+  updateReceipt(id, fields) {
+    if (!this.db) {
+      const row = this.memoryReceipts.get(id);
+      if (row) Object.assign(row, fields);
+      return;
+    }
+    const keys = Object.keys(fields);
+    this.db.prepare(`UPDATE payment_receipts SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`)
+      .run(...keys.map(k => fields[k]), id);
+  }
+
+  // --- Mirroring outbox ---
+  // One row per event × public relay: queued → sent → accepted | rejected.
+  // A row with no OK, or a retryable refusal, goes back to `failed` with a
+  // backoff until the worker gives up and marks it `dead`.
+
+  /**
+   * Queue an event for each relay; relays it is already queued for are kept.
+   * The row keeps the raw event, so ephemeral and later deleted events are
+   * still delivered.
+   */
+  queueMirrors(event, relays, at = now()) {
+    const raw = JSON.stringify(event);
+    if (!this.db) {
+      for (const relay of relays) {
+        const key = `${event.id} ${relay}`;
+        if (this.memoryMirrors.has(key)) continue;
+        this.memoryMirrors.set(key, {
+          event_id: event.id, relay, event: raw, status: 'queued', attempts: 0, next_attempt_at: 0,
+          reason: null, created_at: at, sent_at: null, accepted_at: null,
+        });
+      }
+      return;
+    }
+    const insert = this.db.prepare('INSERT OR IGNORE INTO mirrors (event_id, relay, event, created_at) VALUES (?, ?, ?, ?)');
+    this._atomic(() => { for (const relay of relays) insert.run(event.id, relay, raw, at); });
+  }
+
+  getMirrors(eventId) {
+    if (!this.db) {
+      return [...this.memoryMirrors.values()].filter(m => m.event_id === eventId).map(m => ({ ...m }));
+    }
+    return this.db.prepare('SELECT * FROM mirrors WHERE event_id = ? ORDER BY relay').all(eventId);
+  }
+
+  /**
+   * Deliveries to (re)send to a relay, and sent ones whose OK is overdue.
+   */
+  getDueMirrors(relay, at, limit = 100) {
+    if (!this.db) {
+      return [...this.memoryMirrors.values()]
+        .filter(m => m.relay === relay && ['queued', 'failed', 'sent'].includes(m.status) && m.next_attempt_at <= at)
+        .slice(0, limit).map(m => ({ ...m }));
+    }
+    return this.db.prepare(`
+      SELECT * FROM mirrors
+      WHERE relay = ? AND status IN ('queued', 'failed', 'sent') AND next_attempt_at <= ?
+      ORDER BY created_at LIMIT ?
+    `).all(relay, at, limit);
+  }
+
+  /**
+   * Update mirror columns. Keys must be mirrors column names.
+   */
+  updateMirror(eventId, relay, fields) {
+    if (!this.db) {
+      const row = this.memoryMirrors.get(`${eventId} ${relay}`);
+      if (row) Object.assign(row, fields);
+      return;
+    }
+    const keys = Object.keys(fields);
+    this.db.prepare(`UPDATE mirrors SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE event_id = ? AND relay = ?`)
+      .run(...keys.map(k => fields[k]), eventId, relay);
+  }
+
+  // --- NIP-09 deletion ---
+
+  _getEvent(id) {
+    if (!this.db) return this.memory.get(id) || null;
+    const row = this.db.prepare('SELECT raw FROM events WHERE id = ?').get(id);
+    return row ? JSON.parse(row.raw) : null;
+  }
+
+  _eventsByPubkeyKind(pubkey, kind) {
+    if (!this.db) return [...this.memory.values()].filter(e => e.pubkey === pubkey && e.kind === kind);
+    return this.db.prepare('SELECT raw FROM events WHERE pubkey = ? AND kind = ?')
+      .all(pubkey, kind).map(r => JSON.parse(r.raw));
+  }
+
+  _removeEvent(id) {
+    if (this.db) this._deleteDb(id);
+    else this._deleteMemory(id);
+  }
+
+  /** Drop an in-memory event along with its imported flag. */
+  _deleteMemory(id) {
+    this.memory.delete(id);
+    this.memoryImported.delete(id);
+  }
+
+  /**
+   * Apply a kind 5 deletion request: remove the `e` ids and `a` addresses it
+   * references that belong to its author, and record a tombstone per target.
+   * Deletions of deletions are ignored.
+   */
+  _applyDeletion(deletion) {
+    for (const [name, target] of deletion.tags) {
+      if (typeof target !== 'string' || (name !== 'e' && name !== 'a')) continue;
+
+      let removed = [];
+      if (name === 'e') {
+        const ev = this._getEvent(target);
+        if (ev && ev.pubkey === deletion.pubkey && ev.kind !== DELETION_KIND) removed = [ev.id];
+      } else {
+        const addr = parseAddress(target);
+        if (!addr || addr.pubkey !== deletion.pubkey) continue;
+        // NIP-09: every version of the address up to the deletion's created_at
+        removed = this._eventsByPubkeyKind(addr.pubkey, addr.kind)
+          .filter(ev => dTagOf(ev) === addr.d && ev.created_at <= deletion.created_at)
+          .map(ev => ev.id);
+      }
+
+      for (const id of removed) this._removeEvent(id);
+
+      const row = {
+        target, pubkey: deletion.pubkey, deletion_id: deletion.id,
+        created_at: deletion.created_at, removed: removed.length,
+      };
+      if (this.db) {
+        this.db.prepare(`
+          INSERT INTO deleted_events (target, pubkey, deletion_id, created_at, removed)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(row.target, row.pubkey, row.deletion_id, row.created_at, row.removed);
+      } else {
+        this.memoryTombstones.push(row);
+      }
+    }
+  }
+
+  _tombstones(target) {
+    if (!this.db) return this.memoryTombstones.filter(t => t.target === target);
+    return this.db.prepare('SELECT * FROM deleted_events WHERE target = ?').all(target);
+  }
+
+  /**
+   * Whether an event was deleted by its author (blocks re-insertion).
+   */
+  isDeleted(event) {
+    if (this._tombstones(event.id).some(t => t.pubkey === event.pubkey)) return true;
+    if (isReplaceable(event.kind)) {
+      const address = `${event.kind}:${event.pubkey}:${dTagOf(event)}`;
+      return this._tombstones(address).some(t => t.created_at >= event.created_at);
+    }
+    return false;
+  }
+
+  /**
+   * Targets named by a stored deletion event, with how many events each removed.
+   * @returns {{ target: string, removed: number }[]}
+   */
+  getDeletionTargets(deletionId) {
+    const rows = this.db
+      ? this.db.prepare('SELECT target, removed FROM deleted_events WHERE deletion_id = ? ORDER BY rowid')
+        .all(deletionId)
+      : this.memoryTombstones.filter(t => t.deletion_id === deletionId);
+    return rows.map(({ target, removed }) => ({ target, removed }));
+  }
+
+  // --- NIP-40 expiration and retention ---
+
+  /**
+   * Physically remove events whose expiration has passed.
+   * @returns {number} events removed
+   */
+  purgeExpired(at = now()) {
+    if (this.db) {
+      return this._atomic(() => this._deleteDbWhere('expires_at IS NOT NULL AND expires_at <= ?', [at]));
+    }
+    let removed = 0;
+    for (const [id, event] of this.memory) {
+      if (isExpired(event, at)) { this._deleteMemory(id); removed++; }
+    }
+    return removed;
+  }
+
+  /**
+   * Apply a retention policy (see retention.mjs).
+   * @returns {number} events removed
+   */
+  applyRetention({ maxAgeByKind, maxEventsPerPubkey } = {}, at = now()) {
+    return this._atomic(() => {
+      let removed = 0;
+
+      if (maxAgeByKind) {
+        const listed = Object.keys(maxAgeByKind).filter(k => k !== 'default').map(Number);
+        for (const [kind, age] of Object.entries(maxAgeByKind)) {
+          const cutoff = at - age;
+          if (kind === 'default') {
+            removed += this._removeWhere(
+              e => !listed.includes(e.kind) && e.created_at < cutoff,
+              `kind NOT IN (${listed.map(() => '?').join(',')}) AND created_at < ?`, [...listed, cutoff]
+            );
+          } else {
+            removed += this._removeWhere(
+              e => e.kind === Number(kind) && e.created_at < cutoff,
+              'kind = ? AND created_at < ?', [Number(kind), cutoff]
+            );
+          }
+        }
+      }
+
+      if (maxEventsPerPubkey) {
+        if (this.db) {
+          removed += this._deleteDbWhere(`id IN (
+            SELECT id FROM (
+              SELECT id, ROW_NUMBER() OVER (PARTITION BY pubkey ORDER BY created_at DESC, id ASC) AS rn
+              FROM events
+              WHERE NOT (kind IN (0, 3) OR kind BETWEEN 10000 AND 19999 OR kind BETWEEN 30000 AND 39999)
+            ) WHERE rn > ?
+          )`, [maxEventsPerPubkey]);
+        } else {
+          const byPubkey = new Map();
+          for (const event of this.memory.values()) {
+            if (isReplaceable(event.kind)) continue;
+            if (!byPubkey.has(event.pubkey)) byPubkey.set(event.pubkey, []);
+            byPubkey.get(event.pubkey).push(event);
+          }
+          for (const events of byPubkey.values()) {
+            for (const event of events.sort(compareEvents).slice(maxEventsPerPubkey)) {
+              this._deleteMemory(event.id);
+              removed++;
+            }
+          }
+        }
+      }
+
+      return removed;
+    });
+  }
+
+  /**
+   * Remove events matching a JS predicate (memory) or SQL condition (SQLite).
+   */
+  _removeWhere(predicate, condition, params) {
+    if (this.db) return this._deleteDbWhere(condition, params);
+    let removed = 0;
+    for (const [id, event] of this.memory) {
+      if (predicate(event)) { this._deleteMemory(id); removed++; }
+    }
+    return removed;
   }
 
   get size() {
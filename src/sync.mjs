@@ -0,0 +1,246 @@
+/**
+ * Inbound sync: import selected authors' and kinds' events from upstream
+ * relays, so REQs here also see what they posted elsewhere.
+ *
+ * Every SYNC_INTERVAL seconds each relay in SYNC_RELAYS is reconciled
+ * against the local events matching the sync filter (SYNC_AUTHORS,
+ * SYNC_KINDS) with NIP-77 negentropy, and the missing events are fetched
+ * by id. A relay that doesn't speak NIP-77 (NEG-ERR, NOTICE or no answer)
+ * gets a plain REQ for events since its last sync instead.
+ *
+ * Imported events are verified, must match the filter, and are stored
+ * flagged `imported`: nobody paid for them, so they are never charged,
+ * forwarded to recipients or mirrored.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { WebSocket } from 'ws';
+import { Negentropy } from './negentropy.mjs';
+import { matchFilter } from './filters.mjs';
+import { validateEvent } from './validate.mjs';
+import { now } from './time.mjs';
+
+const list = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+export const SYNC_RELAYS = list(process.env.SYNC_RELAYS);
+const SYNC_AUTHORS = list(process.env.SYNC_AUTHORS);
+const SYNC_KINDS = list(process.env.SYNC_KINDS).map(Number).filter(Number.isInteger);
+const SYNC_INTERVAL = parseInt(process.env.SYNC_INTERVAL || '3600'); // seconds
+const SYNC_TIMEOUT = parseInt(process.env.SYNC_TIMEOUT || '15');     // seconds to wait for a reply
+const FETCH_BATCH = 100; // ids per REQ
+
+/**
+ * Filter of the events to import, or null when nothing is selected.
+ */
+export function syncFilter({ authors = SYNC_AUTHORS, kinds = SYNC_KINDS } = {}) {
+  if (!authors.length && !kinds.length) return null;
+  return {
+    ...(authors.length ? { authors } : {}),
+    ...(kinds.length ? { kinds } : {}),
+  };
+}
+
+/**
+ * One connection to an upstream relay, with request/reply helpers.
+ */
+class Upstream {
+  constructor(ws, timeout) {
+    this.ws = ws;
+    this.timeout = timeout;
+    /** @type {Map<string, Function>} subId → reply handler */
+    this.waiters = new Map();
+    ws.on('message', (data) => {
+      let msg;
+      try { msg = JSON.parse(data); } catch { return; }
+      if (!Array.isArray(msg)) return;
+      // A NOTICE names no subscription; every open request sees it
+      const handlers = msg[0] === 'NOTICE' ? [...this.waiters.values()] : [this.waiters.get(msg[1])];
+      for (const handler of handlers) handler?.(msg);
+    });
+    ws.on('close', () => {
+      for (const handler of [...this.waiters.values()]) handler(['CLOSED', null, 'connection closed']);
+    });
+  }
+
+  static open(url, Socket, timeout) {
+    return new Promise((resolve, reject) => {
+      const ws = new Socket(url);
+      const timer = setTimeout(() => { ws.terminate?.(); reject(new Error('Connection timed out')); }, timeout);
+      ws.once('open', () => { clearTimeout(timer); resolve(new Upstream(ws, timeout)); });
+      ws.once('error', (err) => { clearTimeout(timer); reject(err); });
+    });
+  }
+
+  send(msg) {
+    if (this.ws.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(msg));
+  }
+
+  /**
+   * Send `msg` and feed replies for `subId` to `onReply(reply, done)`
+   * until it calls done(err, value).
+   */
+  exchange(msg, subId, onReply) {
+    return new Promise((resolve, reject) => {
+      const done = (err, value) => {
+        clearTimeout(timer);
+        this.waiters.delete(subId);
+        if (err) reject(err);
+        else resolve(value);
+      };
+      const timer = setTimeout(() => done(new Error(`No reply to ${msg[0]}`)), this.timeout);
+      this.waiters.set(subId, (reply) => onReply(reply, done));
+      this.send(msg);
+    });
+  }
+
+  /**
+   * REQ one filter and collect its stored events.
+   */
+  req(filter) {
+    const subId = `sync-${randomBytes(4).toString('hex')}`;
+    const events = [];
+    return this.exchange(['REQ', subId, filter], subId, (reply, done) => {
+      if (reply[0] === 'EVENT') events.push(reply[2]);
+      else if (reply[0] === 'EOSE') { this.send(['CLOSE', subId]); done(null, events); }
+      else if (reply[0] === 'CLOSED') done(new Error(`REQ closed: ${reply[2]}`));
+    });
+  }
+
+  close() {
+    try { this.ws.close(); } catch {}
+  }
+}
+
+export class Importer {
+  /**
+   * @param {Object} opts
+   * @param {import('./store.mjs').EventStore} opts.store
+   * @param {import('./relay.mjs').Relay} opts.relay - local relay; imported events are injected through it
+   * @param {string[]} [opts.relays] - upstream relay URLs
+   * @param {Object|null} [opts.filter] - events to import (default: syncFilter())
+   * @param {typeof WebSocket} [opts.WebSocket] - socket class (tests pass a fake)
+   * @param {number} [opts.timeout] - seconds to wait for each reply
+   */
+  constructor({
+    store, relay, relays = SYNC_RELAYS, filter = syncFilter(), WebSocket: Socket = WebSocket, timeout = SYNC_TIMEOUT,
+  }) {
+    this.store = store;
+    this.relay = relay;
+    this.relays = relays;
+    this.filter = filter;
+    this.Socket = Socket;
+    this.timeout = timeout * 1000;
+    this.running = false;
+    this.timer = null;
+  }
+
+  get enabled() {
+    return this.relays.length > 0 && !!this.filter;
+  }
+
+  start(intervalSeconds = SYNC_INTERVAL) {
+    if (!this.enabled) return this;
+    this.timer = setInterval(() => this.tick(), intervalSeconds * 1000);
+    this.timer.unref();
+    this.tick();
+    return this;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sync every upstream relay once.
+   */
+  async tick() {
+    if (this.running || !this.enabled) return;
+    this.running = true;
+    try {
+      for (const url of this.relays) {
+        await this.syncRelay(url).catch((err) => {
+          this.store.updateSyncState(url, { last_error: err.message });
+          console.log(`⚠️ Sync from ${url} failed: ${err.message}`);
+        });
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Import what one relay has and we lack.
+   * @returns {Promise<{ method: 'negentropy'|'req', imported: number }>}
+   */
+  async syncRelay(url) {
+    const startedAt = now();
+    const filterKey = JSON.stringify(this.filter);
+    const state = this.store.getSyncState(url);
+    const conn = await Upstream.open(url, this.Socket, this.timeout);
+    try {
+      let method = 'negentropy';
+      let events;
+      try {
+        const need = await this._reconcile(conn);
+        events = [];
+        for (let i = 0; i < need.length; i += FETCH_BATCH) {
+          events.push(...await conn.req({ ids: need.slice(i, i + FETCH_BATCH) }));
+        }
+      } catch (err) {
+        if (!/^NEG-ERR|^NOTICE|^No reply/.test(err.message)) throw err;
+        // No NIP-77: everything since the last sync with the same filter
+        method = 'req';
+        const since = state?.filter === filterKey ? state.synced_at : null;
+        events = await conn.req({ ...this.filter, ...(since != null ? { since } : {}) });
+      }
+
+      let imported = 0;
+      for (const event of events) {
+        if (await this._import(event)) imported++;
+      }
+      this.store.updateSyncState(url, {
+        filter: filterKey, method, synced_at: startedAt, imported: (state?.imported ?? 0) + imported, last_error: null,
+      });
+      return { method, imported };
+    } finally {
+      conn.close();
+    }
+  }
+
+  /**
+   * Run a negentropy session over the filter.
+   * @returns {Promise<string[]>} ids the upstream relay has and we don't
+   */
+  async _reconcile(conn) {
+    const subId = `neg-${randomBytes(4).toString('hex')}`;
+    const session = new Negentropy(this.store.syncItems(this.filter));
+    const need = [];
+    const onReply = (reply, done) => {
+      if (reply[0] === 'NEG-MSG') done(null, reply[2]);
+      else if (reply[0] === 'NEG-ERR' || reply[0] === 'NOTICE') done(new Error(`${reply[0]}: ${reply.at(-1)}`));
+      else if (reply[0] === 'CLOSED') done(new Error(`Sync closed: ${reply[2]}`));
+    };
+
+    let msg = ['NEG-OPEN', subId, this.filter, session.initiate()];
+    try {
+      for (;;) {
+        const { output, need: missing } = session.reconcile(await conn.exchange(msg, subId, onReply));
+        need.push(...missing);
+        if (output == null) return need;
+        msg = ['NEG-MSG', subId, output];
+      }
+    } finally {
+      conn.send(['NEG-CLOSE', subId]);
+    }
+  }
+
+  /**
+   * Store one upstream event if it is genuine and selected.
+   * @returns {Promise<boolean>} whether it was new
+   */
+  async _import(event) {
+    if (!(await validateEvent(event)).valid || !matchFilter(event, this.filter)) return false;
+    return this.relay.injectEvent(event, { imported: true });
+  }
+}
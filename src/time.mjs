@@ -0,0 +1,6 @@
+/**
+ * Unix time in seconds.
+ */
+export function now() {
+  return Math.floor(Date.now() / 1000);
+}
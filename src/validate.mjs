@@ -0,0 +1,102 @@
+/**
+ * NIP-01 event validation.
+ *
+ * Checks field types, recomputes the event id from the serialized event
+ * and verifies the BIP-340 Schnorr signature against the pubkey.
+ * Rejections carry a machine-readable `reason` plus a NIP-01 style
+ * `message` (e.g. "invalid: bad event id") usable in OK responses.
+ * Events past their NIP-40 expiration are rejected too.
+ */
+
+import { createHash } from 'node:crypto';
+import { schnorr, utils } from '@noble/secp256k1';
+import { isExpired } from './retention.mjs';
+
+const HEX_32 = /^[0-9a-f]{64}$/;
+const HEX_64 = /^[0-9a-f]{128}$/;
+
+function reject(reason, message) {
+  return { valid: false, reason, message: `invalid: ${message}` };
+}
+
+/**
+ * Serialize an event for id hashing, per NIP-01:
+ * [0, pubkey, created_at, kind, tags, content]
+ */
+export function serializeEvent(event) {
+  return JSON.stringify([0, event.pubkey, event.created_at, event.kind, event.tags, event.content]);
+}
+
+/**
+ * Compute the NIP-01 event id (hex SHA-256 of the serialized event).
+ */
+export function getEventHash(event) {
+  return createHash('sha256').update(serializeEvent(event)).digest('hex');
+}
+
+/**
+ * Sign an unsigned event with a hex private key, filling in pubkey, id and sig.
+ */
+export async function signEvent(fields, privkey) {
+  const event = { ...fields, pubkey: utils.bytesToHex(schnorr.getPublicKey(privkey)) };
+  event.id = getEventHash(event);
+  event.sig = utils.bytesToHex(await schnorr.sign(event.id, privkey));
+  return event;
+}
+
+/**
+ * Check event field presence and types, without any cryptography.
+ * @returns {{ valid: true } | { valid: false, reason: string, message: string }}
+ */
+export function validateEventShape(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return reject('invalid-event', 'event must be a JSON object');
+  }
+  if (typeof event.id !== 'string' || !HEX_32.test(event.id)) {
+    return reject('invalid-id', 'id must be 32-byte lowercase hex');
+  }
+  if (typeof event.pubkey !== 'string' || !HEX_32.test(event.pubkey)) {
+    return reject('invalid-pubkey', 'pubkey must be 32-byte lowercase hex');
+  }
+  if (typeof event.sig !== 'string' || !HEX_64.test(event.sig)) {
+    return reject('invalid-sig', 'sig must be 64-byte lowercase hex');
+  }
+  if (!Number.isInteger(event.kind) || event.kind < 0 || event.kind > 65535) {
+    return reject('invalid-kind', 'kind must be an integer between 0 and 65535');
+  }
+  if (!Number.isInteger(event.created_at) || event.created_at < 0) {
+    return reject('invalid-created-at', 'created_at must be a non-negative integer');
+  }
+  if (typeof event.content !== 'string') {
+    return reject('invalid-content', 'content must be a string');
+  }
+  if (!Array.isArray(event.tags) ||
+      !event.tags.every(t => Array.isArray(t) && t.every(v => typeof v === 'string'))) {
+    return reject('invalid-tags', 'tags must be an array of string arrays');
+  }
+  return { valid: true };
+}
+
+/**
+ * Fully validate an event: shape, id hash, Schnorr signature and expiration.
+ * @returns {Promise<{ valid: true } | { valid: false, reason: string, message: string }>}
+ */
+export async function validateEvent(event) {
+  const shape = validateEventShape(event);
+  if (!shape.valid) return shape;
+
+  if (getEventHash(event) !== event.id) {
+    return reject('id-mismatch', 'event id does not match serialized event');
+  }
+
+  const sigOk = await schnorr.verify(event.sig, event.id, event.pubkey);
+  if (!sigOk) {
+    return reject('bad-signature', 'signature verification failed');
+  }
+
+  if (isExpired(event)) {
+    return reject('expired', 'event has expired');
+  }
+
+  return { valid: true };
+}
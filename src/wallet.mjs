@@ -1,6 +1,6 @@
 /**
- * Relay wallet — sends sBTC forwarding payments to recipients.
- * Uses sponsored transactions so the relay needs no STX for gas.
+ * Relay wallet — signs and broadcasts the sBTC transfers the payout
+ * worker (payouts.mjs) forwards to recipients.
  */
 
 import txPkg from '@stacks/transactions';
@@ -8,7 +8,7 @@ import netPkg from '@stacks/network';
 
 const {
   makeContractCall, broadcastTransaction, getAddressFromPrivateKey,
-  uintCV, standardPrincipalCV, noneCV,
+  uintCV, standardPrincipalCV, noneCV, listCV, tupleCV,
   PostConditionMode, AnchorMode,
 } = txPkg;
 
@@ -23,6 +23,9 @@ export const SBTC_CONTRACT = {
   name: 'sbtc-token',
 };
 
+// List bound of sbtc-token's transfer-many
+export const MAX_TRANSFER_MANY = 200;
+
 let relayAddress = null;
 
 export function getRelayAddress() {
@@ -47,65 +50,132 @@ export async function getRelayBalance() {
   } catch { return 0; }
 }
 
+export function isWalletConfigured() {
+  return !!RELAY_KEY;
+}
+
+// --- Low-level primitives for the payout worker (payouts.mjs) ---
+
 /**
- * Forward sBTC to a recipient's STX address.
- * Uses fee=0 and broadcasts — Hiro API handles if no fee attached.
- * If that fails, tries with minimal fee (needs STX).
+ * Next usable account nonce for the relay wallet, including mempool txs.
  */
-export async function forwardSbtc(recipientStxAddress, amountSats) {
-  if (!RELAY_KEY) {
-    return { success: false, error: 'No relay private key configured' };
-  }
+export async function getNextNonce() {
+  return (await fetchNonces()).possible_next_nonce;
+}
 
+/**
+ * Highest nonce the relay wallet has used in a block, or null if none.
+ * A tx signed with a nonce at or below it can no longer be mined.
+ */
+export async function getExecutedNonce() {
+  return (await fetchNonces()).last_executed_tx_nonce ?? null;
+}
+
+async function fetchNonces() {
+  const resp = await fetch(`${STACKS_API}/extended/v1/address/${getRelayAddress()}/nonces`);
+  if (!resp.ok) throw new Error(`Nonce lookup failed: ${resp.status}`);
+  return resp.json();
+}
+
+/**
+ * Build and sign (but do not broadcast) an sBTC transfer. The txid is
+ * known before broadcast so the payout can be recorded write-ahead.
+ * @returns {Promise<{ txId: string, transaction: Object }>}
+ */
+export async function buildSbtcTransfer(recipientStxAddress, amountSats, { nonce, fee }) {
+  if (!RELAY_KEY) throw new Error('No relay private key configured');
   const senderAddress = getRelayAddress();
+  const transaction = await makeContractCall({
+    contractAddress: SBTC_CONTRACT.address,
+    contractName: SBTC_CONTRACT.name,
+    functionName: 'transfer',
+    functionArgs: [
+      uintCV(amountSats),
+      standardPrincipalCV(senderAddress),
+      standardPrincipalCV(recipientStxAddress),
+      noneCV(),
+    ],
+    senderKey: RELAY_KEY,
+    network: STACKS_MAINNET,
+    anchorMode: AnchorMode.Any,
+    postConditionMode: PostConditionMode.Allow,
+    nonce,
+    fee,
+  });
+  return { txId: normalizeTxId(transaction.txid()), transaction };
+}
 
+/**
+ * Build and sign one sbtc-token `transfer-many` call paying several
+ * recipients (at most MAX_TRANSFER_MANY) in a single transaction.
+ * @param {{ address: string, amount: number }[]} transfers
+ * @returns {Promise<{ txId: string, transaction: Object }>}
+ */
+export async function buildSbtcTransferMany(transfers, { nonce, fee }) {
+  if (!RELAY_KEY) throw new Error('No relay private key configured');
+  if (!transfers.length || transfers.length > MAX_TRANSFER_MANY) {
+    throw new Error(`transfer-many takes 1-${MAX_TRANSFER_MANY} recipients`);
+  }
+  const sender = standardPrincipalCV(getRelayAddress());
+  const transaction = await makeContractCall({
+    contractAddress: SBTC_CONTRACT.address,
+    contractName: SBTC_CONTRACT.name,
+    functionName: 'transfer-many',
+    functionArgs: [
+      listCV(transfers.map(({ address, amount }) => tupleCV({
+        amount: uintCV(amount),
+        sender,
+        to: standardPrincipalCV(address),
+        memo: noneCV(),
+      }))),
+    ],
+    senderKey: RELAY_KEY,
+    network: STACKS_MAINNET,
+    anchorMode: AnchorMode.Any,
+    postConditionMode: PostConditionMode.Allow,
+    nonce,
+    fee,
+  });
+  return { txId: normalizeTxId(transaction.txid()), transaction };
+}
+
+/**
+ * Broadcast a signed transaction. `rejected` is set when the node refused
+ * it; any other failure (timeout, network error) leaves unknown whether
+ * the node got the tx.
+ * @returns {Promise<{ success: boolean, txId?: string, error?: string, reason?: string, rejected?: boolean }>}
+ */
+export async function broadcastTx(transaction) {
   try {
-    const nonceResp = await fetch(`${STACKS_API}/extended/v1/address/${senderAddress}/nonces`);
-    const nonceData = await nonceResp.json();
-    const nonce = nonceData.possible_next_nonce;
-
-    const txOptions = {
-      contractAddress: SBTC_CONTRACT.address,
-      contractName: SBTC_CONTRACT.name,
-      functionName: 'transfer',
-      functionArgs: [
-        uintCV(amountSats),
-        standardPrincipalCV(senderAddress),
-        standardPrincipalCV(recipientStxAddress),
-        noneCV(),
-      ],
-      senderKey: RELAY_KEY,
-      network: STACKS_MAINNET,
-      anchorMode: AnchorMode.Any,
-      postConditionMode: PostConditionMode.Allow,
-      nonce,
-      fee: 300,  // minimal fee (microSTX)
-    };
-
-    const tx = await makeContractCall(txOptions);
-    const result = await broadcastTransaction({ transaction: tx, network: STACKS_MAINNET });
-
-    // Check for error
+    const result = await broadcastTransaction({ transaction, network: STACKS_MAINNET });
     if (result && typeof result === 'object' && result.error) {
-      // If fee too low, retry with higher fee
-      if (result.reason === 'FeeTooLow') {
-        txOptions.fee = 1000;
-        const tx2 = await makeContractCall(txOptions);
-        const result2 = await broadcastTransaction({ transaction: tx2, network: STACKS_MAINNET });
-        if (result2 && typeof result2 === 'object' && result2.error) {
-          return { success: false, error: result2.error, reason: result2.reason };
-        }
-        return { success: true, txId: typeof result2 === 'string' ? result2 : result2.txid };
-      }
-      return { success: false, error: result.error, reason: result.reason };
+      return { success: false, rejected: true, error: result.error, reason: result.reason };
     }
-
-    return { success: true, txId: typeof result === 'string' ? result : result.txid };
+    return { success: true, txId: normalizeTxId(typeof result === 'string' ? result : result.txid) };
   } catch (err) {
     return { success: false, error: err.message };
   }
 }
 
-export function isWalletConfigured() {
-  return !!RELAY_KEY;
+/**
+ * On-chain status of a transaction: Hiro `tx_status` (success, pending,
+ * abort_by_response, dropped_*, ...) or 'not_found'.
+ */
+export async function getTxStatus(txId) {
+  const resp = await fetch(`${STACKS_API}/extended/v1/tx/${txId}`);
+  if (resp.status === 404) return 'not_found';
+  if (!resp.ok) throw new Error(`Transaction lookup failed: ${resp.status}`);
+  const tx = await resp.json();
+  return tx.tx_status;
+}
+
+/**
+ * Canonical form of a Stacks txid: lowercase and `0x`-prefixed, so the
+ * same tx sent with and without the prefix burns the same key.
+ */
+export function normalizeTxId(txId) {
+  if (typeof txId !== 'string') return '';
+  const id = txId.trim().toLowerCase();
+  if (!id) return '';
+  return id.startsWith('0x') ? id : `0x${id}`;
 }
@@ -1,198 +1,415 @@
 /**
  * x402 payment gate for EVENT writes.
  * 
- * Flow:
+ * Flow (x402 v1):
  * 1. Client POSTs event to /api/events
- * 2. Without valid payment → 402 with x402 headers
- * 3. With payment proof (tx ID) → verify on Stacks API → accept
+ * 2. Without valid payment → 402 with `{ x402Version, error, accepts }`
+ * 3. Client retries with a base64 `X-PAYMENT` header → verified on its
+ *    rail → full amount credited to the sender's prepaid balance
+ * 4. Event price is charged from the balance; overpayment stays as credit.
+ *    The response carries a base64 `X-PAYMENT-RESPONSE` settlement header.
  * 
- * If the event has a 'p' tag (targets a recipient), an extra 100 sats
- * is added to the price and forwarded to the recipient.
+ * The price is the relay fee from the pricing policy (see pricing.mjs)
+ * plus a tip for each distinct 'p'-tagged pubkey (up to the policy's
+ * maxRecipients), forwarded to that pubkey. With NIP-57 style `zap`
+ * tags, the tip is instead split across the zap pubkeys by weight. The
+ * sender picks the tip with an ["amount", "<sats>"] tag (or ?amount= on
+ * POST /api/events) within the policy's recipient min/max.
+ *
+ * Payment can arrive over any enabled rail (see rails/index.mjs): an sBTC
+ * txid, or a Lightning preimage for an invoice from the 402's `accepts`.
+ *
+ * Payment intents: the 402 for an event carries `intent`, a nonce bound
+ * to the event id, its author and the price (PAYMENT_INTENT_TTL seconds).
+ * A payment that names it (sBTC transfer memo, or an invoice issued for
+ * it) is credited to that author whoever submits it, and pays for that
+ * event; anything else is plain credit.
  */
 
-import { SBTC_CONTRACT } from './wallet.mjs';
+import { randomBytes } from 'node:crypto';
+import {
+  getPolicy, getRelayFee,
+  RECIPIENT_AMOUNT, MIN_TIP, MAX_TIP, MAX_PAID_RECIPIENTS, BASE_PRICING,
+} from './pricing.mjs';
+import { getRailForNetwork, buildAccepts } from './rails/index.mjs';
+import { sbtcRail, PAY_TO } from './rails/sbtc.mjs';
+import { now } from './time.mjs';
 
-// PAY_TO: set via env (should match the relay wallet address)
-const PAY_TO = process.env.PAY_TO || 'SP3PME5Q8G3VJ7GAFBMNCRXJ28HFTBX74XZC70WZ7';
-const STACKS_API = process.env.STACKS_API || 'https://api.mainnet.hiro.so';
+export const X402_VERSION = 1;
+const INTENT_TTL = parseInt(process.env.PAYMENT_INTENT_TTL || '900'); // seconds
 
-const RELAY_FEE = 5;          // sats — base relay fee for any event
-const RECIPIENT_AMOUNT = 100;  // sats — forwarded to recipient when event has p tag
+function reject(reason, message) {
+  return { valid: false, reason, message: `invalid: ${message}` };
+}
 
-// Base pricing by event kind (in sats) — relay fee only
-const BASE_PRICING = {
-  0: 50,     // profile metadata
-  1: 10,     // text note
-  4: 5,      // encrypted DM
-  30023: 25, // long-form
-  default: 10,
-};
+/**
+ * Resolve and bound-check the sender's tip: `requested` (e.g. a query
+ * parameter) wins over the event's `amount` tag; neither means the
+ * policy's default recipient amount.
+ * @returns {{ valid: true, amount: number } | { valid: false, reason: string, message: string }}
+ */
+export function checkTipAmount(event, requested) {
+  const { amount: defaultTip, min, max } = getPolicy().recipient;
+  const raw = requested ?? event?.tags?.find(t => Array.isArray(t) && t[0] === 'amount')?.[1];
+  if (raw == null) return { valid: true, amount: defaultTip };
+  if (!/^\d+$/.test(String(raw))) {
+    return reject('invalid-amount', 'amount must be a whole number of sats');
+  }
+  const amount = Number(raw);
+  if (amount < min || amount > max) {
+    return reject('invalid-amount', `amount must be between ${min} and ${max} sats`);
+  }
+  return { valid: true, amount };
+}
 
-function normalizeTxId(txId) {
-  if (typeof txId !== 'string') return '';
-  return txId.trim().toLowerCase();
+/**
+ * Split `total` sats across weights, largest remainder first so the
+ * parts always sum to `total`.
+ */
+function splitByWeight(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const exact = weights.map(w => total * w / sum);
+  const parts = exact.map(Math.floor);
+  let left = total - parts.reduce((a, b) => a + b, 0);
+  const order = exact.map((x, i) => [x - parts[i], i]).sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+  for (const [, i] of order) {
+    if (left-- <= 0) break;
+    parts[i]++;
+  }
+  return parts;
 }
 
-function parseAmount(value) {
-  try {
-    const amount = BigInt(value);
-    return amount >= 0n ? amount : null;
-  } catch {
-    return null;
+/**
+ * Paid recipients of an event and the sats forwarded to each.
+ * - `zap` tags ["zap", pubkey, relay, weight] split the tip by weight
+ *   (equally when no tag has a weight; unweighted tags get nothing when
+ *   others have one).
+ * - Otherwise each distinct `p` tag receives the tip.
+ * Only the first `recipient.maxRecipients` distinct pubkeys are paid, and
+ * deletion requests (kind 5) never pay a recipient.
+ * @param {Object} event
+ * @param {Object} [opts]
+ * @param {number} [opts.amount] - checked tip; defaults to the event's own (see checkTipAmount)
+ * @returns {{ pubkey: string, amount: number, weight?: number }[]}
+ */
+export function getRecipients(event, { amount } = {}) {
+  if (!event?.tags || event.kind === 5) return [];
+  const { recipient } = getPolicy();
+  const tip = amount ?? checkTipAmount(event).amount ?? recipient.amount;
+  const firstDistinct = (tags) => {
+    const seen = new Set();
+    return tags.filter(t => !seen.has(t[1]) && seen.add(t[1])).slice(0, recipient.maxRecipients);
+  };
+
+  const zaps = firstDistinct(event.tags.filter(t => Array.isArray(t) && t[0] === 'zap' && t[1]));
+  if (zaps.length) {
+    const weights = zaps.map(t => Number(t[3]));
+    const weighted = weights.some(w => Number.isFinite(w) && w > 0);
+    const normalized = weights.map(w => weighted ? (Number.isFinite(w) && w > 0 ? w : 0) : 1);
+    const amounts = splitByWeight(tip, normalized);
+    return zaps
+      .map((t, i) => ({ pubkey: t[1], amount: amounts[i], weight: normalized[i] }))
+      .filter(r => r.amount > 0);
   }
+
+  return firstDistinct(event.tags.filter(t => Array.isArray(t) && t[0] === 'p' && t[1]))
+    .map(t => ({ pubkey: t[1], amount: tip }));
 }
 
 /**
- * Extract the first 'p' tag hex pubkey from an event, if any.
+ * First paid recipient's hex pubkey, if any.
  */
 export function getRecipient(event) {
-  if (!event?.tags) return null;
-  const pTag = event.tags.find(t => Array.isArray(t) && t[0] === 'p' && t[1]);
-  return pTag ? pTag[1] : null;
+  return getRecipients(event)[0]?.pubkey ?? null;
 }
 
 /**
- * Get the base relay price in sats for an event kind.
+ * Get the base relay price in sats for an event kind, before surcharges,
+ * surges and discounts.
  */
 export function getBasePrice(kind) {
-  return BASE_PRICING[kind] ?? BASE_PRICING.default;
+  const { kinds } = getPolicy();
+  return kinds[kind] ?? kinds.default;
 }
 
 /**
- * Get the total price for an event.
- * If it targets a recipient (p tag), adds RECIPIENT_AMOUNT on top.
+ * Relay fee for an event; waived while the author has an active subscription.
  */
-export function getPrice(event) {
-  const base = getBasePrice(typeof event === 'number' ? event : event.kind);
-  const recipient = typeof event === 'number' ? null : getRecipient(event);
-  return recipient ? base + RECIPIENT_AMOUNT : base;
+function relayFeeFor(event, subscribed) {
+  const fee = getRelayFee(event);
+  return subscribed ? { ...fee, total: 0, subscription: true } : fee;
+}
+
+/**
+ * Get the total price for an event: the policy's relay fee plus the sats
+ * forwarded to its recipients.
+ * @param {Object|number} event - event, or a bare kind
+ * @param {Object} [opts]
+ * @param {number} [opts.amount] - checked tip, as for getRecipients
+ * @param {boolean} [opts.subscribed] - author has an active subscription (no relay fee)
+ */
+export function getPrice(event, { amount, subscribed = false } = {}) {
+  if (typeof event === 'number') return getBasePrice(event);
+  return relayFeeFor(event, subscribed).total + getRecipients(event, { amount }).reduce((sum, r) => sum + r.amount, 0);
+}
+
+/**
+ * x402 PaymentRequirementsResponse fields. `accepts` starts with the sBTC
+ * option, which needs no I/O; withAccepts fills in every enabled rail.
+ */
+function paymentRequired(requirement) {
+  return {
+    x402Version: X402_VERSION,
+    error: 'Payment Required',
+    accepts: [sbtcRail.requirement(requirement)],
+  };
+}
+
+/**
+ * Open (or reuse) a payment intent binding a payment of `amount` sats to
+ * an event and its author, or (with no event id) just to a pubkey's credit.
+ * @param {import('./store.mjs').EventStore} store
+ * @param {{ id?: string, pubkey: string }} event
+ * @param {{ amount: number, resource?: string }} opts
+ * @returns {Object} the intent row
+ */
+export function openPaymentIntent(store, event, { amount, resource = null }) {
+  return store.createPaymentIntent({
+    id: randomBytes(16).toString('hex'), event_id: event.id ?? null, pubkey: event.pubkey, amount, resource,
+  }, INTENT_TTL);
 }
 
 /**
  * Build the 402 response with x402 payment details.
+ * @param {Object} event
+ * @param {Object} [opts]
+ * @param {number} [opts.balance] - payer's current prepaid credit balance
+ * @param {number} [opts.amount] - checked tip, as for getRecipients
+ * @param {boolean} [opts.subscribed] - as for getPrice
+ * @param {string} [opts.resource] - URL being paid for
+ * @param {Object} [opts.intent] - payment intent from openPaymentIntent
  */
-export function build402Response(event) {
-  const recipient = getRecipient(event);
-  const basePrice = getBasePrice(event.kind);
-  const totalPrice = recipient ? basePrice + RECIPIENT_AMOUNT : basePrice;
+export function build402Response(event, {
+  balance, amount, subscribed = false, resource = '/api/events', intent,
+} = {}) {
+  const recipients = getRecipients(event, { amount });
+  const relayFee = relayFeeFor(event, subscribed);
+  const basePrice = relayFee.total;
+  const forward = recipients.reduce((sum, r) => sum + r.amount, 0);
+  const totalPrice = basePrice + forward;
 
-  const description = recipient
-    ? `Publish kind ${event.kind} event to x402 Nostr relay (${basePrice} sats relay + ${RECIPIENT_AMOUNT} sats forwarded to recipient)`
+  const description = recipients.length
+    ? `Publish kind ${event.kind} event to x402 Nostr relay (${basePrice} sats relay + ${forward} sats forwarded to ${recipients.length} recipient${recipients.length === 1 ? '' : 's'})`
     : `Publish kind ${event.kind} event to x402 Nostr relay`;
 
+  const requirement = { amount: totalPrice, description, resource, ...(intent ? { intent: intent.id } : {}) };
   return {
     status: 402,
-    headers: {
-      'X-Payment': JSON.stringify({
-        scheme: 'x402',
-        network: 'stacks',
-        asset: 'sbtc',
-        payTo: PAY_TO,
-        maxAmountRequired: String(totalPrice),
-        description,
-        mimeType: 'application/json',
-        resource: '/api/events',
-      }),
-      'Content-Type': 'application/json',
-    },
+    headers: { 'Content-Type': 'application/json' },
+    requirement,
     body: {
-      error: 'Payment Required',
+      ...paymentRequired(requirement),
       price: totalPrice,
       asset: 'sBTC',
       payTo: PAY_TO,
-      ...(recipient ? {
+      ...(intent ? {
+        intent: { id: intent.id, event_id: intent.event_id, amount: intent.amount, expires_at: intent.expires_at },
+      } : {}),
+      ...(balance != null ? {
+        credit: { balance, shortfall: Math.max(0, totalPrice - balance) },
+      } : {}),
+      ...(recipients.length ? {
         breakdown: {
           relayFee: basePrice,
-          recipientForward: RECIPIENT_AMOUNT,
-          recipientPubkey: recipient,
+          recipientForward: forward,
+          recipientPubkey: recipients[0].pubkey,
+          recipients,
+          tip: amount ?? checkTipAmount(event).amount ?? getPolicy().recipient.amount,
         },
       } : {}),
+      relayFeeDetail: relayFee,
     },
   };
 }
 
 /**
- * Verify an sBTC payment transaction on the Stacks API.
+ * Build the 402 response for buying a subscription plan.
+ * @param {string} name - plan name from the pricing policy
+ * @param {Object} [opts]
+ * @param {number} [opts.balance] - payer's current prepaid credit balance
+ * @param {string} [opts.resource] - URL being paid for
+ * @param {Object} [opts.intent] - payment intent for the subscriber's pubkey
  */
-export async function verifyPayment(txId, requiredSats, store) {
-  const normalizedTxId = normalizeTxId(txId);
-  if (!normalizedTxId) {
-    return { valid: false, error: 'Missing transaction ID' };
-  }
+export function buildSubscription402(name, { balance, resource = '/api/subscriptions', intent } = {}) {
+  const plan = getPolicy().subscriptions[name];
+  const quota = plan.quota == null ? 'unlimited events' : `up to ${plan.quota} events`;
+  const requirement = {
+    amount: plan.price,
+    description: `x402 Nostr relay ${name} subscription: ${quota} for ${plan.days} days without relay fees`,
+    resource,
+    ...(intent ? { intent: intent.id } : {}),
+  };
+  return {
+    status: 402,
+    headers: { 'Content-Type': 'application/json' },
+    requirement,
+    body: {
+      ...paymentRequired(requirement),
+      price: plan.price,
+      asset: 'sBTC',
+      payTo: PAY_TO,
+      plan: { name, ...plan },
+      ...(intent ? { intent: { id: intent.id, amount: intent.amount, expires_at: intent.expires_at } } : {}),
+      ...(balance != null ? {
+        credit: { balance, shortfall: Math.max(0, plan.price - balance) },
+      } : {}),
+    },
+  };
+}
 
-  if (store?.isUsedTx(normalizedTxId)) {
-    return { valid: false, error: 'Transaction already used' };
+/**
+ * Add the `accepts` list (one option per enabled payment rail) to a 402
+ * response from build402Response or buildSubscription402. Async because
+ * the Lightning rail issues an invoice.
+ * @param {{ networks?: string[] }} [opts] - as for buildAccepts
+ */
+export async function withAccepts(resp, opts) {
+  resp.body.accepts = await buildAccepts(resp.requirement, opts);
+  return resp;
+}
+
+/**
+ * Check a decoded X-PAYMENT on its rail without burning it.
+ */
+async function checkPayment(payment, requiredSats, store) {
+  const rail = getRailForNetwork(payment?.network);
+  if (!rail) {
+    return { valid: false, error: `Payment network not enabled: ${payment?.network}` };
   }
+  return rail.verify(payment, requiredSats, store);
+}
 
-  try {
-    const resp = await fetch(`${STACKS_API}/extended/v1/tx/${normalizedTxId}`);
-    if (!resp.ok) {
-      return { valid: false, error: `Transaction not found: ${resp.status}` };
-    }
+/**
+ * Rail that must still settle `payment` (e.g. broadcast a pre-signed
+ * tx), or null if the money has already moved.
+ */
+function settlingRail(payment) {
+  const rail = getRailForNetwork(payment?.network);
+  return rail?.unsettled?.(payment) ? rail : null;
+}
 
-    const tx = await resp.json();
+/**
+ * Whether a payment intent can still be paid.
+ */
+function isOpenIntent(intent, at = now()) {
+  return intent?.status === 'open' && intent.expires_at > at;
+}
 
-    if (tx.tx_status !== 'success') {
-      return { valid: false, error: `Transaction status: ${tx.tx_status}` };
-    }
+/**
+ * Verify a payment and credit its full amount to a prepaid balance.
+ *
+ * A payment naming a payment intent is credited to the intent's author.
+ * Otherwise a txid already on chain is credited to its sender's STX
+ * address: it is public, so whoever submits it first must not get it.
+ * Proofs only the payer holds (a pre-signed tx, a Lightning preimage) are
+ * credited to the given `account`, or else the sender.
+ *
+ * An intent payment pays for `eventId` (and settles the intent) only if
+ * that is the intent's open, unexpired event; otherwise it is just credit.
+ *
+ * A payment the relay must still settle (a pre-signed tx) has to cover
+ * `minimum` sats, since it can be refused before any money moves;
+ * payments already on chain are credited whatever their amount. It is
+ * credited, then settled; if settling fails the credit is reversed.
+ * @param {Object} [opts]
+ * @param {number} [opts.minimum] - sats a pre-signed payment must cover
+ * @param {string} [opts.eventId] - event the payment was sent with
+ */
+export async function depositPayment(payment, account, store, { minimum = 0, eventId = null } = {}) {
+  const rail = settlingRail(payment);
+  const result = await checkPayment(payment, rail ? minimum : 0, store);
+  if (!result.valid) return result;
 
-    const minimumAmount = BigInt(Math.max(0, Math.trunc(Number(requiredSats) || 0)));
-    let paidAmount = null;
-
-    if (tx.tx_type === 'token_transfer') {
-      if (tx.token_transfer?.recipient_address !== PAY_TO) {
-        return { valid: false, error: 'Payment not sent to relay address' };
-      }
-      paidAmount = parseAmount(tx.token_transfer?.amount);
-      if (paidAmount == null) {
-        return { valid: false, error: 'Invalid transfer amount' };
-      }
-    } else if (tx.tx_type === 'contract_call') {
-      const events = tx.events || [];
-      const transferToUs = events.find((event) =>
-        (event.event_type === 'fungible_token_transfer' || event.event_type === 'fungible_token_asset') &&
-        event.asset?.asset_event_type === 'transfer' &&
-        event.asset?.recipient === PAY_TO
-      );
-      if (!transferToUs) {
-        return { valid: false, error: 'No sBTC transfer to relay found in tx' };
-      }
-      const SBTC_ASSET_ID = `${SBTC_CONTRACT.address}.${SBTC_CONTRACT.name}`;
-      if (transferToUs.asset?.asset_id !== SBTC_ASSET_ID) {
-        return { valid: false, error: `Invalid asset: expected sBTC (${SBTC_ASSET_ID})` };
-      }
-      paidAmount = parseAmount(transferToUs.asset?.amount);
-      if (paidAmount == null) {
-        return { valid: false, error: 'Invalid transfer amount' };
-      }
-    } else {
-      return { valid: false, error: `Unsupported transaction type: ${tx.tx_type}` };
-    }
+  const intent = result.memo ? store.getPaymentIntent(result.memo) : null;
+  const matched = !!intent && eventId != null && intent.event_id === eventId && isOpenIntent(intent);
+  const claimant = rail || !result.sender ? account : null;
+  const creditAccount = intent?.pubkey || claimant || result.sender;
+  if (!creditAccount) {
+    return { valid: false, error: 'No account to credit' };
+  }
 
-    if (paidAmount < minimumAmount) {
-      return { valid: false, error: `Insufficient payment: ${paidAmount} < ${minimumAmount}` };
-    }
+  const paidFor = intent
+    ? { eventId: matched ? intent.event_id : null, intentId: intent.id }
+    : { eventId };
+  const balance = store.depositCredit(creditAccount, result.amount, result.txId, paidFor);
+  if (balance == null) {
+    return { valid: false, error: 'Transaction already used' };
+  }
+  if (matched) store.markIntentPaid(intent.id, result.txId);
 
-    store?.markTxUsed(normalizedTxId);
-    return { valid: true };
-  } catch (err) {
-    return { valid: false, error: `Verification failed: ${err.message}` };
+  let settlement;
+  if (rail) {
+    const settled = await rail.settle(payment, { store, account: creditAccount, requiredSats: minimum });
+    if (!settled.success) {
+      store.reverseDeposit(result.txId);
+      return { valid: false, error: settled.error };
+    }
+    settlement = settled.status;
   }
+  return {
+    valid: true, account: creditAccount, amount: result.amount, balance,
+    txId: result.txId, network: payment.network,
+    ...(intent ? { intent: { id: intent.id, event_id: intent.event_id, matched } } : {}),
+    ...(settlement ? { settlement } : {}),
+  };
 }
 
 /**
- * Extract payment proof from request headers.
+ * Decode and schema-check the base64 `X-PAYMENT` header:
+ * `{ x402Version: 1, scheme: "exact", network, payload }`, where the
+ * payload shape depends on the network's rail.
+ * @returns {null | { valid: true, payment: Object } | { valid: false, error: string }}
+ *   null when the header is absent
  */
 export function extractPayment(headers) {
-  const paymentHeader = headers['x-payment-response'] || headers['x-payment'];
-  if (!paymentHeader) return null;
+  const header = headers['x-payment'];
+  if (!header) return null;
 
+  let payment;
   try {
-    const payment = JSON.parse(paymentHeader);
-    return payment.txId || payment.transactionId || null;
+    payment = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
   } catch {
-    return paymentHeader;
+    return { valid: false, error: 'X-PAYMENT must be base64-encoded JSON' };
   }
+  if (!payment || typeof payment !== 'object' || Array.isArray(payment)) {
+    return { valid: false, error: 'X-PAYMENT must be a JSON object' };
+  }
+  if (payment.x402Version !== X402_VERSION) {
+    return { valid: false, error: `Unsupported x402Version: ${payment.x402Version}` };
+  }
+  if (payment.scheme !== 'exact') {
+    return { valid: false, error: `Unsupported scheme: ${payment.scheme}` };
+  }
+  const rail = getRailForNetwork(payment.network);
+  if (!rail) {
+    return { valid: false, error: `Unsupported network: ${payment.network}` };
+  }
+  if (!payment.payload || typeof payment.payload !== 'object') {
+    return { valid: false, error: 'X-PAYMENT payload must be an object' };
+  }
+  const error = rail.checkPayload(payment.payload);
+  if (error) return { valid: false, error };
+
+  return { valid: true, payment };
+}
+
+/**
+ * `X-PAYMENT-RESPONSE` settlement header for a verified payment.
+ * @param {{ txId: string, network: string, account?: string, sender?: string }} settled
+ */
+export function settlementHeader({ txId, network, account, sender }) {
+  const response = { success: true, transaction: txId, network, payer: account ?? sender ?? null };
+  return { 'X-PAYMENT-RESPONSE': Buffer.from(JSON.stringify(response)).toString('base64') };
 }
 
-export { PAY_TO, RELAY_FEE, RECIPIENT_AMOUNT };
+export { PAY_TO, RECIPIENT_AMOUNT, MIN_TIP, MAX_TIP, MAX_PAID_RECIPIENTS, BASE_PRICING };
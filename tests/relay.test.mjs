@@ -4,14 +4,85 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { matchFilter, matchFilters } from '../src/filters.mjs';
 import { EventStore } from '../src/store.mjs';
-import { Relay } from '../src/relay.mjs';
+import { Relay, DEFAULT_LIMITS } from '../src/relay.mjs';
+import { getExpiration, isExpired, loadRetentionPolicy, sweep } from '../src/retention.mjs';
 import {
-  build402Response, getPrice, getBasePrice, getRecipient,
-  verifyPayment, RELAY_FEE, RECIPIENT_AMOUNT,
+  build402Response, buildSubscription402, getPrice, getBasePrice, getRecipient, getRecipients, checkTipAmount,
+  depositPayment, openPaymentIntent, withAccepts, extractPayment, settlementHeader, PAY_TO, RECIPIENT_AMOUNT, MIN_TIP, MAX_TIP, MAX_PAID_RECIPIENTS,
 } from '../src/x402.mjs';
-import { resolvePaymentAddress, recordPendingPayout, getPendingPayouts } from '../src/messages.mjs';
+import { recordPendingPayout, getPendingPayouts, createAddressResolver } from '../src/messages.mjs';
+import { PayoutWorker, feeForAttempt } from '../src/payouts.mjs';
+import {
+  normalizePolicy, parsePolicy, setPolicy, getPolicyInfo, loadPolicyFile, getRelayFee, surgeMultiplier, getFinalityRule,
+} from '../src/pricing.mjs';
+import { buildRelayInfo, buildPublicationFees } from '../src/nip11.mjs';
+import { issueChallenge, verifyClaim, buildClaimReceipt, CLAIM_KIND } from '../src/claims.mjs';
+import { verifyHttpAuth, HTTP_AUTH_KIND } from '../src/nip98.mjs';
+import { decrypt } from '../src/nip04.mjs';
+import { getRails, setRails, getRailForNetwork } from '../src/rails/index.mjs';
+import { sbtcRail } from '../src/rails/sbtc.mjs';
+import { createLightningRail, createLndBackend, createClnBackend } from '../src/rails/lightning.mjs';
+import { validateEvent, validateEventShape, getEventHash } from '../src/validate.mjs';
+import { decodeTransfer, verify as facilitatorVerify, settle, checkSettlements } from '../src/facilitator.mjs';
+import { openReceipt, checkReceipts } from '../src/receipts.mjs';
+import { TokenBuckets, Limiter, clientIp } from '../src/limits.mjs';
+import { Mirror } from '../src/mirrors.mjs';
+import { Negentropy } from '../src/negentropy.mjs';
+import { Importer } from '../src/sync.mjs';
+import { EventEmitter } from 'node:events';
+import { schnorr, utils as secpUtils } from '@noble/secp256k1';
+import txPkg from '@stacks/transactions';
+import netPkg from '@stacks/network';
+
+const TEST_PRIVKEY = '0000000000000000000000000000000000000000000000000000000000000003';
+
+// Decoded X-PAYMENT headers for each rail
+const stacksPayment = (txId) => ({ x402Version: 1, scheme: 'exact', network: 'stacks', payload: { txId } });
+const lightningPayment = (preimage) => ({ x402Version: 1, scheme: 'exact', network: 'lightning', payload: { preimage } });
+const encodePayment = (payment) => Buffer.from(JSON.stringify(payment)).toString('base64');
+
+// Hiro API transaction for an sBTC transfer of `amount` sats to the relay
+function sbtcTransferTx(amount, { memo, ...fields } = {}) {
+  const { cvToHex, someCV, noneCV, bufferCVFromString } = txPkg;
+  return {
+    tx_status: 'success',
+    tx_type: 'contract_call',
+    sender_address: 'SP2SENDER',
+    contract_call: {
+      function_name: 'transfer',
+      function_args: [{}, {}, {}, { hex: cvToHex(memo ? someCV(bufferCVFromString(memo)) : noneCV()) }],
+    },
+    events: [{
+      event_type: 'fungible_token_asset',
+      asset: {
+        asset_event_type: 'transfer', recipient: PAY_TO, amount: String(amount),
+        asset_id: 'SM3VDXK3WZZSA84XXFKAFAF15NNZX32CTSG82JFQ4.sbtc-token',
+      },
+    }],
+    ...fields,
+  };
+}
+
+async function signEvent(fields = {}, privkey = TEST_PRIVKEY) {
+  const event = {
+    pubkey: secpUtils.bytesToHex(schnorr.getPublicKey(privkey)),
+    kind: 1,
+    created_at: 1700000000,
+    content: 'hello world',
+    tags: [],
+    ...fields,
+  };
+  event.id = getEventHash(event);
+  event.sig = secpUtils.bytesToHex(await schnorr.sign(event.id, privkey));
+  return event;
+}
 
 const makeEvent = (overrides = {}) => ({
   id: 'abc123def456',
@@ -63,12 +134,66 @@ describe('filters', () => {
     assert.ok(!matchFilter(makeEvent(), { ids: ['abc'], kinds: [0] }));
   });
 
+  it('matches NIP-50 search terms in content', () => {
+    const event = makeEvent({ content: 'Paying sats over Nostr, café style' });
+    assert.ok(matchFilter(event, { search: 'nostr SATS' }));
+    assert.ok(matchFilter(event, { search: 'cafe' }));
+    assert.ok(matchFilter(event, { search: 'sats include:spam' }));
+    assert.ok(!matchFilter(event, { search: 'sats lightning' }));
+    assert.ok(matchFilter(event, { search: '' }));
+  });
+
   it('matchFilters OR across filters', () => {
     assert.ok(matchFilters(makeEvent(), [{ kinds: [0] }, { kinds: [1] }]));
     assert.ok(!matchFilters(makeEvent(), [{ kinds: [0] }, { kinds: [2] }]));
   });
 });
 
+describe('validate', () => {
+  it('accepts a correctly signed event', async () => {
+    const event = await signEvent();
+    assert.deepEqual(await validateEvent(event), { valid: true });
+  });
+
+  it('rejects events whose id does not match the content', async () => {
+    const event = await signEvent();
+    const result = await validateEvent({ ...event, content: 'tampered' });
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'id-mismatch');
+    assert.match(result.message, /^invalid: /);
+  });
+
+  it('rejects events signed by a different key', async () => {
+    const event = await signEvent();
+    const other = await signEvent({}, '0000000000000000000000000000000000000000000000000000000000000005');
+    const result = await validateEvent({ ...event, sig: other.sig });
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'bad-signature');
+  });
+
+  it('rejects forged pubkeys', async () => {
+    const event = await signEvent();
+    const forged = { ...event, pubkey: 'f'.repeat(63) + 'e' };
+    forged.id = getEventHash(forged);
+    const result = await validateEvent(forged);
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'bad-signature');
+  });
+
+  it('enforces field types', () => {
+    const base = makeEvent({ id: 'a'.repeat(64), pubkey: 'b'.repeat(64), sig: 'c'.repeat(128) });
+    assert.equal(validateEventShape(base).valid, true);
+    assert.equal(validateEventShape(null).reason, 'invalid-event');
+    assert.equal(validateEventShape({ ...base, id: 'abc' }).reason, 'invalid-id');
+    assert.equal(validateEventShape({ ...base, pubkey: 'B'.repeat(64) }).reason, 'invalid-pubkey');
+    assert.equal(validateEventShape({ ...base, sig: undefined }).reason, 'invalid-sig');
+    assert.equal(validateEventShape({ ...base, kind: '1' }).reason, 'invalid-kind');
+    assert.equal(validateEventShape({ ...base, created_at: 1.5 }).reason, 'invalid-created-at');
+    assert.equal(validateEventShape({ ...base, content: 42 }).reason, 'invalid-content');
+    assert.equal(validateEventShape({ ...base, tags: [['p', 1]] }).reason, 'invalid-tags');
+  });
+});
+
 describe('EventStore', () => {
   it('adds and queries events', () => {
     const store = new EventStore();
@@ -100,6 +225,16 @@ describe('EventStore', () => {
     assert.equal(store.query({ limit: 3 }).length, 3);
   });
 
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`orders search results by relevance (${label})`, () => {
+      const store = new EventStore(opts);
+      store.add(makeEvent({ id: 'a'.repeat(64), created_at: 300, content: 'sats' }));
+      store.add(makeEvent({ id: 'b'.repeat(64), created_at: 100, content: 'sats sats sats sats' }));
+      store.add(makeEvent({ id: 'c'.repeat(64), created_at: 200, content: 'nothing here' }));
+      assert.deepEqual(store.query({ search: 'sats' }).map(e => e.id[0]), ['b', 'a']);
+    });
+  }
+
   it('returns results sorted desc by created_at', () => {
     const store = new EventStore();
     store.add(makeEvent({ id: 'a', created_at: 100 }));
@@ -110,6 +245,119 @@ describe('EventStore', () => {
   });
 });
 
+describe('NIP-09 deletion', () => {
+  const ALICE = 'a'.repeat(64);
+  const BOB = 'b'.repeat(64);
+  const ev = (id, fields) => makeEvent({ id: id.padEnd(64, '0'), pubkey: ALICE, ...fields });
+
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`deletes owned e and a targets and blocks re-insertion (${label})`, () => {
+      const store = new EventStore(opts);
+      const note = ev('1', { created_at: 100 });
+      const bobNote = ev('2', { pubkey: BOB, created_at: 100 });
+      const article = ev('3', { kind: 30023, created_at: 100, tags: [['d', 'post']] });
+      const otherArticle = ev('4', { kind: 30023, created_at: 100, tags: [['d', 'other']] });
+      for (const e of [note, bobNote, article, otherArticle]) assert.ok(store.add(e));
+
+      const deletion = ev('5', {
+        kind: 5,
+        created_at: 200,
+        tags: [['e', note.id], ['e', bobNote.id], ['a', `30023:${ALICE}:post`], ['a', `30023:${BOB}:x`]],
+      });
+      assert.ok(store.add(deletion));
+
+      assert.deepEqual(store.query({}).map(e => e.id).sort(), [bobNote.id, otherArticle.id, deletion.id].sort());
+      assert.deepEqual(store.getDeletionTargets(deletion.id), [
+        { target: note.id, removed: 1 },
+        { target: bobNote.id, removed: 0 },
+        { target: `30023:${ALICE}:post`, removed: 1 },
+      ]);
+
+      // Deleted ids and older address versions cannot come back; newer versions can
+      assert.ok(!store.add(note));
+      assert.ok(!store.add(ev('6', { kind: 30023, created_at: 150, tags: [['d', 'post']] })));
+      assert.ok(store.add(ev('7', { kind: 30023, created_at: 250, tags: [['d', 'post']] })));
+      // Another author's event with a tombstoned id is not blocked
+      assert.ok(!store.isDeleted({ ...note, pubkey: BOB }));
+    });
+  }
+
+  it('ignores deletions of deletion events', () => {
+    const store = new EventStore({ dbPath: null });
+    const first = ev('8', { kind: 5, created_at: 100, tags: [] });
+    store.add(first);
+    store.add(ev('9', { kind: 5, created_at: 200, tags: [['e', first.id]] }));
+    assert.ok(store.query({ ids: [first.id] }).length === 1);
+  });
+
+  it('prices deletions by DELETION_PRICE and never pays a recipient', () => {
+    const deletion = makeEvent({ kind: 5, tags: [['e', 'x'], ['p', 'someone']] });
+    assert.equal(getRecipient(deletion), null);
+    assert.equal(getPrice(deletion), 0);
+  });
+});
+
+describe('NIP-40 expiration and retention', () => {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const ALICE = 'a'.repeat(64);
+  const BOB = 'b'.repeat(64);
+  const ev = (id, fields) => makeEvent({ id: id.padEnd(64, '0'), pubkey: ALICE, ...fields });
+
+  it('parses expiration tags', () => {
+    assert.equal(getExpiration(makeEvent({ tags: [['expiration', '123']] })), 123);
+    assert.equal(getExpiration(makeEvent({ tags: [['expiration', 'soon']] })), null);
+    assert.ok(isExpired(makeEvent({ tags: [['expiration', String(nowSec - 1)]] })));
+    assert.ok(!isExpired(makeEvent({ tags: [['expiration', String(nowSec + 60)]] })));
+  });
+
+  it('rejects expired events on publish', async () => {
+    const event = await signEvent({ tags: [['expiration', String(nowSec - 10)]] });
+    const result = await validateEvent(event);
+    assert.equal(result.reason, 'expired');
+  });
+
+  it('parses retention policy config', () => {
+    assert.deepEqual(loadRetentionPolicy(undefined), {});
+    assert.deepEqual(loadRetentionPolicy('not json'), {});
+    assert.deepEqual(
+      loadRetentionPolicy('{"maxAgeByKind":{"1":60,"4":-1},"maxEventsPerPubkey":2}'),
+      { maxAgeByKind: { 1: 60 }, maxEventsPerPubkey: 2 }
+    );
+  });
+
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`hides and purges expired events (${label})`, () => {
+      const store = new EventStore(opts);
+      store.add(ev('1', { tags: [['expiration', String(nowSec - 5)]] }));
+      store.add(ev('2', { tags: [['expiration', String(nowSec + 3600)]] }));
+      store.add(ev('3'));
+      assert.deepEqual(store.query({}).map(e => e.id[0]).sort(), ['2', '3']);
+      assert.equal(store.size, 3);
+      assert.deepEqual(sweep(store), { expired: 1, retention: 0 });
+      assert.equal(store.size, 2);
+    });
+
+    it(`applies max age per kind and max events per pubkey (${label})`, () => {
+      const store = new EventStore(opts);
+      store.add(ev('1', { kind: 1, created_at: nowSec - 7200 }));
+      store.add(ev('2', { kind: 1, created_at: nowSec - 60 }));
+      store.add(ev('3', { kind: 7, created_at: nowSec - 7200 }));
+      store.add(ev('4', { kind: 0, created_at: nowSec - 7200 }));
+      store.add(ev('5', { kind: 1, created_at: nowSec - 30 }));
+      store.add(ev('6', { kind: 1, created_at: nowSec - 20 }));
+      store.add(ev('7', { pubkey: BOB, kind: 1, created_at: nowSec - 10 }));
+
+      const removed = store.applyRetention({ maxAgeByKind: { 1: 3600 }, maxEventsPerPubkey: 2 });
+      // ev1 by age; ev3/ev2 fall outside Alice's newest two regular events; profile kept
+      assert.equal(removed, 3);
+      assert.deepEqual(store.query({}).map(e => e.id[0]).sort(), ['4', '5', '6', '7']);
+
+      assert.equal(store.applyRetention({ maxAgeByKind: { default: 60 } }), 1);
+      assert.deepEqual(store.query({}).map(e => e.id[0]).sort(), ['5', '6', '7']);
+    });
+  }
+});
+
 describe('x402', () => {
   it('returns correct base pricing', () => {
     assert.equal(getBasePrice(0), 50);
@@ -149,29 +397,102 @@ describe('x402', () => {
     assert.equal(resp.body.breakdown.recipientPubkey, 'deadbeef');
   });
 
+  it('pays each distinct p-tagged pubkey, up to the cap', () => {
+    const tags = ['a', 'b', 'a', 'c', 'd', 'e', 'f', 'g'].map(pk => ['p', pk]);
+    const recipients = getRecipients(makeEvent({ kind: 1, tags }));
+    assert.deepEqual(recipients.map(r => r.pubkey), ['a', 'b', 'c', 'd', 'e', 'f', 'g'].slice(0, MAX_PAID_RECIPIENTS));
+    assert.ok(recipients.every(r => r.amount === RECIPIENT_AMOUNT));
+    assert.equal(getPrice(makeEvent({ kind: 1, tags })), 10 + RECIPIENT_AMOUNT * recipients.length);
+  });
+
+  it('splits the recipient amount across zap tags by weight', () => {
+    const zap = (pk, weight) => ['zap', pk, 'wss://relay.example', ...(weight != null ? [String(weight)] : [])];
+    const weighted = getRecipients(makeEvent({ tags: [['p', 'x'], zap('a', 1), zap('b', 1), zap('c', 2)] }));
+    assert.deepEqual(weighted.map(r => [r.pubkey, r.amount]), [['a', 25], ['b', 25], ['c', 50]]);
+
+    const equal = getRecipients(makeEvent({ tags: [zap('a'), zap('b'), zap('c')] }));
+    assert.deepEqual(equal.map(r => r.amount), [34, 33, 33]);
+
+    const partial = getRecipients(makeEvent({ tags: [zap('a', 3), zap('b')] }));
+    assert.deepEqual(partial.map(r => [r.pubkey, r.amount]), [['a', RECIPIENT_AMOUNT]]);
+    assert.equal(getPrice(makeEvent({ kind: 1, tags: [zap('a'), zap('b'), zap('c')] })), 10 + RECIPIENT_AMOUNT);
+  });
+
+  it('itemizes every recipient in the 402 breakdown', () => {
+    const resp = build402Response(makeEvent({ kind: 1, tags: [['p', 'a'], ['p', 'b']] }));
+    assert.equal(resp.body.price, 10 + 2 * RECIPIENT_AMOUNT);
+    assert.equal(resp.body.breakdown.recipientForward, 2 * RECIPIENT_AMOUNT);
+    assert.deepEqual(resp.body.breakdown.recipients, [
+      { pubkey: 'a', amount: RECIPIENT_AMOUNT },
+      { pubkey: 'b', amount: RECIPIENT_AMOUNT },
+    ]);
+    assert.match(resp.body.accepts[0].description, /2 recipients/);
+  });
+
+  it('uses the sender-chosen tip from the amount tag or an override', () => {
+    const event = makeEvent({ kind: 1, tags: [['p', 'a'], ['p', 'b'], ['amount', '250']] });
+    assert.deepEqual(checkTipAmount(event), { valid: true, amount: 250 });
+    assert.deepEqual(checkTipAmount(event, '40'), { valid: true, amount: 40 });
+    assert.deepEqual(checkTipAmount(makeEvent({ tags: [['p', 'a']] })), { valid: true, amount: RECIPIENT_AMOUNT });
+
+    assert.equal(getPrice(event), 10 + 2 * 250);
+    assert.equal(getPrice(event, { amount: 40 }), 10 + 2 * 40);
+    const resp = build402Response(event, { amount: 40 });
+    assert.equal(resp.body.price, 10 + 2 * 40);
+    assert.equal(resp.body.breakdown.tip, 40);
+    assert.equal(resp.body.accepts[0].maxAmountRequired, String(10 + 2 * 40));
+  });
+
+  it('splits a sender-chosen tip across zap tags', () => {
+    const event = makeEvent({ tags: [['zap', 'a', '', '1'], ['zap', 'b', '', '3'], ['amount', '1000']] });
+    assert.deepEqual(getRecipients(event).map(r => r.amount), [250, 750]);
+  });
+
+  it('enforces tip bounds and format', () => {
+    const withAmount = (amount) => makeEvent({ tags: [['p', 'a'], ['amount', amount]] });
+    assert.equal(checkTipAmount(withAmount(String(MAX_TIP + 1))).reason, 'invalid-amount');
+    assert.equal(checkTipAmount(withAmount(String(MIN_TIP - 1))).reason, 'invalid-amount');
+    assert.equal(checkTipAmount(withAmount('12.5')).reason, 'invalid-amount');
+    assert.equal(checkTipAmount(withAmount('-5')).reason, 'invalid-amount');
+    assert.equal(checkTipAmount(makeEvent(), 'lots').reason, 'invalid-amount');
+  });
+
   it('builds 402 response without breakdown when no p tag', () => {
     const resp = build402Response(makeEvent({ kind: 1 }));
     assert.equal(resp.body.price, 10);
     assert.equal(resp.body.breakdown, undefined);
   });
 
-  it('rejects underpaid token_transfer transactions', async () => {
+  it('rejects underpaid sBTC transfers', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => ({ ok: true, json: async () => sbtcTransferTx(1) });
+    try {
+      const result = await sbtcRail.verify(stacksPayment('0x-underpay-test-v3'), 50);
+      assert.equal(result.valid, false);
+      assert.match(result.error, /Insufficient payment/);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('rejects plain STX transfers to the relay', async () => {
     const originalFetch = globalThis.fetch;
     globalThis.fetch = async () => ({
       ok: true,
       json: async () => ({
         tx_status: 'success',
         tx_type: 'token_transfer',
-        token_transfer: {
-          recipient_address: 'SP3PME5Q8G3VJ7GAFBMNCRXJ28HFTBX74XZC70WZ7',
-          amount: '1',
-        },
+        sender_address: 'SP2SENDER',
+        token_transfer: { recipient_address: PAY_TO, amount: '1000000' },
       }),
     });
     try {
-      const result = await verifyPayment('0x-underpay-test-v3', 50);
+      const result = await sbtcRail.verify(stacksPayment('0x-stx-transfer'), 10);
       assert.equal(result.valid, false);
-      assert.match(result.error, /Insufficient payment/);
+      assert.match(result.error, /Unsupported transaction type: token_transfer/);
+      const store = new EventStore({ dbPath: null });
+      assert.equal((await depositPayment(stacksPayment('0x-stx-transfer'), null, store)).valid, false);
+      assert.equal(store.getCreditBalance('SP2SENDER'), 0);
     } finally {
       globalThis.fetch = originalFetch;
     }
@@ -184,7 +505,7 @@ describe('x402', () => {
       json: async () => ({ tx_status: 'success', tx_type: 'smart_contract' }),
     });
     try {
-      const result = await verifyPayment('0x-unknown-type-v3', 10);
+      const result = await sbtcRail.verify(stacksPayment('0x-unknown-type-v3'), 10);
       assert.equal(result.valid, false);
       assert.match(result.error, /Unsupported transaction type/);
     } finally {
@@ -193,18 +514,1040 @@ describe('x402', () => {
   });
 });
 
+describe('credits', () => {
+  const PAYER = 'a'.repeat(64);
+
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`deposits, charges and refunds (${label})`, () => {
+      const store = new EventStore(opts);
+      assert.equal(store.getCreditBalance(PAYER), 0);
+      assert.equal(store.depositCredit(PAYER, 500, '0xtx1'), 500);
+      assert.equal(store.depositCredit(PAYER, 500, '0xtx1'), null, 'tx reuse is rejected');
+      assert.deepEqual(store.chargeCredit(PAYER, 110, 'evt1'), { ok: true, balance: 390 });
+      assert.deepEqual(store.chargeCredit(PAYER, 1000, 'evt2'), { ok: false, balance: 390 });
+      assert.equal(store.refundCredit(PAYER, 110, 'evt1'), 500);
+      assert.ok(store.isUsedTx('0xtx1'));
+
+      const history = store.getCreditTransactions(PAYER);
+      assert.deepEqual(history.map(t => [t.type, t.amount, t.balance_after]), [
+        ['refund', 110, 500],
+        ['charge', -110, 390],
+        ['deposit', 500, 500],
+      ]);
+      assert.equal(history[2].tx_id, '0xtx1');
+    });
+  }
+
+  it('depositPayment credits the full amount of an overpayment', async () => {
+    const store = new EventStore({ dbPath: null });
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => ({ ok: true, json: async () => sbtcTransferTx(1000) });
+    try {
+      const result = await depositPayment(stacksPayment('0xDEPOSIT'), PAYER, store);
+      assert.deepEqual(result, {
+        valid: true, account: 'SP2SENDER', amount: 1000, balance: 1000, txId: '0xdeposit', network: 'stacks',
+      });
+      assert.equal(store.getCreditBalance(PAYER), 0, 'a txid without an intent goes to its sender, not the submitter');
+
+      const again = await depositPayment(stacksPayment('0xdeposit'), PAYER, store);
+      assert.equal(again.valid, false);
+      assert.match(again.error, /already used/);
+      const unprefixed = await depositPayment(stacksPayment('DEPOSIT'), PAYER, store);
+      assert.match(unprefixed.error, /already used/);
+
+      const bySender = await depositPayment(stacksPayment('0xother'), null, store);
+      assert.equal(bySender.account, 'SP2SENDER');
+      assert.equal(store.getCreditBalance('SP2SENDER'), 2000);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('includes credit shortfall in the 402 response', () => {
+    const resp = build402Response(makeEvent({ kind: 1 }), { balance: 4 });
+    assert.deepEqual(resp.body.credit, { balance: 4, shortfall: 6 });
+  });
+});
+
+describe('payment intents', () => {
+  const ALICE = 'a'.repeat(64);
+  const MALLORY = 'e'.repeat(64);
+
+  // Hiro API response for an sBTC transfer to the relay with a memo
+  function mockSbtcTransfer(amount, memo) {
+    return async () => ({ ok: true, json: async () => sbtcTransferTx(amount, { memo }) });
+  }
+
+  async function withHiro(mock, fn) {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = mock;
+    try {
+      await fn();
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`opens, reuses and pays intents (${label})`, () => {
+      const store = new EventStore(opts);
+      const event = makeEvent({ kind: 1 });
+      const intent = openPaymentIntent(store, event, { amount: 10, resource: '/api/events' });
+      assert.match(intent.id, /^[0-9a-f]{32}$/);
+      assert.deepEqual([intent.event_id, intent.pubkey, intent.amount, intent.status], [event.id, event.pubkey, 10, 'open']);
+      assert.equal(openPaymentIntent(store, event, { amount: 10 }).id, intent.id, 'open intent is reused');
+      assert.notEqual(openPaymentIntent(store, event, { amount: 20 }).id, intent.id, 'a new price gets a new intent');
+
+      store.depositCredit(event.pubkey, 10, '0xpaid', { eventId: event.id, intentId: intent.id });
+      assert.equal(store.markIntentPaid(intent.id, '0xpaid'), true);
+      assert.equal(store.markIntentPaid(intent.id, '0xother'), false);
+      assert.deepEqual(
+        { ...store.getUsedTx('0xpaid'), used_at: 0 },
+        { tx_id: '0xpaid', used_at: 0, event_id: event.id, intent_id: intent.id },
+      );
+      assert.equal(store.getPaymentIntent(intent.id).tx_id, '0xpaid');
+
+      store.reverseDeposit('0xpaid');
+      assert.equal(store.getPaymentIntent(intent.id).status, 'open', 'a reversed payment reopens its intent');
+    });
+  }
+
+  it('puts the intent in the 402 response and the sBTC memo', () => {
+    const store = new EventStore({ dbPath: null });
+    const event = makeEvent({ kind: 1 });
+    const intent = openPaymentIntent(store, event, { amount: 10 });
+    const resp = build402Response(event, { intent });
+    assert.deepEqual(resp.body.intent, {
+      id: intent.id, event_id: event.id, amount: 10, expires_at: intent.expires_at,
+    });
+    assert.equal(resp.body.accepts[0].extra.memo, intent.id);
+    assert.equal(build402Response(event).body.accepts[0].extra.memo, undefined);
+  });
+
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`binds a subscription 402 to the subscriber's pubkey (${label})`, async () => {
+      const store = new EventStore(opts);
+      const intent = openPaymentIntent(store, { pubkey: ALICE }, { amount: 1000 });
+      assert.equal(openPaymentIntent(store, { pubkey: ALICE }, { amount: 1000 }).id, intent.id);
+      const resp = buildSubscription402('starter', { intent });
+      assert.equal(resp.body.intent.id, intent.id);
+      assert.equal(resp.body.accepts[0].extra.memo, intent.id);
+
+      await withHiro(mockSbtcTransfer(1000, intent.id), async () => {
+        const deposit = await depositPayment(stacksPayment('0xplan'), MALLORY, store);
+        assert.deepEqual([deposit.account, deposit.intent.matched], [ALICE, false]);
+        assert.equal(store.getCreditBalance(ALICE), 1000);
+      });
+    });
+  }
+
+  it('pays for the intent\'s event and credits its author, whoever submits it', async () => {
+    const store = new EventStore({ dbPath: null });
+    const event = makeEvent({ kind: 1 });
+    const intent = openPaymentIntent(store, event, { amount: 10 });
+
+    await withHiro(mockSbtcTransfer(10, intent.id), async () => {
+      const deposit = await depositPayment(stacksPayment('0xbound'), MALLORY, store, { eventId: event.id });
+      assert.equal(deposit.account, event.pubkey);
+      assert.deepEqual(deposit.intent, { id: intent.id, event_id: event.id, matched: true });
+      assert.equal(store.getCreditBalance(MALLORY), 0);
+      assert.equal(store.getCreditBalance(event.pubkey), 10);
+      assert.equal(store.getPaymentIntent(intent.id).status, 'paid');
+      assert.equal(store.getUsedTx('0xbound').event_id, event.id);
+    });
+  });
+
+  it('ignores an STX transfer whose memo names an intent', async () => {
+    const store = new EventStore({ dbPath: null });
+    const intent = openPaymentIntent(store, { pubkey: ALICE }, { amount: 1000 });
+    const stxTransfer = async () => ({
+      ok: true,
+      json: async () => ({
+        tx_status: 'success',
+        tx_type: 'token_transfer',
+        sender_address: 'SP2SENDER',
+        token_transfer: {
+          recipient_address: PAY_TO, amount: '1000', memo: `0x${Buffer.from(intent.id).toString('hex')}`,
+        },
+      }),
+    });
+
+    await withHiro(stxTransfer, async () => {
+      const deposit = await depositPayment(stacksPayment('0xstxmemo'), MALLORY, store);
+      assert.equal(deposit.valid, false);
+      assert.equal(store.getCreditBalance(ALICE), 0);
+      assert.equal(store.getPaymentIntent(intent.id).status, 'open');
+    });
+  });
+
+  it('turns payments for another event or an expired intent into credit', async () => {
+    const store = new EventStore({ dbPath: null });
+    const event = makeEvent({ kind: 1 });
+    const intent = openPaymentIntent(store, event, { amount: 10 });
+    const other = makeEvent({ id: 'other-event', content: 'other' });
+
+    await withHiro(mockSbtcTransfer(10, intent.id), async () => {
+      const deposit = await depositPayment(stacksPayment('0xelsewhere'), other.pubkey, store, { eventId: other.id });
+      assert.equal(deposit.intent.matched, false);
+      assert.equal(store.getPaymentIntent(intent.id).status, 'open');
+      assert.deepEqual(
+        [store.getUsedTx('0xelsewhere').event_id, store.getUsedTx('0xelsewhere').intent_id],
+        [null, intent.id],
+      );
+
+      store._updateIntent(intent.id, { expires_at: 1 });
+      const late = await depositPayment(stacksPayment('0xlate'), event.pubkey, store, { eventId: event.id });
+      assert.equal(late.intent.matched, false);
+      assert.equal(store.getCreditBalance(event.pubkey), 20);
+    });
+
+    await withHiro(mockSbtcTransfer(10, null), async () => {
+      const plain = await depositPayment(stacksPayment('0xplain'), ALICE, store, { eventId: event.id });
+      assert.equal(plain.intent, undefined);
+      assert.equal(plain.account, 'SP2SENDER');
+      assert.equal(store.getCreditBalance(ALICE), 0);
+      assert.equal(store.getUsedTx('0xplain').event_id, event.id);
+    });
+  });
+});
+
+/**
+ * Local stand-in for a Lightning node's REST API (LND or clnrest routes).
+ * `pay(hash, sats)` settles an invoice and returns its preimage.
+ */
+async function startMockLightning() {
+  const invoices = new Map(); // payment hash → { preimage, value, paid }
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const payload = body ? JSON.parse(body) : {};
+    const send = (status, data) => { res.writeHead(status, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(data)); };
+    const create = (value, memo) => {
+      const preimage = randomBytes(32);
+      const hash = createHash('sha256').update(preimage).digest('hex');
+      invoices.set(hash, { preimage: preimage.toString('hex'), value, memo, paid: 0 });
+      return hash;
+    };
+
+    if (req.method === 'POST' && req.url === '/v1/invoices') {
+      const hash = create(Number(payload.value), payload.memo);
+      return send(200, { r_hash: Buffer.from(hash, 'hex').toString('base64'), payment_request: `lnbc${payload.value}n1${hash.slice(0, 8)}` });
+    }
+    if (req.method === 'GET' && req.url.startsWith('/v1/invoice/')) {
+      const invoice = invoices.get(req.url.slice('/v1/invoice/'.length));
+      if (!invoice) return send(404, { message: 'unable to locate invoice' });
+      return send(200, { state: invoice.paid ? 'SETTLED' : 'OPEN', amt_paid_sat: String(invoice.paid), memo: invoice.memo });
+    }
+    if (req.method === 'POST' && req.url === '/v1/invoice') {
+      const hash = create(payload.amount_msat / 1000, payload.description);
+      return send(200, { bolt11: `lnbc${hash.slice(0, 8)}`, payment_hash: hash });
+    }
+    if (req.method === 'POST' && req.url === '/v1/listinvoices') {
+      const invoice = invoices.get(payload.payment_hash);
+      return send(200, {
+        invoices: invoice ? [{
+          status: invoice.paid ? 'paid' : 'unpaid', amount_received_msat: invoice.paid * 1000, description: invoice.memo,
+        }] : [],
+      });
+    }
+    send(404, {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    get created() { return invoices.size; },
+    pay(hash, sats) {
+      const invoice = invoices.get(hash);
+      invoice.paid = sats ?? invoice.value;
+      return invoice.preimage;
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+describe('payment rails', () => {
+  const PAYER = 'b'.repeat(64);
+  const LN = { networks: ['lightning'] }; // client asks for the Lightning option
+
+  async function withLightning(backendFor, fn) {
+    const node = await startMockLightning();
+    const previous = getRails();
+    setRails([sbtcRail, createLightningRail(backendFor(node.url))]);
+    try {
+      await fn(node);
+    } finally {
+      setRails(previous);
+      await node.close();
+    }
+  }
+
+  it('advertises every enabled rail in the 402 accepts list', async () => {
+    await withLightning(url => createLndBackend({ url }), async () => {
+      const resp = await withAccepts(build402Response(makeEvent({ kind: 1, tags: [['p', 'a']] })), LN);
+      assert.equal(resp.body.x402Version, 1);
+      const [sbtc, lightning] = resp.body.accepts;
+      assert.equal(sbtc.scheme, 'exact');
+      assert.equal(sbtc.network, 'stacks');
+      assert.equal(sbtc.asset, 'SM3VDXK3WZZSA84XXFKAFAF15NNZX32CTSG82JFQ4.sbtc-token');
+      assert.equal(sbtc.maxTimeoutSeconds, 600);
+      assert.equal(sbtc.maxAmountRequired, String(10 + RECIPIENT_AMOUNT));
+      assert.equal(lightning.network, 'lightning');
+      assert.equal(lightning.maxAmountRequired, sbtc.maxAmountRequired);
+      assert.match(lightning.extra.invoice, /^lnbc110n1/);
+      assert.match(lightning.extra.paymentHash, /^[0-9a-f]{64}$/);
+      assert.equal(lightning.payTo, lightning.extra.invoice);
+    });
+  });
+
+  it('issues invoices only on request, one per payment intent', async () => {
+    await withLightning(url => createLndBackend({ url }), async (node) => {
+      const store = new EventStore({ dbPath: null });
+      const event = makeEvent({ kind: 1 });
+      const intent = openPaymentIntent(store, event, { amount: 10 });
+
+      for (let i = 0; i < 3; i++) {
+        const resp = await withAccepts(build402Response(event, { intent }));
+        assert.deepEqual(resp.body.accepts.map(a => a.network), ['stacks']);
+      }
+      assert.equal(node.created, 0);
+
+      const first = await withAccepts(build402Response(event, { intent }), LN);
+      const again = await withAccepts(build402Response(event, { intent }), LN);
+      assert.equal(again.body.accepts[1].extra.invoice, first.body.accepts[1].extra.invoice);
+      assert.equal(node.created, 1);
+
+      const other = openPaymentIntent(store, makeEvent({ id: 'other', kind: 1 }), { amount: 10 });
+      await withAccepts(build402Response(event, { intent: other }), LN);
+      assert.equal(node.created, 2);
+    });
+  });
+
+  it('accepts a settled invoice preimage once', async () => {
+    await withLightning(url => createLndBackend({ url }), async (node) => {
+      const store = new EventStore({ dbPath: ':memory:' });
+      const resp = await withAccepts(buildSubscription402('starter'), LN);
+      const { paymentHash } = resp.body.accepts[1].extra;
+
+      const proof = lightningPayment(node.pay(paymentHash));
+      const deposit = await depositPayment(proof, PAYER, store);
+      assert.deepEqual([deposit.valid, deposit.txId, deposit.network, deposit.amount], [true, `ln:${paymentHash}`, 'lightning', 1000]);
+      assert.ok(store.isUsedTx(`ln:${paymentHash}`));
+
+      const replay = await depositPayment(proof, PAYER, store);
+      assert.equal(replay.valid, false);
+      assert.match(replay.error, /already used/);
+    });
+  });
+
+  it('rejects unpaid, underpaid and unknown preimages', async () => {
+    await withLightning(url => createLndBackend({ url }), async (node) => {
+      const resp = await withAccepts(buildSubscription402('starter'), LN);
+      const { paymentHash } = resp.body.accepts[1].extra;
+      const preimage = node.pay(paymentHash, 0);
+      const rail = getRailForNetwork('lightning');
+
+      assert.match((await rail.verify(lightningPayment(preimage), 1000)).error, /not settled/);
+      node.pay(paymentHash, 999);
+      assert.match((await rail.verify(lightningPayment(preimage), 1000)).error, /Insufficient payment/);
+      assert.match((await rail.verify(lightningPayment('f'.repeat(64)), 1)).error, /Verification failed/);
+      assert.match((await rail.verify(lightningPayment('nope'), 1)).error, /32-byte hex/);
+    });
+  });
+
+  it('credits Lightning deposits to the given pubkey (cln)', async () => {
+    await withLightning(url => createClnBackend({ url, rune: 'test' }), async (node) => {
+      const store = new EventStore({ dbPath: null });
+      const resp = await withAccepts(build402Response(makeEvent({ kind: 1 })), LN);
+      const preimage = node.pay(resp.body.accepts[1].extra.paymentHash, 250);
+
+      const noAccount = await depositPayment(lightningPayment(preimage), null, store);
+      assert.match(noAccount.error, /No account/);
+      const deposit = await depositPayment(lightningPayment(preimage), PAYER, store);
+      assert.equal(deposit.valid, true);
+      assert.deepEqual([deposit.account, deposit.amount, deposit.balance], [PAYER, 250, 250]);
+    });
+  });
+
+  it('binds an invoice issued for a payment intent to it (cln)', async () => {
+    await withLightning(url => createClnBackend({ url, rune: 'test' }), async (node) => {
+      const store = new EventStore({ dbPath: null });
+      const event = makeEvent({ kind: 1 });
+      const intent = openPaymentIntent(store, event, { amount: 10 });
+      const resp = await withAccepts(build402Response(event, { intent }), LN);
+      assert.equal(resp.body.accepts[1].extra.intent, intent.id);
+
+      const preimage = node.pay(resp.body.accepts[1].extra.paymentHash);
+      const deposit = await depositPayment(lightningPayment(preimage), PAYER, store, { eventId: event.id });
+      assert.deepEqual([deposit.account, deposit.intent.matched], [event.pubkey, true]);
+    });
+  });
+
+  it('leaves out a rail whose node is unreachable', async () => {
+    const previous = getRails();
+    setRails([sbtcRail, createLightningRail(createLndBackend({ url: 'http://127.0.0.1:1' }))]);
+    try {
+      const resp = await withAccepts(build402Response(makeEvent({ kind: 1 })), LN);
+      assert.deepEqual(resp.body.accepts.map(a => a.network), ['stacks']);
+    } finally {
+      setRails(previous);
+    }
+  });
+
+  it('rejects proofs for rails that are not enabled', async () => {
+    const previous = getRails();
+    setRails([sbtcRail]);
+    try {
+      const result = await depositPayment(lightningPayment('a'.repeat(64)), PAYER, new EventStore({ dbPath: null }));
+      assert.match(result.error, /not enabled/);
+    } finally {
+      setRails(previous);
+    }
+  });
+
+  it('decodes and schema-checks base64 X-PAYMENT headers', async () => {
+    const header = (payment) => ({ 'x-payment': encodePayment(payment) });
+    const txId = `0x${'ab'.repeat(32)}`;
+    assert.deepEqual(extractPayment(header(stacksPayment(txId))), { valid: true, payment: stacksPayment(txId) });
+    assert.equal(extractPayment({}), null);
+
+    const invalid = [
+      [{ 'x-payment': '0xabc' }, /base64-encoded JSON/],
+      [{ 'x-payment': Buffer.from('[1]').toString('base64') }, /JSON object/],
+      [header({ ...stacksPayment(txId), x402Version: 2 }), /x402Version/],
+      [header({ ...stacksPayment(txId), scheme: 'upto' }), /scheme/],
+      [header({ ...stacksPayment(txId), network: 'base' }), /network/],
+      [header({ ...stacksPayment(txId), payload: null }), /payload must be an object/],
+      [header(stacksPayment('0x123')), /Stacks transaction id/],
+    ];
+    for (const [headers, error] of invalid) {
+      const result = extractPayment(headers);
+      assert.equal(result.valid, false);
+      assert.match(result.error, error);
+    }
+
+    await withLightning(url => createLndBackend({ url }), async () => {
+      assert.equal(extractPayment(header(lightningPayment('c'.repeat(64)))).valid, true);
+      assert.match(extractPayment(header(lightningPayment('c'))).error, /32-byte hex/);
+    });
+  });
+
+  it('encodes the X-PAYMENT-RESPONSE settlement header', () => {
+    const { 'X-PAYMENT-RESPONSE': header } = settlementHeader({ txId: '0xabc', network: 'stacks', account: PAYER });
+    assert.deepEqual(JSON.parse(Buffer.from(header, 'base64').toString()), {
+      success: true, transaction: '0xabc', network: 'stacks', payer: PAYER,
+    });
+  });
+});
+
+// Serialized sbtc-token transfer of 500 sats to PAY_TO, nonce 3, fee 300,
+// signed by STACKS_TEST_KEY (SP1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRCBGD7R)
+const STACKS_TEST_KEY = '753b7cc01a1a2e86221266a154af739463fce51219d97e4f856cd7200c3bd2a601';
+const FIXTURE_TRANSFER = '000000000104006d78de7b0625dfbfc16c3a8a5735f6dc3dc3f2ce0000000000000003000000000000012c' +
+  '000046a7050f358cab44383e76a8f402715053286ba6b815df60d0d463fdbed53d24176133ff2e1a0875c9c32781f207edb399a0e6915' +
+  '7da6e9fe6a0f35522f52eb90301000000000214f6decc7cfff2a413bd7cd4f53c25ad7fd1899acc0a736274632d746f6b656e0874726' +
+  '16e736665720000000401000000000000000000000000000001f405166d78de7b0625dfbfc16c3a8a5735f6dc3dc3f2ce0516ed4716e8' +
+  '80f723c14f5d2acc7642445fa5f4e4ef09';
+
+/**
+ * Serialize a signed (unbroadcast) transfer call for fixtures.
+ */
+async function signTransfer({
+  amount = 500, to = PAY_TO, contract = 'sbtc-token', sender, network = netPkg.STACKS_MAINNET, nonce = 3, memo,
+} = {}) {
+  const {
+    makeContractCall, uintCV, standardPrincipalCV, noneCV, someCV, bufferCVFromString, getAddressFromPrivateKey, PostConditionMode,
+  } = txPkg;
+  const from = sender ?? getAddressFromPrivateKey(STACKS_TEST_KEY, network);
+  const transaction = await makeContractCall({
+    contractAddress: 'SM3VDXK3WZZSA84XXFKAFAF15NNZX32CTSG82JFQ4', contractName: contract, functionName: 'transfer',
+    functionArgs: [
+      uintCV(amount), standardPrincipalCV(from), standardPrincipalCV(to), memo ? someCV(bufferCVFromString(memo)) : noneCV(),
+    ],
+    senderKey: STACKS_TEST_KEY, network, postConditionMode: PostConditionMode.Allow, nonce, fee: 300,
+  });
+  return transaction.serialize();
+}
+
+describe('facilitator', () => {
+  const PAYER = 'c'.repeat(64);
+  const STX_PAYER = 'SP1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRCBGD7R';
+  const FIXTURE_TXID = '0x2a85061e44cafbf6a2371f53c273fbd1932d77ee88ba45dc675a9db2b7b585ad';
+  const presigned = (transaction) => ({ x402Version: 1, scheme: 'exact', network: 'stacks', payload: { transaction } });
+  const requirements = (amount) => sbtcRail.requirement({ amount, description: 'test', resource: '/api/events' });
+  const DUE = 2 ** 31; // any payout not waiting on backoff is due
+
+  function fakeWallet({ broadcast = { success: true }, status = 'pending' } = {}) {
+    const wallet = {
+      broadcasts: [],
+      async broadcastTx(transaction) {
+        wallet.broadcasts.push(transaction.txid());
+        return typeof broadcast === 'function' ? broadcast() : broadcast;
+      },
+      async getTxStatus() { return status; },
+    };
+    return wallet;
+  }
+
+  it('decodes a serialized fixture transfer', async () => {
+    const transfer = decodeTransfer(FIXTURE_TRANSFER);
+    assert.equal(transfer.txId, FIXTURE_TXID);
+    assert.equal(transfer.payer, STX_PAYER);
+    assert.equal(transfer.sender, STX_PAYER);
+    assert.equal(transfer.recipient, PAY_TO);
+    assert.equal(transfer.asset, 'SM3VDXK3WZZSA84XXFKAFAF15NNZX32CTSG82JFQ4.sbtc-token');
+    assert.equal(transfer.amount, 500n);
+    assert.equal(transfer.memo, null);
+    assert.equal(decodeTransfer(await signTransfer({ memo: 'b'.repeat(32) })).memo, 'b'.repeat(32));
+  });
+
+  it('verifies a transfer against the payment requirements', async () => {
+    assert.deepEqual(facilitatorVerify(presigned(FIXTURE_TRANSFER), requirements(500)), {
+      isValid: true, payer: STX_PAYER, txId: FIXTURE_TXID, amount: 500, memo: null,
+    });
+    assert.equal(await signTransfer(), FIXTURE_TRANSFER, 'fixture helper reproduces the pinned tx');
+
+    const cases = [
+      [presigned(FIXTURE_TRANSFER), requirements(501), 'insufficient_amount'],
+      [{ ...presigned(FIXTURE_TRANSFER), network: 'lightning' }, requirements(1), 'network_mismatch'],
+      [presigned(await signTransfer({ to: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7' })), requirements(1), 'recipient_mismatch'],
+      [presigned(await signTransfer({ contract: 'fake-sbtc' })), requirements(1), 'asset_mismatch'],
+      [presigned(await signTransfer({ sender: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7' })), requirements(1), 'sender_mismatch'],
+      [presigned(await signTransfer({ network: netPkg.STACKS_TESTNET })), requirements(1), /not a mainnet transaction/],
+      // Amount bumped from 500 to 1000 after signing
+      [presigned(FIXTURE_TRANSFER.replace('01f405', '03e805')), requirements(1), /Signer hash/],
+      [presigned('00ff'), requirements(1), /invalid_transaction/],
+    ];
+    for (const [payment, reqs, reason] of cases) {
+      const result = facilitatorVerify(payment, reqs);
+      assert.equal(result.isValid, false);
+      if (typeof reason === 'string') assert.equal(result.invalidReason, reason);
+      else assert.match(result.invalidReason, reason);
+    }
+  });
+
+  it('settles once after mempool acceptance', async () => {
+    const store = new EventStore({ dbPath: ':memory:' });
+    const wallet = fakeWallet();
+    const result = await settle(presigned(FIXTURE_TRANSFER), requirements(500), { store, account: PAYER, wallet, mode: 'mempool' });
+    assert.deepEqual(result, { success: true, transaction: FIXTURE_TXID, network: 'stacks', payer: STX_PAYER, status: 'broadcast' });
+    assert.equal(wallet.broadcasts.length, 1);
+    const settlement = store.getSettlement(FIXTURE_TXID);
+    assert.deepEqual([settlement.status, settlement.account, settlement.amount, settlement.mode], ['broadcast', PAYER, 500, 'mempool']);
+
+    const again = await settle(presigned(FIXTURE_TRANSFER), requirements(500), { store, wallet, mode: 'mempool' });
+    assert.equal(again.errorReason, 'transaction_already_used');
+    assert.equal(facilitatorVerify(presigned(FIXTURE_TRANSFER), requirements(500), { store }).invalidReason, 'transaction_already_used');
+    assert.equal(wallet.broadcasts.length, 1);
+  });
+
+  it('reverses the credit of a rejected broadcast', async () => {
+    for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+      const store = new EventStore(opts);
+      store.depositCredit(PAYER, 500, FIXTURE_TXID);
+      const wallet = fakeWallet({ broadcast: { success: false, error: 'transaction rejected', reason: 'BadNonce' } });
+      const result = await settle(presigned(FIXTURE_TRANSFER), requirements(500), { store, account: PAYER, wallet, mode: 'mempool' });
+      assert.match(result.errorReason, /broadcast_rejected/, label);
+      assert.equal(store.getSettlement(FIXTURE_TXID).status, 'failed', label);
+      assert.equal(store.getCreditBalance(PAYER), 0, label);
+      assert.equal(store.reverseDeposit(FIXTURE_TXID), null, `${label}: reversed only once`);
+    }
+  });
+
+  it('accepts optimistically and tracks the tx until it settles', async () => {
+    const store = new EventStore({ dbPath: ':memory:' });
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    const wallet = fakeWallet({ broadcast: () => pending });
+    const result = await settle(presigned(FIXTURE_TRANSFER), requirements(500), { store, account: PAYER, wallet, mode: 'optimistic' });
+    assert.equal(result.status, 'pending');
+    assert.equal(store.getSettlement(FIXTURE_TXID).status, 'pending');
+    store.depositCredit(PAYER, 500, FIXTURE_TXID);
+    const payout = store.recordPayout('aa'.repeat(32), 100, 'evt-1', null, 'queued', PAYER);
+    assert.deepEqual(store.getDuePayouts(DUE), []);
+
+    release({ success: true });
+    await pending;
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(store.getSettlement(FIXTURE_TXID).status, 'broadcast');
+
+    await checkSettlements(store, fakeWallet({ status: 'pending' }));
+    assert.equal(store.getSettlement(FIXTURE_TXID).status, 'broadcast');
+    assert.deepEqual(store.getDuePayouts(DUE), []);
+    await checkSettlements(store, fakeWallet({ status: 'success' }));
+    const settlement = store.getSettlement(FIXTURE_TXID);
+    assert.equal(settlement.status, 'confirmed');
+    assert.ok(settlement.confirmed_at);
+    assert.equal(store.getCreditBalance(PAYER), 500);
+    assert.deepEqual(store.getDuePayouts(DUE).map(p => p.id), [payout]);
+  });
+
+  it('reverses the credit of a tx that fails on chain', async () => {
+    const store = new EventStore({ dbPath: null });
+    store.depositCredit(PAYER, 500, FIXTURE_TXID);
+    await settle(presigned(FIXTURE_TRANSFER), requirements(500), { store, account: PAYER, wallet: fakeWallet(), mode: 'mempool' });
+    await checkSettlements(store, fakeWallet({ status: 'abort_by_response' }));
+    assert.equal(store.getSettlement(FIXTURE_TXID).status, 'failed');
+    assert.equal(store.getCreditBalance(PAYER), 0);
+    assert.deepEqual(store.getCreditTransactions(PAYER).map(t => t.type), ['reversal', 'deposit']);
+  });
+
+  it('holds payouts funded by unsettled credit and cancels them if it fails', async () => {
+    const store = new EventStore({ dbPath: ':memory:' });
+    const unrelated = store.recordPayout('ee'.repeat(32), 100, 'evt-0', null, 'queued', 'd'.repeat(64));
+    store.depositCredit(PAYER, 300, '0xearlier');
+    await settle(presigned(FIXTURE_TRANSFER), requirements(500), { store, account: PAYER, wallet: fakeWallet(), mode: 'mempool' });
+    store.depositCredit(PAYER, 500, FIXTURE_TXID);
+    store.chargeCredit(PAYER, 200, 'evt-1');
+    const first = store.recordPayout('aa'.repeat(32), 200, 'evt-1', null, 'queued', PAYER);
+    store.chargeCredit(PAYER, 600, 'evt-2');
+    const tips = [
+      store.recordPayout('aa'.repeat(32), 300, 'evt-2', null, 'queued', PAYER),
+      store.recordPayout('bb'.repeat(32), 300, 'evt-2', null, 'queued', PAYER),
+    ];
+    assert.deepEqual(store.getDuePayouts(DUE).map(p => p.id), [unrelated]);
+
+    // The reversal leaves -500: the newest payouts are cancelled and refunded
+    await checkSettlements(store, fakeWallet({ status: 'abort_by_response' }));
+    assert.ok(tips.every(id => store.getPayout(id).status === 'cancelled'));
+    assert.match(store.getPayout(tips[0]).last_error, /failed to settle/);
+    assert.equal(store.getCreditBalance(PAYER), 100);
+    assert.deepEqual(store.getDuePayouts(DUE).map(p => p.id), [unrelated, first]);
+  });
+
+  it('credits a pre-signed payment through the sBTC rail', async () => {
+    const store = new EventStore({ dbPath: ':memory:' });
+    const short = await depositPayment(presigned(FIXTURE_TRANSFER), PAYER, store, { minimum: 600 });
+    assert.match(short.error, /insufficient_amount/);
+    assert.equal(store.getCreditBalance(PAYER), 0);
+
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => ({ ok: true, text: async () => `"${FIXTURE_TXID.slice(2)}"` });
+    try {
+      const deposit = await depositPayment(presigned(FIXTURE_TRANSFER), PAYER, store, { minimum: 500 });
+      assert.equal(deposit.valid, true);
+      assert.deepEqual([deposit.amount, deposit.balance, deposit.txId, deposit.settlement], [500, 500, FIXTURE_TXID, 'broadcast']);
+      assert.equal(store.getSettlement(FIXTURE_TXID).account, PAYER);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+    const { valid, error } = extractPayment({ 'x-payment': encodePayment(presigned('zz')) });
+    assert.equal(valid, false);
+    assert.match(error, /hex-serialized/);
+  });
+});
+
+describe('finality and receipts', () => {
+  const PAYER = 'd'.repeat(64);
+  const FINALITY = { finality: { confirmations: 1, tiers: [{ minAmount: 1000, confirmations: 3, burnDepth: 1 }] } };
+
+  // Hiro API: one sBTC transfer of `amount` mined at `block` (null = mempool)
+  function mockChain(state) {
+    return async (url) => ({
+      ok: true,
+      json: async () => url.endsWith('/v2/info')
+        ? { stacks_tip_height: state.tip, burn_block_height: state.burnTip }
+        : sbtcTransferTx(state.amount, {
+          memo: state.memo,
+          tx_status: state.block == null ? 'pending' : state.status ?? 'success',
+          block_height: state.block ?? undefined,
+          burn_block_height: state.burnBlock ?? undefined,
+        }),
+    });
+  }
+
+  async function withChain(state, fn) {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = mockChain(state);
+    setPolicy(FINALITY);
+    try {
+      await fn();
+    } finally {
+      globalThis.fetch = originalFetch;
+      setPolicy({});
+    }
+  }
+
+  it('reports mempool and shallow txs as pending', async () => {
+    const state = { amount: 10, block: null, tip: 100, burnTip: 800 };
+    await withChain(state, async () => {
+      const store = new EventStore({ dbPath: null });
+      const mempool = await depositPayment(stacksPayment('0xfinal'), PAYER, store);
+      assert.deepEqual([mempool.valid, mempool.pending, mempool.txId], [false, true, '0xfinal']);
+
+      state.block = 101;
+      assert.match((await depositPayment(stacksPayment('0xfinal'), PAYER, store)).error, /1 confirmations \(have 0\)/);
+      state.block = 100;
+      assert.equal((await depositPayment(stacksPayment('0xfinal'), PAYER, store)).valid, true);
+    });
+  });
+
+  it('makes larger payments wait for their tier', async () => {
+    const state = { amount: 5000, block: 99, burnBlock: 800, tip: 100, burnTip: 800 };
+    await withChain(state, async () => {
+      const store = new EventStore({ dbPath: null });
+      assert.match((await depositPayment(stacksPayment('0xbig'), PAYER, store)).error, /3 confirmations \(have 2\)/);
+      state.tip = 101;
+      assert.equal((await depositPayment(stacksPayment('0xbig'), PAYER, store)).valid, true);
+    });
+    state.burnBlock = null;
+    await withChain(state, async () => {
+      const result = await depositPayment(stacksPayment('0xanchor'), PAYER, new EventStore({ dbPath: null }));
+      assert.match(result.error, /1 Bitcoin blocks \(have 0\)/);
+    });
+  });
+
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`publishes a pending event once its payment is final (${label})`, async () => {
+      const state = { amount: 10, block: null, tip: 100, burnTip: 800 };
+      const store = new EventStore(opts);
+      const event = makeEvent({ kind: 1 });
+      const published = [];
+      const publish = async (ev, { amount }) => {
+        published.push([ev.id, amount]);
+        const charge = store.chargeCredit(ev.pubkey, 10, ev.id);
+        return { ok: charge.ok, added: true, price: 10, balance: charge.balance };
+      };
+
+      state.memo = openPaymentIntent(store, event, { amount: 10 }).id;
+      await withChain(state, async () => {
+        const receipt = openReceipt(store, {
+          payment: stacksPayment('0xwait'), txId: '0xwait', account: event.pubkey, event, amount: 5, minimum: 10,
+        });
+        const again = openReceipt(store, {
+          payment: stacksPayment('0xwait'), txId: '0xwait', account: event.pubkey, event, amount: 5, minimum: 10,
+        });
+        assert.equal(again.id, receipt.id, 'the same request gets its pending receipt back');
+        const frontRun = { ...event, id: 'f'.repeat(64), pubkey: 'e'.repeat(64) };
+        assert.equal(openReceipt(store, {
+          payment: stacksPayment('0xwait'), txId: '0xwait', account: frontRun.pubkey, event: frontRun, minimum: 10,
+        }), null, 'another request for the same tx is refused');
+        assert.equal(openReceipt(store, { payment: stacksPayment('0xwait'), txId: '0xwait', account: event.pubkey }), null);
+        assert.equal(store.getPendingReceipts().length, 1);
+
+        await checkReceipts(store, { publish });
+        assert.equal(store.getReceipt(receipt.id).status, 'pending');
+        assert.match(store.getReceipt(receipt.id).reason, /mempool/);
+        assert.deepEqual(published, []);
+
+        state.block = 100;
+        await checkReceipts(store, { publish });
+        assert.equal(store.getReceipt(receipt.id).status, 'published');
+        assert.deepEqual(published, [[event.id, 5]]);
+        assert.equal(store.getCreditBalance(event.pubkey), 0);
+        assert.deepEqual(store.getPendingReceipts(), []);
+      });
+    });
+  }
+
+  it('buys the plan of a pending subscription once its payment is final', async () => {
+    const state = { amount: 10, block: null, tip: 100, burnTip: 800 };
+    const store = new EventStore({ dbPath: ':memory:' });
+    const publish = async () => assert.fail('nothing is published');
+    const subscribe = (pubkey, plan) => {
+      const purchase = store.purchaseSubscription(pubkey, { plan, price: 10, quota: 5, period: 86400 });
+      return { ...purchase, price: 10 };
+    };
+    state.memo = openPaymentIntent(store, { pubkey: PAYER }, { amount: 10 }).id;
+    await withChain(state, async () => {
+      const receipt = openReceipt(store, {
+        payment: stacksPayment('0xplan'), txId: '0xplan', account: PAYER, plan: 'starter', minimum: 10,
+      });
+      await checkReceipts(store, { publish, subscribe });
+      assert.equal(store.getReceipt(receipt.id).status, 'pending');
+
+      state.block = 100;
+      await checkReceipts(store, { publish, subscribe });
+      assert.equal(store.getReceipt(receipt.id).status, 'subscribed');
+      assert.equal(store.getActiveSubscription(PAYER).plan, 'starter');
+      assert.equal(store.getCreditBalance(PAYER), 0);
+    });
+  });
+
+  it('publishes an unauthenticated pending event only if its own payment covers it', async () => {
+    const state = { amount: 10, block: 100, tip: 100, burnTip: 800 };
+    const store = new EventStore({ dbPath: null });
+    const event = makeEvent({ kind: 1 });
+    store.depositCredit(event.pubkey, 100, '0xearlier');
+    const publish = async () => assert.fail('the earlier credit is not spent');
+    state.memo = openPaymentIntent(store, event, { amount: 10 }).id;
+    await withChain(state, async () => {
+      const receipt = openReceipt(store, {
+        payment: stacksPayment('0xshort'), txId: '0xshort', account: event.pubkey, event, minimum: 20, useCredit: false,
+      });
+      await checkReceipts(store, { publish });
+      assert.equal(store.getReceipt(receipt.id).status, 'dropped');
+      assert.match(store.getReceipt(receipt.id).reason, /not authenticated/);
+      assert.equal(store.getCreditBalance(event.pubkey), 110);
+    });
+  });
+
+  it('drops receipts whose payment fails or never becomes final', async () => {
+    const state = { amount: 10, block: null, tip: 100, burnTip: 800 };
+    const store = new EventStore({ dbPath: null });
+    const publish = async () => assert.fail('nothing is published');
+    await withChain(state, async () => {
+      const stale = openReceipt(store, { payment: stacksPayment('0xstale'), txId: '0xstale', account: PAYER });
+      await checkReceipts(store, { publish, timeout: 0 });
+      assert.equal(store.getReceipt(stale.id).status, 'dropped');
+      assert.match(store.getReceipt(stale.id).reason, /Timed out waiting for finality/);
+
+      const aborted = openReceipt(store, { payment: stacksPayment('0xaborted'), txId: '0xaborted', account: PAYER });
+      Object.assign(state, { block: 100, status: 'abort_by_response' });
+      await checkReceipts(store, { publish });
+      assert.deepEqual([store.getReceipt(aborted.id).status, store.getReceipt(aborted.id).reason],
+        ['dropped', 'Transaction status: abort_by_response']);
+    });
+
+    delete state.status;
+    await withChain(state, async () => {
+      const topUp = openReceipt(store, { payment: stacksPayment('0xtopup'), txId: '0xtopup', account: PAYER });
+      await checkReceipts(store, { publish });
+      assert.equal(store.getReceipt(topUp.id).status, 'credited');
+      assert.equal(store.getCreditBalance('SP2SENDER'), 10);
+    });
+  });
+});
+
+describe('limits', () => {
+  it('refills token buckets evenly over a minute', () => {
+    const buckets = new TokenBuckets(2);
+    assert.equal(buckets.take('a', 0), 0);
+    assert.equal(buckets.take('a', 0), 0);
+    assert.equal(buckets.take('a', 0), 30);
+    assert.equal(buckets.take('b', 0), 0);
+    assert.equal(buckets.take('a', 30000), 0);
+    assert.equal(new TokenBuckets(0).take('a'), 0);
+  });
+
+  it('caps payment verifications in flight', async () => {
+    const limiter = new Limiter({ maxConcurrentVerifications: 1 });
+    let release;
+    const first = limiter.verify(() => new Promise(r => { release = r; }));
+    assert.equal(await limiter.verify(async () => 'second'), null);
+    release('first');
+    assert.equal(await first, 'first');
+    assert.equal(await limiter.verify(async () => 'third'), 'third');
+  });
+
+  it('takes the client IP from the hop the trusted proxy added', () => {
+    const req = (headers) => ({ headers, socket: { remoteAddress: '10.0.0.1' } });
+    const spoofed = req({ 'x-forwarded-for': '1.2.3.4, 203.0.113.7' });
+    assert.equal(clientIp(spoofed), '10.0.0.1');
+    assert.equal(clientIp(spoofed, { trustProxy: true }), '203.0.113.7');
+    assert.equal(clientIp(req({ ...spoofed.headers, 'fly-client-ip': '198.51.100.2' }), { trustProxy: true }), '198.51.100.2');
+    assert.equal(clientIp(req({}), { trustProxy: true }), '10.0.0.1');
+  });
+});
+
 describe('Relay', () => {
-  it('rejects EVENT writes over websocket', () => {
-    const store = new EventStore();
-    const relay = new Relay({ store });
-    const ws = { sent: [], readyState: 1, send(msg) { this.sent.push(msg); } };
+  const mockWs = () => ({ sent: [], readyState: 1, send(msg) { this.sent.push(msg); } });
+  const last = (ws) => JSON.parse(ws.sent[ws.sent.length - 1]);
+
+  function setup(opts = {}) {
+    const store = new EventStore({ dbPath: null });
+    const relay = new Relay({ store, ...opts });
+    const ws = mockWs();
     relay.subscriptions.set(ws, new Map());
-    relay._handleMessage(ws, ['EVENT', makeEvent()]);
+    relay._startAuth(ws);
+    const challenge = JSON.parse(ws.sent[0])[1];
+    return { store, relay, ws, challenge };
+  }
+
+  const authEvent = (challenge, extraTags = []) => signEvent({
+    kind: 22242,
+    created_at: Math.floor(Date.now() / 1000),
+    content: '',
+    tags: [['relay', 'wss://relay.example.com'], ['challenge', challenge], ...extraTags],
+  });
+
+  it('sends an AUTH challenge on connect', () => {
+    const { ws, challenge } = setup();
+    assert.equal(JSON.parse(ws.sent[0])[0], 'AUTH');
+    assert.match(challenge, /^[0-9a-f]{32}$/);
+  });
+
+  it('rejects unauthenticated EVENT writes with x402 details', async () => {
+    const { store, relay, ws } = setup();
+    const event = await signEvent();
+    await relay._handleMessage(ws, ['EVENT', event]);
     assert.equal(store.size, 0);
-    assert.deepEqual(
-      JSON.parse(ws.sent[0]),
-      ['OK', 'abc123def456', false, 'payment-required: publish via HTTP POST /api/events']
-    );
+    const [type, id, ok, message] = last(ws);
+    assert.deepEqual([type, id, ok], ['OK', event.id, false]);
+    assert.match(message, /^payment-required: /);
+    const details = JSON.parse(message.slice(message.indexOf('x402=') + 5));
+    assert.equal(details.x402Version, 1);
+    assert.equal(details.accepts[0].maxAmountRequired, '10');
+  });
+
+  it('rejects invalid events before anything else', async () => {
+    const { relay, ws } = setup();
+    await relay._handleMessage(ws, ['EVENT', makeEvent()]);
+    assert.deepEqual(last(ws).slice(0, 3), ['OK', 'abc123def456', false]);
+    assert.match(last(ws)[3], /^invalid: /);
+  });
+
+  it('rejects EVENTs with an out-of-bounds tip', async () => {
+    const { store, relay, ws } = setup();
+    const event = await signEvent({ tags: [['p', 'a'.repeat(64)], ['amount', 'lots']] });
+    await relay._handleMessage(ws, ['EVENT', event]);
+    assert.equal(store.size, 0);
+    assert.deepEqual(last(ws).slice(0, 3), ['OK', event.id, false]);
+    assert.match(last(ws)[3], /^invalid: amount/);
+  });
+
+  it('accepts a valid AUTH and rejects a wrong challenge', async () => {
+    const { relay, ws, challenge } = setup({ relayUrl: 'wss://relay.example.com/' });
+    await relay._handleMessage(ws, ['AUTH', await authEvent('nope')]);
+    assert.equal(last(ws)[2], false);
+    assert.match(last(ws)[3], /challenge mismatch/);
+
+    const auth = await authEvent(challenge);
+    await relay._handleMessage(ws, ['AUTH', auth]);
+    assert.deepEqual(last(ws), ['OK', auth.id, true, '']);
+    assert.ok(relay.auth.get(ws).pubkeys.has(auth.pubkey));
+  });
+
+  it('rejects AUTH for another relay URL', async () => {
+    const { relay, ws, challenge } = setup({ relayUrl: 'wss://other.example.com' });
+    await relay._handleMessage(ws, ['AUTH', await authEvent(challenge)]);
+    assert.match(last(ws)[3], /relay url mismatch/);
+  });
+
+  it('answers COUNT with the number of matching events', async () => {
+    const { store, relay, ws } = setup();
+    store.add(makeEvent({ id: '1'.repeat(64), kind: 1 }));
+    store.add(makeEvent({ id: '2'.repeat(64), kind: 7 }));
+    store.add(makeEvent({ id: '3'.repeat(64), kind: 0 }));
+    relay._handleMessage(ws, ['COUNT', 'c1', { kinds: [1] }, { kinds: [7] }]);
+    assert.deepEqual(last(ws), ['COUNT', 'c1', { count: 2 }]);
+    relay._handleMessage(ws, ['COUNT', 'c2']);
+    assert.deepEqual(last(ws), ['NOTICE', 'no filters provided']);
+  });
+
+  it('closes REQ and COUNT with malformed filters instead of throwing', () => {
+    const { relay, ws } = setup();
+    const send = (msg) => relay._onMessage(ws, Buffer.from(JSON.stringify(msg)));
+    for (const type of ['REQ', 'COUNT']) {
+      send([type, 's1', null]);
+      assert.deepEqual(last(ws), ['CLOSED', 's1', 'invalid: filter must be an object']);
+      send([type, 's2', { authors: 'a'.repeat(64) }]);
+      assert.deepEqual(last(ws), ['CLOSED', 's2', 'invalid: filter authors must be an array']);
+      send([type, 's3', { kinds: [1] }, { ids: 'abc' }]);
+      assert.deepEqual(last(ws), ['CLOSED', 's3', 'invalid: filter ids must be an array']);
+      send([type, 's4', { '#e': 'x' }]);
+      assert.deepEqual(last(ws), ['CLOSED', 's4', 'invalid: filter #e must be an array']);
+    }
+    assert.equal(relay.subscriptions.get(ws).size, 0);
+  });
+
+  it('answers a message that fails to be handled with a NOTICE', () => {
+    const { relay, ws } = setup();
+    relay.store.count = () => { throw new TypeError('boom'); };
+    relay._onMessage(ws, Buffer.from(JSON.stringify(['COUNT', 'c1', { kinds: [1] }])));
+    assert.deepEqual(last(ws), ['NOTICE', 'error: could not handle message']);
+  });
+
+  it('publishes over the socket for an authenticated pubkey with credit', async () => {
+    const published = [];
+    let credit = 10;
+    const publish = async (event) => {
+      if (credit < 10) return { ok: false, balance: credit };
+      credit -= 10;
+      published.push(event.id);
+      return { ok: true, added: true, balance: credit };
+    };
+    const { relay, ws, challenge } = setup({ publish });
+    await relay._handleMessage(ws, ['AUTH', await authEvent(challenge)]);
+
+    const first = await signEvent({ content: 'one' });
+    await relay._handleMessage(ws, ['EVENT', first]);
+    assert.deepEqual(last(ws), ['OK', first.id, true, '']);
+
+    const second = await signEvent({ content: 'two' });
+    await relay._handleMessage(ws, ['EVENT', second]);
+    assert.equal(last(ws)[2], false);
+    assert.match(last(ws)[3], /^payment-required: /);
+    assert.deepEqual(published, [first.id]);
+  });
+
+  it('asks a subscribed pubkey to AUTH before publishing over the socket', async () => {
+    const published = [];
+    const publish = async (event) => { published.push(event.id); return { ok: true, added: true, balance: 0 }; };
+    const { store, relay, ws, challenge } = setup({ publish });
+    const event = await signEvent();
+    store.addSubscription(event.pubkey, { plan: 'monthly', price: 3000, quota: null, period: 3600 });
+
+    await relay._handleMessage(ws, ['EVENT', event]);
+    const [type, id, ok, reason] = last(ws);
+    assert.deepEqual([type, id, ok], ['OK', event.id, false]);
+    assert.match(reason, /^auth-required: /);
+    assert.deepEqual(published, []);
+
+    await relay._handleMessage(ws, ['AUTH', await authEvent(challenge)]);
+    await relay._handleMessage(ws, ['EVENT', event]);
+    assert.deepEqual(last(ws), ['OK', event.id, true, '']);
+    assert.deepEqual(published, [event.id]);
+  });
+
+  it('refuses oversized messages and rate-limits per IP', async () => {
+    const { relay, ws } = setup({ limits: { maxMessageLength: 32, ipRate: 1 } });
+    relay._onMessage(ws, Buffer.from(JSON.stringify(['REQ', 'sub', { kinds: [1], limit: 100 }])));
+    assert.deepEqual(last(ws), ['NOTICE', 'invalid: message exceeds 32 bytes']);
+
+    await relay._onMessage(ws, Buffer.from('["CLOSE","a"]'));
+    await relay._onMessage(ws, Buffer.from('["REQ","b",{}]'));
+    const [type, subId, reason] = last(ws);
+    assert.deepEqual([type, subId], ['CLOSED', 'b']);
+    assert.match(reason, /^rate-limited: /);
+    assert.equal(relay.subscriptions.get(ws).size, 0);
+  });
+
+  it('closes REQs over the subscription and filter limits', async () => {
+    const { relay, ws } = setup({ limits: { maxSubscriptions: 1, maxFilters: 2 } });
+    await relay._handleMessage(ws, ['REQ', 'a', {}, {}, {}]);
+    assert.deepEqual(last(ws), ['CLOSED', 'a', 'invalid: too many filters (max 2)']);
+    await relay._handleMessage(ws, ['REQ', 'a', {}]);
+    await relay._handleMessage(ws, ['REQ', 'a', { kinds: [1] }]);
+    assert.equal(last(ws)[0], 'EOSE');
+    await relay._handleMessage(ws, ['REQ', 'b', {}]);
+    assert.deepEqual(last(ws), ['CLOSED', 'b', 'error: too many open subscriptions (max 1)']);
+    await relay._handleMessage(ws, ['REQ', 'x'.repeat(65), {}]);
+    assert.match(last(ws)[2], /^invalid: subscription id/);
+  });
+
+  it('rate-limits EVENTs per pubkey', async () => {
+    const { store, relay, ws, challenge } = setup({ limits: { pubkeyRate: 1 }, publish: async () => ({ ok: true, added: true }) });
+    const [first, second] = [await signEvent({ content: 'one' }), await signEvent({ content: 'two' })];
+    store.addSubscription(first.pubkey, { plan: 'monthly', price: 3000, quota: null, period: 3600 });
+    await relay._handleMessage(ws, ['AUTH', await authEvent(challenge)]);
+    await relay._handleMessage(ws, ['EVENT', first]);
+    assert.deepEqual(last(ws), ['OK', first.id, true, '']);
+    await relay._handleMessage(ws, ['EVENT', second]);
+    assert.deepEqual(last(ws).slice(0, 3), ['OK', second.id, false]);
+    assert.match(last(ws)[3], /^rate-limited: /);
+  });
+});
+
+describe('NIP-11', () => {
+  it('builds the relay information document from config and pricing', () => {
+    const info = buildRelayInfo({ httpUrl: 'https://relay.example.com', limits: DEFAULT_LIMITS, version: '1.2.3' });
+    assert.ok(info.supported_nips.includes(11));
+    assert.ok(info.supported_nips.includes(42));
+    assert.equal(info.version, '1.2.3');
+    assert.equal(info.payments_url, 'https://relay.example.com/api/pricing');
+    assert.equal(info.limitation.payment_required, true);
+    assert.equal(info.limitation.max_limit, DEFAULT_LIMITS.maxLimit);
+    assert.equal(info.limitation.max_filters, DEFAULT_LIMITS.maxFilters);
+    assert.equal(info.limitation.max_body_size, DEFAULT_LIMITS.maxBodySize);
+    assert.deepEqual(info.limitation.rate_limits, { ip_per_minute: 120, pubkey_per_minute: 30, txid_per_minute: 5 });
+    const kind0 = info.fees.publication.find(f => f.kinds?.includes(0));
+    assert.deepEqual([kind0.amount, kind0.unit], [50, 'sats']);
+    assert.equal(info.fees.publication.at(-1).amount, 10);
+    assert.equal(info.fees.publication.at(-1).kinds, undefined);
+    for (const fee of info.fees.publication) {
+      assert.match(fee.description, new RegExp(`^Plus ${RECIPIENT_AMOUNT} sats per p-tagged pubkey`));
+    }
+    assert.equal(info.recipient_forward, undefined);
   });
 });
 
@@ -221,4 +1564,804 @@ describe('payouts', () => {
   });
 });
 
+describe('address resolution', () => {
+  const profile = (fields, created_at = 1700000000) => signEvent({ kind: 0, content: JSON.stringify(fields), created_at });
+  const RELAYS = ['wss://a.example', 'wss://b.example', 'wss://c.example'];
+
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`prefers the local profile and caches the result (${label})`, async () => {
+      const store = new EventStore(opts);
+      const event = await profile({ stx_address: 'SP2LOCAL' });
+      store.add(event);
+      const fetched = [];
+      const resolver = createAddressResolver({
+        store, relays: RELAYS, fetchProfile: async (url) => { fetched.push(url); return null; }, fetchAgents: async () => [],
+      });
+
+      const first = await resolver.lookup(event.pubkey);
+      assert.deepEqual(first.result, { address: 'SP2LOCAL', type: 'stx', source: 'local-profile' });
+      assert.equal(first.cached, false);
+      assert.deepEqual(fetched, []);
+      const second = await resolver.lookup(event.pubkey);
+      assert.deepEqual([second.cached, second.result.address], [true, 'SP2LOCAL']);
+    });
+  }
+
+  it('takes the newest genuine profile from upstream relays', async () => {
+    const store = new EventStore({ dbPath: null });
+    const old = await profile({ stx_address: 'SP2OLD' }, 1700000000);
+    const latest = await profile({ btc_address: 'bc1qlatest' }, 1700000100);
+    const forged = { ...(await profile({ stx_address: 'SP2FORGED' }, 1700000200)), sig: 'ab'.repeat(64) };
+    const byRelay = { 'wss://a.example': old, 'wss://b.example': latest, 'wss://c.example': forged };
+    const resolver = createAddressResolver({
+      store, relays: RELAYS, fetchProfile: async (url) => byRelay[url], fetchAgents: async () => [],
+    });
+
+    const { result, trace } = await resolver.lookup(old.pubkey);
+    assert.deepEqual(result, { address: 'bc1qlatest', type: 'btc', source: 'nostr-profile' });
+    assert.deepEqual(trace.find(t => t.step === 'relays'), {
+      step: 'relays', queried: 3, answered: 3, profile_created_at: 1700000100, found: true,
+    });
+  });
+
+  it('caches misses until a new profile is stored', async () => {
+    const store = new EventStore({ dbPath: ':memory:' });
+    let registryCalls = 0;
+    const resolver = createAddressResolver({
+      store, relays: RELAYS, fetchProfile: async () => null, fetchAgents: async () => { registryCalls++; return []; },
+    });
+    const event = await profile({ stx_address: 'SP2LATER' });
+
+    assert.equal(await resolver.resolve(event.pubkey), null);
+    assert.equal(await resolver.resolve(event.pubkey), null);
+    assert.equal(registryCalls, 1);
+    assert.equal(store.getCachedAddress(event.pubkey).address, null);
+
+    store.add(event);
+    assert.equal(store.getCachedAddress(event.pubkey), null);
+    assert.equal((await resolver.resolve(event.pubkey)).address, 'SP2LATER');
+  });
+});
+
+describe('payout worker', () => {
+  const STX = { address: 'SP2TESTRECIPIENT', type: 'stx', source: 'test' };
+
+  function fakeWallet({ chainNonce = 7, broadcast = () => ({ success: true }) } = {}) {
+    const wallet = {
+      chainNonce,
+      executedNonce: null,
+      built: [],
+      statuses: new Map(),
+      async getNextNonce() { return wallet.chainNonce; },
+      async getExecutedNonce() { return wallet.executedNonce; },
+      async buildSbtcTransfer(recipient, amount, { nonce, fee }) {
+        const txId = `0x${String(wallet.built.length).padStart(64, '0')}`;
+        wallet.built.push({ recipient, amount, nonce, fee, txId });
+        return { txId, transaction: { txId } };
+      },
+      async buildSbtcTransferMany(transfers, { nonce, fee }) {
+        const txId = `0x${String(wallet.built.length).padStart(64, '0')}`;
+        wallet.built.push({ transfers, nonce, fee, txId });
+        return { txId, transaction: { txId } };
+      },
+      async broadcastTx(transaction) { return { txId: transaction.txId, ...broadcast(transaction) }; },
+      async getTxStatus(txId) { return wallet.statuses.get(txId) || 'pending'; },
+    };
+    return wallet;
+  }
+
+  function setup(opts = {}) {
+    const store = new EventStore({ dbPath: ':memory:' });
+    const wallet = fakeWallet(opts);
+    const resolveAddress = opts.resolveAddress || (async () => ('address' in opts ? opts.address : STX));
+    const worker = new PayoutWorker({ store, wallet, resolveAddress, batch: opts.batch });
+    return { store, wallet, worker };
+  }
+
+  // Make a backed-off payout due again
+  const makeDue = (store, id) => store.updatePayout(id, { next_attempt_at: 0 });
+  // Age broadcast txs past the not-found grace period
+  const unseen = (store) => store.db.prepare('UPDATE payouts SET broadcast_at = broadcast_at - 601').run();
+
+  it('broadcasts a queued payout and confirms it', async () => {
+    const { store, wallet, worker } = setup();
+    const id = store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+    await worker.tick();
+
+    let payout = store.getPayout(id);
+    assert.equal(payout.status, 'broadcast');
+    assert.equal(payout.payment_address, STX.address);
+    assert.equal(payout.forward_tx, wallet.built[0].txId);
+    assert.equal(payout.nonce, 7);
+    assert.equal(payout.fee, feeForAttempt(0));
+
+    wallet.statuses.set(payout.forward_tx, 'success');
+    await worker.tick();
+    payout = store.getPayout(id);
+    assert.equal(payout.status, 'confirmed');
+    assert.ok(payout.confirmed_at);
+  });
+
+  it('assigns sequential nonces locally', async () => {
+    const { store, wallet, worker } = setup();
+    store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+    store.recordPayout('bb'.repeat(32), 100, 'evt-2');
+    store.recordPayout('cc'.repeat(32), 100, 'evt-3');
+    await worker.tick();
+    assert.deepEqual(wallet.built.map(b => b.nonce), [7, 8, 9]);
+  });
+
+  it('resyncs the nonce from chain after a rejected broadcast', async () => {
+    let reject = true;
+    const { store, wallet, worker } = setup({
+      broadcast: () => reject
+        ? { success: false, rejected: true, error: 'rejected', reason: 'ConflictingNonceInMempool' }
+        : { success: true },
+    });
+    const id = store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+    await worker.tick();
+
+    let payout = store.getPayout(id);
+    assert.equal(payout.status, 'queued');
+    assert.equal(payout.attempts, 1);
+    assert.match(payout.last_error, /ConflictingNonceInMempool/);
+    assert.ok(payout.next_attempt_at > Math.floor(Date.now() / 1000));
+    assert.equal(worker.nonce, null);
+
+    reject = false;
+    wallet.chainNonce = 12;
+    makeDue(store, id);
+    await worker.tick();
+    payout = store.getPayout(id);
+    assert.equal(payout.status, 'broadcast');
+    assert.equal(payout.nonce, 12);
+    assert.equal(payout.fee, feeForAttempt(1));
+    assert.ok(feeForAttempt(1) > feeForAttempt(0));
+  });
+
+  it('keeps the payout broadcast when the broadcast outcome is unknown', async () => {
+    const { store, wallet, worker } = setup({ broadcast: () => ({ success: false, error: 'fetch failed' }) });
+    const id = store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+    await worker.tick();
+
+    const payout = store.getPayout(id);
+    assert.equal(payout.status, 'broadcast');
+    assert.equal(payout.forward_tx, wallet.built[0].txId);
+    assert.equal(payout.attempts, 0);
+    assert.match(payout.last_error, /Broadcast failed: fetch failed/);
+    assert.equal(worker.nonce, 8);
+  });
+
+  it('re-signs an unseen tx with its nonce and confirms whichever lands', async () => {
+    const { store, wallet, worker } = setup();
+    const id = store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+    await worker.tick();
+    const first = wallet.built[0].txId;
+
+    wallet.statuses.set(first, 'not_found');
+    await worker.tick();
+    assert.equal(wallet.built.length, 1); // still within the grace period
+
+    unseen(store);
+    wallet.executedNonce = 6;
+    await worker.tick();
+    let payout = store.getPayout(id);
+    assert.equal(wallet.built.length, 2);
+    assert.equal(wallet.built[1].nonce, 7);
+    assert.equal(wallet.built[1].fee, feeForAttempt(1));
+    assert.equal(payout.status, 'broadcast');
+    assert.equal(payout.forward_tx, wallet.built[1].txId);
+    assert.deepEqual(JSON.parse(payout.replaced_txs), [first]);
+
+    // The first tx was mined after all
+    wallet.statuses.set(first, 'success');
+    wallet.statuses.set(wallet.built[1].txId, 'not_found');
+    wallet.executedNonce = 7;
+    unseen(store);
+    await worker.tick();
+    payout = store.getPayout(id);
+    assert.equal(payout.status, 'confirmed');
+    assert.equal(payout.forward_tx, first);
+    assert.equal(wallet.built.length, 2);
+  });
+
+  it('requeues an unseen tx once another tx used its nonce', async () => {
+    const { store, wallet, worker } = setup();
+    const id = store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+    await worker.tick();
+
+    wallet.statuses.set(wallet.built[0].txId, 'not_found');
+    wallet.executedNonce = 7;
+    unseen(store);
+    await worker.tick();
+    const payout = store.getPayout(id);
+    assert.equal(payout.status, 'queued');
+    assert.equal(payout.attempts, 1);
+    assert.match(payout.last_error, /nonce 7 used by another tx/);
+  });
+
+  it('retries aborted txs until the payout is dead', async () => {
+    const { store, wallet, worker } = setup();
+    const id = store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+    for (let i = 0; i < 20 && store.getPayout(id).status !== 'dead'; i++) {
+      makeDue(store, id);
+      await worker.tick();
+      const payout = store.getPayout(id);
+      if (payout.status === 'broadcast') wallet.statuses.set(payout.forward_tx, 'abort_by_response');
+    }
+    const payout = store.getPayout(id);
+    assert.equal(payout.status, 'dead');
+    assert.equal(payout.attempts, 8);
+    assert.match(payout.last_error, /abort_by_response/);
+  });
+
+  it('holds payouts without a usable address', async () => {
+    const { store, wallet, worker } = setup({ address: null });
+    const id = store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+    const btc = store.recordPayout('bb'.repeat(32), 100, 'evt-2', { address: 'bc1qtest', type: 'btc' });
+    await worker.tick();
+    assert.equal(store.getPayout(id).status, 'held');
+    assert.equal(store.getPayout(btc).status, 'held');
+    assert.equal(wallet.built.length, 0);
+  });
+
+  describe('batching', () => {
+    const addresses = { ['aa'.repeat(32)]: 'SP2ALICE', ['bb'.repeat(32)]: 'SP2BOB' };
+    const resolveAddress = async (pubkey) => ({ address: addresses[pubkey], type: 'stx' });
+    // Backdate rows so the batch window has passed
+    const age = (store, seconds) => store.db.prepare('UPDATE payouts SET created_at = created_at - ?').run(seconds);
+
+    it('waits for the batch window', async () => {
+      const { store, wallet, worker } = setup({ resolveAddress, batch: { window: 300, threshold: 0 } });
+      const id = store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+      await worker.tick();
+      assert.equal(store.getPayout(id).status, 'queued');
+      assert.equal(wallet.built.length, 0);
+    });
+
+    it('settles accumulated payouts in one tx, summed per address', async () => {
+      const { store, wallet, worker } = setup({ resolveAddress, batch: { window: 300, threshold: 0 } });
+      const ids = [
+        store.recordPayout('aa'.repeat(32), 100, 'evt-1'),
+        store.recordPayout('bb'.repeat(32), 100, 'evt-2'),
+        store.recordPayout('aa'.repeat(32), 100, 'evt-3'),
+      ];
+      age(store, 300);
+      await worker.tick();
+
+      assert.equal(wallet.built.length, 1);
+      assert.deepEqual(wallet.built[0].transfers, [
+        { address: 'SP2ALICE', amount: 200 },
+        { address: 'SP2BOB', amount: 100 },
+      ]);
+      const payouts = ids.map(id => store.getPayout(id));
+      assert.ok(payouts.every(p => p.status === 'broadcast' && p.forward_tx === wallet.built[0].txId));
+      const batch = store.getPayoutBatch(payouts[0].batch_id);
+      assert.deepEqual(batch.payout_ids, ids);
+      assert.equal(batch.total, 300);
+      assert.equal(batch.recipients, 2);
+      assert.deepEqual(store.getPayoutBatches().map(b => b.id), [batch.id]);
+
+      wallet.statuses.set(batch.forward_tx, 'success');
+      await worker.tick();
+      assert.ok(ids.every(id => store.getPayout(id).status === 'confirmed'));
+      assert.equal(store.getPayoutBatch(batch.id).status, 'confirmed');
+    });
+
+    it('flushes early once the threshold is reached', async () => {
+      const { store, wallet, worker } = setup({ resolveAddress, batch: { window: 300, threshold: 200 } });
+      store.recordPayout('aa'.repeat(32), 100, 'evt-1');
+      await worker.tick();
+      assert.equal(wallet.built.length, 0);
+      store.recordPayout('bb'.repeat(32), 100, 'evt-2');
+      await worker.tick();
+      assert.equal(wallet.built.length, 1);
+    });
+
+    it('requeues every payout when the batch tx fails', async () => {
+      const { store, wallet, worker } = setup({ resolveAddress, batch: { window: 300, threshold: 0 } });
+      const ids = [store.recordPayout('aa'.repeat(32), 100, 'evt-1'), store.recordPayout('bb'.repeat(32), 100, 'evt-2')];
+      age(store, 300);
+      await worker.tick();
+      const batchId = store.getPayout(ids[0]).batch_id;
+
+      wallet.statuses.set(wallet.built[0].txId, 'abort_by_response');
+      await worker.tick();
+      assert.ok(ids.every(id => store.getPayout(id).status === 'queued' && store.getPayout(id).attempts === 1));
+      assert.equal(store.getPayoutBatch(batchId).status, 'failed');
+    });
+
+    it('requeues the batch when the node rejects it', async () => {
+      const { store, worker } = setup({
+        resolveAddress, batch: { window: 300, threshold: 0 },
+        broadcast: () => ({ success: false, rejected: true, error: 'rejected', reason: 'NotEnoughFunds' }),
+      });
+      const ids = [store.recordPayout('aa'.repeat(32), 100, 'evt-1'), store.recordPayout('bb'.repeat(32), 100, 'evt-2')];
+      age(store, 300);
+      await worker.tick();
+      assert.ok(ids.every(id => store.getPayout(id).status === 'queued' && store.getPayout(id).attempts === 1));
+      const batch = store.getPayoutBatch(store.getPayout(ids[0]).batch_id);
+      assert.equal(batch.status, 'failed');
+      assert.match(batch.last_error, /NotEnoughFunds/);
+      assert.equal(worker.nonce, null);
+    });
+
+    it('keeps the batch broadcast when the broadcast outcome is unknown', async () => {
+      const { store, wallet, worker } = setup({
+        resolveAddress, batch: { window: 300, threshold: 0 },
+        broadcast: () => ({ success: false, error: 'The operation was aborted due to timeout' }),
+      });
+      const ids = [store.recordPayout('aa'.repeat(32), 100, 'evt-1'), store.recordPayout('bb'.repeat(32), 100, 'evt-2')];
+      age(store, 300);
+      await worker.tick();
+      const payouts = ids.map(id => store.getPayout(id));
+      assert.ok(payouts.every(p => p.status === 'broadcast' && p.attempts === 0 && /timeout/.test(p.last_error)));
+      assert.equal(store.getPayoutBatch(payouts[0].batch_id).status, 'broadcast');
+
+      // Unseen past the grace period: the batch is re-signed with its nonce
+      wallet.statuses.set(wallet.built[0].txId, 'not_found');
+      unseen(store);
+      await worker.tick();
+      assert.equal(wallet.built.length, 2);
+      assert.equal(wallet.built[1].nonce, wallet.built[0].nonce);
+      assert.deepEqual(wallet.built[1].transfers, wallet.built[0].transfers);
+      assert.equal(store.getPayoutBatch(payouts[0].batch_id).forward_tx, wallet.built[1].txId);
+      assert.ok(ids.every(id => store.getPayout(id).forward_tx === wallet.built[1].txId));
+    });
+  });
+});
+
+describe('subscriptions', () => {
+  const ALICE = 'a'.repeat(64);
+  const DAY = 86400;
+  const T = 1700000000;
+  const plan = (fields = {}) => ({ plan: 'monthly', price: 3000, quota: null, period: 30 * DAY, ...fields });
+
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`stacks renewals and expires (${label})`, () => {
+      const store = new EventStore(opts);
+      const first = store.addSubscription(ALICE, plan(), T);
+      const second = store.addSubscription(ALICE, plan(), T + DAY);
+      assert.equal(second.starts_at, first.expires_at);
+      assert.equal(store.getActiveSubscription(ALICE, T + DAY).id, first.id);
+      assert.equal(store.getActiveSubscription(ALICE, first.expires_at).id, second.id);
+      assert.equal(store.getActiveSubscription(ALICE, second.expires_at), null);
+      assert.equal(store.getActiveSubscription('b'.repeat(64), T), null);
+    });
+
+    it(`counts uses against the quota (${label})`, () => {
+      const store = new EventStore(opts);
+      const sub = store.addSubscription(ALICE, plan({ plan: 'starter', quota: 2 }), T);
+      assert.equal(store.useSubscription(ALICE, T + 1).used, 1);
+      assert.equal(store.useSubscription(ALICE, T + 2).used, 2);
+      assert.equal(store.useSubscription(ALICE, T + 3), null);
+      store.releaseSubscription(sub.id);
+      assert.equal(store.getActiveSubscription(ALICE, T + 4).used, 1);
+    });
+
+    it(`buys a plan from prepaid credit (${label})`, () => {
+      const store = new EventStore(opts);
+      assert.deepEqual(store.purchaseSubscription(ALICE, plan(), T), { ok: false, balance: 0 });
+      store.depositCredit(ALICE, 5000, '0xsub');
+      const purchase = store.purchaseSubscription(ALICE, plan(), T);
+      assert.equal(purchase.ok, true);
+      assert.equal(purchase.balance, 2000);
+      assert.equal(purchase.subscription.expires_at, T + 30 * DAY);
+      assert.equal(store.getCreditTransactions(ALICE)[0].type, 'subscription');
+    });
+  }
+
+  it('waives the relay fee but not recipient tips', () => {
+    const event = makeEvent({ kind: 1, tags: [['p', 'x']] });
+    assert.equal(getPrice(event, { subscribed: true }), RECIPIENT_AMOUNT);
+    assert.equal(getPrice(makeEvent({ kind: 1 }), { subscribed: true }), 0);
+    assert.equal(build402Response(event, { subscribed: true }).body.price, RECIPIENT_AMOUNT);
+  });
+
+  it('builds a 402 for a plan', () => {
+    const resp = buildSubscription402('starter', { balance: 100 });
+    const [option] = resp.body.accepts;
+    assert.equal(option.resource, '/api/subscriptions');
+    assert.equal(option.maxAmountRequired, '1000');
+    assert.deepEqual(resp.body.plan, { name: 'starter', price: 1000, days: 30, quota: 200 });
+    assert.equal(resp.body.credit.shortfall, 900);
+  });
+
+  it('reads plans from the pricing policy', () => {
+    assert.throws(() => normalizePolicy({ subscriptions: { weekly: { price: 100, days: 0 } } }), /plan weekly/);
+    assert.deepEqual(
+      normalizePolicy({ subscriptions: { weekly: { price: 100, days: 7 } } }).subscriptions,
+      { weekly: { price: 100, days: 7, quota: null } }
+    );
+  });
+});
+
+describe('pricing policy', () => {
+  const ALICE = 'a'.repeat(64);
+  const BOB = 'b'.repeat(64);
+
+  it('defaults to the built-in prices', () => {
+    const policy = normalizePolicy({});
+    assert.equal(policy.kinds[1], 10);
+    assert.equal(policy.kinds.default, 10);
+    assert.equal(policy.recipient.amount, RECIPIENT_AMOUNT);
+  });
+
+  it('rejects malformed policies', () => {
+    assert.throws(() => normalizePolicy({ kinds: { 1: -1 } }), /kind 1/);
+    assert.throws(() => normalizePolicy({ kinds: { note: 5 } }), /unknown kind/);
+    assert.throws(() => normalizePolicy({ tiers: [{ discount: 2, pubkeys: [] }] }), /discount/);
+    assert.throws(() => normalizePolicy({ surge: [{ from: '25:00', to: '01:00', multiplier: 2 }] }), /HH:MM/);
+    assert.throws(() => normalizePolicy({ freePubkeys: ['nope'] }), /hex pubkeys/);
+    assert.throws(() => normalizePolicy({ recipient: { min: 10, max: 5 } }), /min exceeds/);
+  });
+
+  it('parses YAML and JSON policy files', () => {
+    assert.equal(parsePolicy('kinds:\n  "1": 20\n', 'policy.yaml').kinds[1], 20);
+    assert.equal(parsePolicy('{"kinds":{"1":30}}', 'policy.json').kinds[1], 30);
+  });
+
+  it('adds per-byte and per-tag surcharges', () => {
+    const policy = normalizePolicy({ perByte: { rate: 0.5, free: 4 }, perTag: { rate: 2, free: 1 } });
+    const fee = getRelayFee(makeEvent({ kind: 1, content: 'hello world', tags: [['t', 'a'], ['t', 'b'], ['t', 'c']] }), policy);
+    assert.equal(fee.bytes, 4); // 7 bytes over at 0.5
+    assert.equal(fee.tags, 4);  // 2 tags over at 2
+    assert.equal(fee.total, 10 + 4 + 4);
+  });
+
+  it('waives fees for free pubkeys and discounts tiers', () => {
+    const policy = normalizePolicy({
+      freePubkeys: [ALICE],
+      tiers: [{ name: 'supporter', pubkeys: [BOB], discount: 0.5 }],
+    });
+    assert.equal(getRelayFee(makeEvent({ kind: 0, pubkey: ALICE }), policy).total, 0);
+    assert.equal(getRelayFee(makeEvent({ kind: 0, pubkey: BOB }), policy).total, 25);
+    assert.equal(getRelayFee(makeEvent({ kind: 0 }), policy).total, 50);
+  });
+
+  it('applies surge multipliers inside their UTC window', () => {
+    const policy = normalizePolicy({
+      surge: [
+        { from: '18:00', to: '22:00', multiplier: 2, kinds: [1] },
+        { from: '23:00', to: '01:00', multiplier: 3, days: [6] },
+      ],
+    });
+    const at = (iso) => new Date(iso);
+    assert.equal(surgeMultiplier(policy, 1, at('2024-01-01T19:30:00Z')), 2);
+    assert.equal(surgeMultiplier(policy, 7, at('2024-01-01T19:30:00Z')), 1);
+    assert.equal(surgeMultiplier(policy, 1, at('2024-01-01T22:00:00Z')), 1);
+    assert.equal(surgeMultiplier(policy, 1, at('2024-01-06T23:30:00Z')), 3); // Saturday, wraps midnight
+    assert.equal(getRelayFee(makeEvent({ kind: 1 }), policy, at('2024-01-01T20:00:00Z')).total, 20);
+  });
+
+  it('drives getPrice, tips and NIP-11 fees from the active policy', () => {
+    try {
+      setPolicy({ kinds: { 1: 7 }, recipient: { amount: 40, max: 50 } });
+      assert.equal(getPrice(makeEvent({ kind: 1 })), 7);
+      assert.equal(getPrice(makeEvent({ kind: 1, tags: [['p', 'x']] })), 7 + 40);
+      assert.equal(checkTipAmount(makeEvent({ tags: [['amount', '60']] })).reason, 'invalid-amount');
+      const fee = buildPublicationFees().find(f => f.kinds?.[0] === 1);
+      assert.equal(fee.amount, 7);
+      assert.match(fee.description, /^Plus 40 sats per p-tagged pubkey .*\(1-50 sats\)/);
+    } finally {
+      setPolicy({});
+    }
+  });
+
+  it('picks the finality tier for a payment amount', () => {
+    const policy = normalizePolicy({
+      finality: { confirmations: 1, tiers: [{ minAmount: 10000, burnDepth: 2 }, { minAmount: 1000, confirmations: 3 }] },
+    });
+    assert.deepEqual(getFinalityRule(10, policy), { confirmations: 1, burnDepth: 0 });
+    assert.deepEqual(getFinalityRule(1000, policy), { confirmations: 3, burnDepth: 0 });
+    assert.deepEqual(getFinalityRule(50000, policy), { confirmations: 1, burnDepth: 2 });
+    assert.deepEqual(getFinalityRule(50000, normalizePolicy({})), { confirmations: 0, burnDepth: 0 });
+    assert.throws(() => normalizePolicy({ finality: { confirmations: -1 } }), /finality.confirmations/);
+    assert.throws(() => normalizePolicy({ finality: { tiers: [{ confirmations: 2 }] } }), /minAmount/);
+  });
+
+  it('loads a policy file and reports its source', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'pricing-'));
+    try {
+      const path = join(dir, 'pricing.json');
+      writeFileSync(path, JSON.stringify({ kinds: { 1: 12 } }));
+      loadPolicyFile(path);
+      assert.equal(getPolicyInfo().source, path);
+      assert.equal(getPrice(makeEvent({ kind: 1 })), 12);
+    } finally {
+      setPolicy({});
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('claims', () => {
+  const ADDRESS = 'SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR';
+  const RELAY_PRIVKEY = '0000000000000000000000000000000000000000000000000000000000000005';
+
+  async function claimEvent(challenge, tags = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const fields = { u: 'https://relay.example/api/claims', method: 'POST', challenge, address: ADDRESS, ...tags };
+    return signEvent({
+      kind: CLAIM_KIND, created_at: now, content: '',
+      tags: Object.entries(fields).filter(([, v]) => v != null).map(([k, v]) => [k, v]),
+    });
+  }
+
+  it('accepts a claim signed over a fresh challenge, once', async () => {
+    const event = await claimEvent('unused');
+    const { challenge } = issueChallenge(event.pubkey);
+    const claimed = await claimEvent(challenge);
+    assert.deepEqual(await verifyClaim(claimed), { valid: true, pubkey: claimed.pubkey, address: ADDRESS });
+    assert.equal((await verifyClaim(claimed)).reason, 'challenge-mismatch');
+  });
+
+  it('rejects claims with a wrong challenge, address or request', async () => {
+    const { pubkey } = await claimEvent('x');
+    const { challenge } = issueChallenge(pubkey);
+    assert.equal((await verifyClaim(await claimEvent('deadbeef'))).reason, 'challenge-mismatch');
+    assert.equal((await verifyClaim(await claimEvent(challenge, { address: 'bc1qnotstx' }))).reason, 'invalid-address');
+    assert.equal((await verifyClaim(await claimEvent(challenge, { method: 'GET' }))).reason, 'invalid-request');
+  });
+
+  it('rejects a challenge issued to another pubkey', async () => {
+    const { challenge } = issueChallenge('ab'.repeat(32));
+    assert.equal((await verifyClaim(await claimEvent(challenge))).reason, 'challenge-mismatch');
+  });
+
+  it('keeps only the newest challenges per pubkey', async () => {
+    const { pubkey } = await claimEvent('x');
+    const issued = Array.from({ length: 6 }, () => issueChallenge(pubkey).challenge);
+    assert.equal((await verifyClaim(await claimEvent(issued[0]))).reason, 'challenge-mismatch');
+    assert.equal((await verifyClaim(await claimEvent(issued[5]))).valid, true);
+  });
+
+  it('requeues held and pending payouts to the claimed address', () => {
+    const store = new EventStore({ dbPath: ':memory:' });
+    const pubkey = 'aa'.repeat(32);
+    const held = store.recordPayout(pubkey, 100, 'evt-1', null, 'held');
+    const pending = store.recordPayout(pubkey, 100, 'evt-2', null, 'pending');
+    const confirmed = store.recordPayout(pubkey, 100, 'evt-3', null, 'confirmed');
+
+    assert.deepEqual(store.getClaimablePayouts(pubkey).map(p => p.id), [held, pending]);
+    assert.equal(store.claimPayouts(pubkey, ADDRESS, 'claim-1').length, 2);
+    for (const id of [held, pending]) {
+      const payout = store.getPayout(id);
+      assert.equal(payout.status, 'queued');
+      assert.equal(payout.payment_address, ADDRESS);
+      assert.equal(payout.claim_event_id, 'claim-1');
+    }
+    assert.equal(store.getPayout(confirmed).status, 'confirmed');
+    assert.deepEqual(store.claimPayouts(pubkey, ADDRESS, 'claim-2'), []);
+  });
+
+  it('builds an encrypted DM receipt the claimant can read', async () => {
+    const claimant = await claimEvent('x');
+    const receipt = await buildClaimReceipt(RELAY_PRIVKEY, {
+      pubkey: claimant.pubkey, address: ADDRESS, payouts: [{ id: 1, amount: 100 }, { id: 2, amount: 100 }],
+    });
+    assert.equal(receipt.kind, 4);
+    assert.deepEqual(receipt.tags, [['p', claimant.pubkey]]);
+    assert.ok((await validateEvent(receipt)).valid);
+    const text = decrypt(TEST_PRIVKEY, receipt.pubkey, receipt.content);
+    assert.match(text, /200 sats from 2 payouts/);
+    assert.match(text, new RegExp(ADDRESS));
+  });
+});
+
+describe('NIP-98 HTTP auth', () => {
+  const AUTH_URL = 'https://relay.example/api/events?amount=10';
+  const BODY = '{"kind":1}';
+
+  async function authHeader(tags = {}, { kind = HTTP_AUTH_KIND, created_at = Math.floor(Date.now() / 1000) } = {}) {
+    const fields = { u: AUTH_URL, method: 'POST', payload: createHash('sha256').update(BODY).digest('hex'), ...tags };
+    const event = await signEvent({
+      kind, created_at, content: '',
+      tags: Object.entries(fields).filter(([, v]) => v != null).map(([k, v]) => [k, v]),
+    });
+    return `Nostr ${Buffer.from(JSON.stringify(event)).toString('base64')}`;
+  }
+
+  it('accepts an event signing this request and its body', async () => {
+    const header = await authHeader();
+    const result = await verifyHttpAuth(header, { url: AUTH_URL, method: 'POST', body: BODY });
+    assert.equal(result.valid, true);
+    assert.match(result.pubkey, /^[0-9a-f]{64}$/);
+  });
+
+  it('rejects auth for another request, body, kind or time', async () => {
+    const request = { url: AUTH_URL, method: 'POST', body: BODY };
+    const reason = async (header, req = request) => (await verifyHttpAuth(header, req)).reason;
+    assert.equal(await reason('Bearer x'), 'invalid-header');
+    assert.equal(await reason(await authHeader({ u: 'https://relay.example/api/events' })), 'invalid-request');
+    assert.equal(await reason(await authHeader({ method: 'GET' })), 'invalid-request');
+    assert.equal(await reason(await authHeader(), { ...request, body: '{"kind":2}' }), 'invalid-payload');
+    assert.equal(await reason(await authHeader({ payload: null })), 'invalid-payload');
+    assert.equal(await reason(await authHeader({}, { kind: 1 })), 'invalid-kind');
+    assert.equal(await reason(await authHeader({}, { created_at: 1000 })), 'stale');
+  });
+});
+
+describe('mirroring', () => {
+  // Stands in for a ws client: records sends and lets the test play the relay
+  class FakeSocket extends EventEmitter {
+    static sockets = [];
+    constructor(url) {
+      super();
+      this.url = url;
+      this.readyState = 0;
+      this.sent = [];
+      FakeSocket.sockets.push(this);
+    }
+    send(msg) { this.sent.push(JSON.parse(msg)); }
+    close() { this.readyState = 3; this.emit('close'); }
+    open() { this.readyState = 1; this.emit('open'); }
+    reply(msg) { this.emit('message', Buffer.from(JSON.stringify(msg))); }
+  }
+
+  const RELAYS = ['wss://a.example', 'wss://b.example'];
+  const statuses = (store, id) => Object.fromEntries(store.getMirrors(id).map(m => [m.relay, m.status]));
+
+  for (const [label, opts] of [['memory', { dbPath: null }], ['sqlite', { dbPath: ':memory:' }]]) {
+    it(`records each relay's OK (${label})`, async () => {
+      FakeSocket.sockets = [];
+      const store = new EventStore(opts);
+      const mirror = new Mirror({ store, relays: RELAYS, WebSocket: FakeSocket }).start(3600);
+      const event = await signEvent();
+      mirror.enqueue(event);
+      assert.deepEqual(statuses(store, event.id), { 'wss://a.example': 'queued', 'wss://b.example': 'queued' });
+
+      const [a, b] = FakeSocket.sockets;
+      a.open();
+      b.open();
+      assert.deepEqual(a.sent, [['EVENT', event]]);
+      a.reply(['OK', event.id, true, '']);
+      b.reply(['OK', event.id, false, 'blocked: not on the allow list']);
+
+      const [onA, onB] = store.getMirrors(event.id);
+      assert.equal(onA.status, 'accepted');
+      assert.equal(onA.attempts, 1);
+      assert.deepEqual([onB.status, onB.reason], ['rejected', 'blocked: not on the allow list']);
+      mirror.stop();
+    });
+  }
+
+  it('keeps events for a relay that is down and retries refusals with backoff', async () => {
+    FakeSocket.sockets = [];
+    const store = new EventStore({ dbPath: ':memory:' });
+    const mirror = new Mirror({ store, relays: RELAYS.slice(0, 1), WebSocket: FakeSocket }).start(3600);
+    const [first, second] = [await signEvent({ content: 'one' }), await signEvent({ content: 'two' })];
+    mirror.enqueue(first);
+    mirror.enqueue(second);
+
+    const [ws] = FakeSocket.sockets;
+    ws.open();
+    assert.deepEqual(ws.sent.map(m => m[1].id), [first.id, second.id]);
+    ws.reply(['OK', first.id, false, 'rate-limited: slow down']);
+    ws.reply(['OK', second.id, false, 'duplicate: already have it']);
+
+    const [retry] = store.getMirrors(first.id);
+    assert.deepEqual([retry.status, retry.reason], ['failed', 'rate-limited: slow down']);
+    assert.ok(retry.next_attempt_at > Math.floor(Date.now() / 1000));
+    assert.equal(store.getMirrors(second.id)[0].status, 'accepted');
+
+    // Due again: resent on the next pass
+    store.updateMirror(first.id, RELAYS[0], { next_attempt_at: 0 });
+    mirror.tick();
+    assert.equal(ws.sent.length, 3);
+    assert.equal(store.getMirrors(first.id)[0].attempts, 2);
+
+    // No OK in time counts as a failed attempt
+    store.updateMirror(first.id, RELAYS[0], { next_attempt_at: 0 });
+    mirror.tick();
+    assert.deepEqual(
+      [store.getMirrors(first.id)[0].status, store.getMirrors(first.id)[0].reason], ['failed', 'No OK response']
+    );
+    mirror.stop();
+  });
+});
+
+describe('NIP-77 sync', () => {
+  const OTHER_PRIVKEY = '0000000000000000000000000000000000000000000000000000000000000004';
+  const items = (events) => events.map(({ id, created_at }) => ({ id, created_at }));
+
+  // Upstream relay: a real Relay behind a socket stand-in for the importer
+  function upstreamSocket(relay, { nip77 = true } = {}) {
+    return class extends EventEmitter {
+      constructor() {
+        super();
+        this.readyState = 1;
+        this.peer = { readyState: 1, send: (msg) => this.emit('message', Buffer.from(msg)) };
+        relay.subscriptions.set(this.peer, new Map());
+        setImmediate(() => this.emit('open'));
+      }
+      send(msg) {
+        const parsed = JSON.parse(msg);
+        if (!nip77 && parsed[0].startsWith('NEG-')) {
+          this.peer.send(JSON.stringify(['NOTICE', `unknown message type: ${parsed[0]}`]));
+          return;
+        }
+        relay._handleMessage(this.peer, parsed);
+      }
+      close() { this.readyState = 3; }
+    };
+  }
+
+  it('reconciles two sets to what each side lacks', () => {
+    const id = (n) => createHash('sha256').update(String(n)).digest('hex');
+    const all = Array.from({ length: 2000 }, (_, i) => ({ id: id(i), created_at: 1700000000 + (i % 50) }));
+    const ours = all.filter((_, i) => i % 4 !== 1);
+    const theirs = all.filter((_, i) => i % 4 !== 2);
+
+    const client = new Negentropy(ours);
+    const server = new Negentropy(theirs);
+    const have = [];
+    const need = [];
+    for (let msg = client.initiate(); msg;) {
+      const result = client.reconcile(server.reconcile(msg).output);
+      have.push(...result.have);
+      need.push(...result.need);
+      msg = result.output;
+    }
+    assert.deepEqual(have.sort(), all.filter((_, i) => i % 4 === 2).map(e => e.id).sort());
+    assert.deepEqual(need.sort(), all.filter((_, i) => i % 4 === 1).map(e => e.id).sort());
+    assert.equal(new Negentropy([]).initiate(), '6100000200');
+  });
+
+  it('answers NEG-OPEN and NEG-MSG over the socket', async () => {
+    const store = new EventStore({ dbPath: null });
+    const relay = new Relay({ store, limits: { maxSyncRecords: 5 } });
+    const ws = { sent: [], readyState: 1, send(msg) { this.sent.push(JSON.parse(msg)); } };
+    const events = await Promise.all([1, 2, 3].map(n => signEvent({ content: `note ${n}` })));
+    for (const event of events) store.add(event);
+
+    const client = new Negentropy(items(events.slice(0, 1)));
+    relay._handleMessage(ws, ['NEG-OPEN', 'sync', { kinds: [1] }, client.initiate()]);
+    const [type, subId, reply] = ws.sent.at(-1);
+    assert.deepEqual([type, subId], ['NEG-MSG', 'sync']);
+    const { output, need } = client.reconcile(reply);
+    assert.equal(output, null);
+    assert.deepEqual(need.sort(), [events[1].id, events[2].id].sort());
+
+    relay._handleMessage(ws, ['NEG-CLOSE', 'sync']);
+    relay._handleMessage(ws, ['NEG-MSG', 'sync', '61']);
+    assert.deepEqual(ws.sent.at(-1), ['NEG-ERR', 'sync', 'closed: no open sync with this id']);
+    relay._handleMessage(ws, ['NEG-OPEN', 'sync', {}, 'zz']);
+    assert.deepEqual(ws.sent.at(-1), ['NEG-ERR', 'sync', 'invalid: message must be hex']);
+
+    for (let n = 0; n < 5; n++) store.add(await signEvent({ content: `more ${n}` }));
+    relay._handleMessage(ws, ['NEG-OPEN', 'big', {}, new Negentropy([]).initiate()]);
+    assert.deepEqual(ws.sent.at(-1), ['NEG-ERR', 'big', 'blocked: this query is too big (max 5 events)']);
+  });
+
+  for (const nip77 of [true, false]) {
+    it(`imports selected upstream events as unpaid (${nip77 ? 'negentropy' : 'REQ fallback'})`, async () => {
+      const upstream = new Relay({ store: new EventStore({ dbPath: null }) });
+      const mine = await Promise.all(Array.from({ length: 40 }, (_, n) => signEvent({ content: `post ${n}`, created_at: 1700000000 + n })));
+      const other = await signEvent({ content: 'not selected' }, OTHER_PRIVKEY);
+      for (const event of [...mine, other]) upstream.store.add(event);
+
+      const store = new EventStore({ dbPath: ':memory:' });
+      const relay = new Relay({ store });
+      const paid = await signEvent({ content: 'paid here' });
+      for (const event of [...mine.slice(0, 10), paid]) store.add(event);
+
+      const importer = new Importer({
+        store, relay, relays: ['wss://upstream.example'], filter: { authors: [paid.pubkey] },
+        WebSocket: upstreamSocket(upstream, { nip77 }), timeout: 1,
+      });
+      const result = await importer.syncRelay('wss://upstream.example');
+
+      assert.deepEqual(result, { method: nip77 ? 'negentropy' : 'req', imported: 30 });
+      assert.equal(store.size, 41);
+      assert.equal(store.isImported(mine[39].id), true);
+      assert.equal(store.isImported(mine[0].id), false);
+      assert.equal(store.isImported(paid.id), false);
+      assert.equal(store.query({ ids: [other.id] }).length, 0);
+      const state = store.getSyncState('wss://upstream.example');
+      assert.deepEqual([state.method, state.imported, state.last_error], [result.method, 30, null]);
+    });
+  }
+});
+
 console.log('All tests defined. Running...');
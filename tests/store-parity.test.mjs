@@ -0,0 +1,213 @@
+/**
+ * Cross-backend parity: the SQLite and in-memory stores must return exactly
+ * what matchFilter() selects, in NIP-01 order, for every filter field.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { matchFilter } from '../src/filters.mjs';
+import { EventStore, MAX_QUERY_LIMIT } from '../src/store.mjs';
+
+const hex = (s) => createHash('sha256').update(String(s)).digest('hex');
+
+const PUBKEYS = [hex('alice'), hex('bob'), hex('carol'), 'ABCDEF' + hex('upper').slice(6)];
+const TAG_VALUES = ['x', 'y', 'z', 'with%percent', 'with_underscore', 'Y'];
+const WORDS = ['Bitcoin', 'sats', 'nostr', 'Café', 'relay-fee', 'zap'];
+
+// Deterministic PRNG so failures are reproducible
+function rng(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state / 0x7fffffff;
+  };
+}
+
+function buildEvents(count) {
+  const rand = rng(42);
+  const pick = (arr) => arr[Math.floor(rand() * arr.length)];
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    const tags = [];
+    const tagCount = Math.floor(rand() * 4);
+    for (let t = 0; t < tagCount; t++) {
+      tags.push([pick(['e', 'p', 't', 'd', 'client']), pick(TAG_VALUES)]);
+    }
+    if (rand() < 0.1) tags.push(['p']); // tag without a value
+    events.push({
+      id: hex(`event-${i}`),
+      pubkey: pick(PUBKEYS),
+      kind: pick([0, 1, 1, 1, 4, 7, 3, 10002, 20001, 30023]),
+      // Coarse timestamps so ties are common
+      created_at: 1700000000 + Math.floor(rand() * 50) * 10,
+      content: `note ${i} ${pick(WORDS)} ${pick(WORDS)}`,
+      tags,
+      sig: '0'.repeat(128),
+    });
+  }
+  return events;
+}
+
+function oracle(events, filter) {
+  const limit = filter.limit > 0 ? Math.min(filter.limit, MAX_QUERY_LIMIT) : MAX_QUERY_LIMIT;
+  return events
+    .filter(e => matchFilter(e, filter))
+    .sort((a, b) => b.created_at - a.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+    .slice(0, limit)
+    .map(e => e.id);
+}
+
+const FILTERS = [
+  {},
+  { limit: 5 },
+  { limit: 0 },
+  { ids: [hex('event-3').slice(0, 4)] },
+  { ids: [hex('event-7'), hex('event-9').slice(0, 10)] },
+  { ids: ['%'] },
+  { authors: [PUBKEYS[0]] },
+  { authors: [PUBKEYS[1].slice(0, 6), PUBKEYS[2].slice(0, 1)] },
+  { authors: ['abcdef'] },
+  { authors: ['ABCDEF'] },
+  { kinds: [1] },
+  { kinds: [0, 3, 10002] },
+  { kinds: [30023], limit: 2 },
+  { kinds: [20001] },
+  { kinds: [] },
+  { since: 1700000200 },
+  { until: 1700000200 },
+  { since: 1700000100, until: 1700000150 },
+  { '#p': ['x'] },
+  { '#p': ['x'], limit: 3 },
+  { '#e': ['y', 'z'] },
+  { '#t': ['Y'] },
+  { '#t': ['y'] },
+  { '#p': ['with%percent'] },
+  { '#e': ['with_underscore'] },
+  { '#e': ['x'], '#p': ['y'] },
+  { '#client': ['x'] },
+  { '#p': [] },
+  { '#d': ['z'], kinds: [30023] },
+  { authors: [PUBKEYS[0]], kinds: [1], '#p': ['x', 'y'], since: 1700000050, limit: 4 },
+];
+
+describe('store parity (sqlite vs memory vs matchFilter)', () => {
+  const events = buildEvents(400);
+  const stores = {
+    memory: new EventStore({ dbPath: null }),
+    sqlite: new EventStore({ dbPath: ':memory:' }),
+  };
+  for (const store of Object.values(stores)) {
+    for (const event of events) store.add(event);
+  }
+
+  it('stores the same events after replaceable/ephemeral handling', () => {
+    assert.equal(stores.sqlite.size, stores.memory.size);
+  });
+
+  const stored = [...stores.memory.memory.values()];
+
+  for (const filter of FILTERS) {
+    it(`matches for ${JSON.stringify(filter)}`, () => {
+      const expected = oracle(stored, filter);
+      assert.deepEqual(stores.memory.query(filter).map(e => e.id), expected);
+      assert.deepEqual(stores.sqlite.query(filter).map(e => e.id), expected);
+    });
+  }
+
+  for (const filter of FILTERS) {
+    it(`counts for ${JSON.stringify(filter)}`, () => {
+      const expected = stored.filter(e => matchFilter(e, filter)).length;
+      assert.equal(stores.memory.count(filter), expected);
+      assert.equal(stores.sqlite.count(filter), expected);
+    });
+  }
+
+  for (const filter of FILTERS.filter(f => f.search == null)) {
+    it(`lists sync items for ${JSON.stringify(filter)}`, () => {
+      const { limit, ...rest } = filter;
+      const expected = stored.filter(e => matchFilter(e, rest))
+        .sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : 1))
+        .map(({ id, created_at }) => ({ id, created_at }));
+      assert.deepEqual(stores.memory.syncItems(filter), expected);
+      assert.deepEqual(stores.sqlite.syncItems(filter), expected);
+    });
+  }
+
+  it('counts the union of several filters', () => {
+    const filters = [{ kinds: [1] }, { '#p': ['x'] }, { authors: [PUBKEYS[0]] }];
+    const expected = stored.filter(e => filters.some(f => matchFilter(e, f))).length;
+    assert.equal(stores.memory.count(filters), expected);
+    assert.equal(stores.sqlite.count(filters), expected);
+  });
+
+  const SEARCHES = ['bitcoin', 'SATS nostr', 'cafe', 'relay fee', 'zap include:spam', 'missing', '  '];
+
+  for (const search of SEARCHES) {
+    it(`searches for ${JSON.stringify(search)}`, () => {
+      const filter = { search, kinds: [1, 30023] };
+      const expected = stored.filter(e => matchFilter(e, filter)).map(e => e.id).sort();
+      assert.deepEqual(stores.memory.query(filter).map(e => e.id).sort(), expected);
+      assert.deepEqual(stores.sqlite.query(filter).map(e => e.id).sort(), expected);
+      assert.equal(stores.sqlite.count(filter), expected.length);
+    });
+  }
+
+  it('applies tag filters before the limit', () => {
+    const store = new EventStore({ dbPath: ':memory:' });
+    for (let i = 0; i < 50; i++) {
+      store.add({
+        id: hex(`noise-${i}`), pubkey: PUBKEYS[0], kind: 1,
+        created_at: 1800000000 + i, content: '', tags: [], sig: '',
+      });
+    }
+    store.add({
+      id: hex('tagged'), pubkey: PUBKEYS[1], kind: 1,
+      created_at: 1700000000, content: '', tags: [['p', 'target']], sig: '',
+    });
+    assert.deepEqual(store.query({ '#p': ['target'], limit: 20 }).map(e => e.id), [hex('tagged')]);
+  });
+
+  it('drops tag index rows when a replaceable event is replaced', () => {
+    const store = new EventStore({ dbPath: ':memory:' });
+    const base = { pubkey: PUBKEYS[0], kind: 10002, content: '', sig: '' };
+    store.add({ ...base, id: hex('old'), created_at: 100, tags: [['r', 'old']] });
+    store.add({ ...base, id: hex('new'), created_at: 200, tags: [['r', 'new']] });
+    assert.deepEqual(store.query({ '#r': ['old'] }), []);
+    assert.equal(store.query({ '#r': ['new'] }).length, 1);
+  });
+
+  it('keeps the search index in sync with replaceable deletes', () => {
+    const store = new EventStore({ dbPath: ':memory:' });
+    const base = { pubkey: PUBKEYS[0], kind: 30023, sig: '', tags: [['d', 'post']] };
+    store.add({ ...base, id: hex('v1'), created_at: 100, content: 'first draft' });
+    store.add({ ...base, id: hex('v2'), created_at: 200, content: 'final version' });
+    assert.deepEqual(store.query({ search: 'draft' }), []);
+    assert.equal(store.query({ search: 'final' }).length, 1);
+    assert.equal(store.db.prepare('SELECT COUNT(*) AS n FROM events_fts').get().n, 1);
+  });
+
+  it('forgets the imported flag of events it removes', () => {
+    const at = 1800000000;
+    const base = { pubkey: PUBKEYS[0], content: '', sig: '' };
+    const deleted = { ...base, id: hex('imp-deleted'), kind: 1, created_at: at - 10, tags: [] };
+    const expired = { ...base, id: hex('imp-expired'), kind: 1, created_at: at - 10, tags: [['expiration', String(at - 1)]] };
+    const pruned = { ...base, id: hex('imp-pruned'), kind: 7, created_at: at - 1000, tags: [] };
+    const replaced = { ...base, id: hex('imp-replaced'), kind: 10002, created_at: at - 10, tags: [] };
+    const kept = { ...base, id: hex('imp-kept'), kind: 1, created_at: at - 10, tags: [] };
+
+    const results = {};
+    for (const dbPath of [null, ':memory:']) {
+      const store = new EventStore({ dbPath });
+      for (const event of [deleted, expired, pruned, replaced, kept]) store.add(event, { imported: true });
+      store.add({ ...base, id: hex('imp-deletion'), kind: 5, created_at: at, tags: [['e', deleted.id]] });
+      store.purgeExpired(at);
+      store.applyRetention({ maxAgeByKind: { 7: 100 } }, at);
+      store.add({ ...replaced, id: hex('imp-replacement'), created_at: at });
+      results[dbPath ?? 'memory'] = [deleted, expired, pruned, replaced, kept].map(e => store.isImported(e.id));
+      if (!dbPath) assert.deepEqual([...store.memoryImported], [kept.id]);
+    }
+    assert.deepEqual(results.memory, [false, false, false, false, true]);
+    assert.deepEqual(results[':memory:'], results.memory);
+  });
+});